@@ -15,5 +15,11 @@ module.exports = {
     'quote-props': ['error', 'consistent-as-needed'],
     'semi': [2, 'always'],
     'no-multiple-empty-lines': 'off'
-  }
+  },
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      env: { jest: true }
+    }
+  ]
 };
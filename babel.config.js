@@ -0,0 +1,8 @@
+// Only used by jest, the rollup builds configure babel themselves
+module.exports = {
+  env: {
+    test: {
+      presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+    }
+  }
+};
@@ -0,0 +1,164 @@
+import _ from 'lodash';
+import { flatten, buildParentMap, makeRenderingGraph } from '../utils';
+
+// Collapsed nodes are laid out as leaves, same as in the ELK adapter
+const isCompound = (node) => node.nodes && node.nodes.length > 0 && node.collapsed !== true;
+
+/**
+ * Layout adapter for Dagre (https://github.com/dagrejs/dagre)
+ *
+ * Uses Dagre's compound mode so nested nodes are laid out inside their parents. Parents are
+ * sized to fit their children, and node positions are converted to be relative to their parent.
+ * Edge points are in global coordinates.
+ *
+ * Note Dagre cannot route edges that connect to compound nodes, these are drawn as straight lines.
+ */
+export default class DagreAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {object} options.dagre - The dagre library
+   * @param {string} options.rankdir - "TB", "BT", "LR" or "RL", default to "TB"
+   * @param {number} options.nodesep - Horizontal separation between nodes
+   * @param {number} options.ranksep - Separation between ranks
+   * @param {number} options.edgesep - Horizontal separation between edges
+   * @param {number} options.margin - Margin around the graph
+   * @param {number} options.parentPadding - Padding between a parent and its children
+   * @param {number} options.nodeWidth - Default leaf node width
+   * @param {number} options.nodeHeight - Default leaf node height
+   */
+  constructor(options) {
+    this.options = options || {};
+    if (_.isNil(this.options.dagre)) {
+      throw new Error('DagreAdapter requires the dagre library, see options.dagre');
+    }
+    this.dagre = this.options.dagre;
+    this.rankdir = this.options.rankdir || 'TB';
+    this.nodesep = _.isNil(this.options.nodesep) ? 50 : this.options.nodesep;
+    this.ranksep = _.isNil(this.options.ranksep) ? 50 : this.options.ranksep;
+    this.edgesep = _.isNil(this.options.edgesep) ? 10 : this.options.edgesep;
+    this.margin = _.isNil(this.options.margin) ? 20 : this.options.margin;
+    this.parentPadding = _.isNil(this.options.parentPadding) ? 20 : this.options.parentPadding;
+    this.nodeWidth = this.options.nodeWidth || 100;
+    this.nodeHeight = this.options.nodeHeight || 50;
+  }
+
+  makeRenderingGraph(graphData) {
+    return makeRenderingGraph(graphData, {
+      nodeWidth: this.nodeWidth,
+      nodeHeight: this.nodeHeight
+    });
+  }
+
+  /**
+   * Lays out the whole graph. Dagre cannot start from given positions, so in incremental
+   * mode the graph is laid out from scratch and the renderer puts the pinned nodes back.
+   *
+   * @param {object} renderGraph - rendering graph
+   */
+  async run(renderGraph) {
+    const g = new this.dagre.graphlib.Graph({ compound: true, multigraph: true });
+    g.setGraph({
+      rankdir: this.rankdir,
+      nodesep: this.nodesep,
+      ranksep: this.ranksep,
+      edgesep: this.edgesep
+    });
+    g.setDefaultEdgeLabel(() => ({}));
+
+    // The children of collapsed nodes are left out
+    const layoutNodes = [];
+    const collect = (node) => {
+      (node.nodes || []).forEach(child => {
+        layoutNodes.push(child);
+        if (isCompound(child)) collect(child);
+      });
+    };
+    collect(renderGraph);
+    const laidOut = new Set(layoutNodes.map(n => n.id));
+    const edges = flatten(renderGraph).edges.filter(e => laidOut.has(e.source) && laidOut.has(e.target));
+    const compoundIds = new Set(layoutNodes.filter(isCompound).map(n => n.id));
+
+    layoutNodes.forEach(n => {
+      if (isCompound(n)) {
+        g.setNode(n.id, { label: n.label });
+      } else {
+        g.setNode(n.id, {
+          label: n.label,
+          width: n.width || this.nodeWidth,
+          height: n.height || this.nodeHeight
+        });
+      }
+    });
+    layoutNodes.filter(isCompound).forEach(n => {
+      n.nodes.forEach(child => g.setParent(child.id, n.id));
+    });
+
+    edges.forEach(e => {
+      if (compoundIds.has(e.source) || compoundIds.has(e.target)) return;
+      g.setEdge(e.source, e.target, {}, e.id);
+    });
+
+    this.dagre.layout(g);
+
+    // Global bounding boxes, compound nodes are sized to fit their children
+    const boxes = new Map();
+    const computeBox = (n) => {
+      if (isCompound(n)) {
+        n.nodes.forEach(computeBox);
+        const childBoxes = n.nodes.map(child => boxes.get(child.id));
+        const x1 = _.min(childBoxes.map(b => b.x)) - this.parentPadding;
+        const y1 = _.min(childBoxes.map(b => b.y)) - this.parentPadding;
+        const x2 = _.max(childBoxes.map(b => b.x + b.width)) + this.parentPadding;
+        const y2 = _.max(childBoxes.map(b => b.y + b.height)) + this.parentPadding;
+        boxes.set(n.id, { x: x1, y: y1, width: x2 - x1, height: y2 - y1 });
+      } else {
+        const node = g.node(n.id);
+        boxes.set(n.id, {
+          x: node.x - 0.5 * node.width,
+          y: node.y - 0.5 * node.height,
+          width: node.width,
+          height: node.height
+        });
+      }
+    };
+    (renderGraph.nodes || []).forEach(computeBox);
+
+    // Padding can push parents past the origin, shift everything back into view
+    const topBoxes = (renderGraph.nodes || []).map(n => boxes.get(n.id));
+    const shiftX = this.margin - (_.min(topBoxes.map(b => b.x)) || 0);
+    const shiftY = this.margin - (_.min(topBoxes.map(b => b.y)) || 0);
+    boxes.forEach(b => {
+      b.x += shiftX;
+      b.y += shiftY;
+    });
+
+    // Convert into parent-relative coordinates
+    const parentMap = buildParentMap(renderGraph);
+    layoutNodes.forEach(n => {
+      const box = boxes.get(n.id);
+      const parent = parentMap.get(n.id);
+      const parentBox = parent === renderGraph ? { x: 0, y: 0 } : boxes.get(parent.id);
+      n.x = box.x - parentBox.x;
+      n.y = box.y - parentBox.y;
+      n.width = box.width;
+      n.height = box.height;
+    });
+
+    const center = (id) => {
+      const box = boxes.get(id);
+      return { x: box.x + 0.5 * box.width, y: box.y + 0.5 * box.height };
+    };
+    edges.forEach(e => {
+      const edge = g.edge(e.source, e.target, e.id);
+      if (edge) {
+        e.points = edge.points.map(p => ({ x: p.x + shiftX, y: p.y + shiftY }));
+      } else {
+        e.points = [center(e.source), center(e.target)];
+      }
+    });
+
+    renderGraph.width = (_.max(topBoxes.map(b => b.x + b.width)) || 0) + this.margin;
+    renderGraph.height = (_.max(topBoxes.map(b => b.y + b.height)) || 0) + this.margin;
+    return renderGraph;
+  }
+}
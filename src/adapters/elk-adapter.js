@@ -0,0 +1,271 @@
+import _ from 'lodash';
+import { flatten, buildParentMap, lowestCommonAncestor, makeRenderingGraph } from '../utils';
+import { getPortPosition, findPort } from '../utils/ports';
+
+const ROOT_ID = 'root';
+
+const DEFAULT_LAYOUT_OPTIONS = {
+  'elk.algorithm': 'layered',
+  'elk.hierarchyHandling': 'INCLUDE_CHILDREN'
+};
+
+// Layered strategies that keep the order of the nodes given by their current position. With
+// INCLUDE_CHILDREN, ELK wants them on every level of the hierarchy.
+const INTERACTIVE_LAYOUT_OPTIONS = {
+  'elk.layered.cycleBreaking.strategy': 'INTERACTIVE',
+  'elk.layered.layering.strategy': 'INTERACTIVE',
+  'elk.layered.crossingMinimization.strategy': 'INTERACTIVE'
+};
+
+const isLayered = (layoutOptions) => {
+  const algorithm = layoutOptions['elk.algorithm'] || layoutOptions['org.eclipse.elk.algorithm'] || 'layered';
+  return algorithm === 'layered' || algorithm.endsWith('.layered');
+};
+
+const ELK_PORT_SIDES = {
+  top: 'NORTH',
+  right: 'EAST',
+  bottom: 'SOUTH',
+  left: 'WEST'
+};
+
+// ELK wants identifiers to be unique across nodes and ports
+const elkPortId = (nodeId, portId) => `${nodeId}::${portId}`;
+
+// Rough estimate for when the caller does not provide a way to measure labels
+const estimateLabelSize = (text) => {
+  return { width: String(text).length * 7, height: 14 };
+};
+
+/**
+ * Layout adapter for ELK (https://github.com/kieler/elkjs)
+ *
+ * Translates the recursive rendering graph into ELK JSON and maps the result back
+ * into the x/y/width/height/points attributes expected by the renderer. Node positions
+ * are relative to their parent, edge points are in global coordinates.
+ *
+ * Layout options can be provided for the entire graph via the adapter options, and per node
+ * via a "layoutOptions" attribute on the node data.
+ *
+ * Node ports are passed on as ELK ports, so edges with a sourcePort/targetPort are routed
+ * to the side of the node the port is on.
+ */
+export default class ElkAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {object} options.elk - An ELK instance, e.g. new ELK()
+   * @param {object} options.layoutOptions - ELK layout options applied to the root graph
+   * @param {number} options.nodeWidth - Default leaf node width
+   * @param {number} options.nodeHeight - Default leaf node height
+   * @param {boolean} options.useNodeLabels - Whether to reserve space for node labels
+   * @param {function} options.labelSize - Label measuring function, (text) => { width, height }
+   */
+  constructor(options) {
+    this.options = options || {};
+    if (_.isNil(this.options.elk)) {
+      throw new Error('ElkAdapter requires an ELK instance, see options.elk');
+    }
+    this.elk = this.options.elk;
+    this.nodeWidth = this.options.nodeWidth || 100;
+    this.nodeHeight = this.options.nodeHeight || 50;
+    this.useNodeLabels = this.options.useNodeLabels || false;
+    this.labelSize = this.options.labelSize || estimateLabelSize;
+    this.layoutOptions = { ...DEFAULT_LAYOUT_OPTIONS, ...this.options.layoutOptions };
+  }
+
+  makeRenderingGraph(graphData) {
+    return makeRenderingGraph(graphData, {
+      nodeWidth: this.nodeWidth,
+      nodeHeight: this.nodeHeight
+    });
+  }
+
+  /**
+   * Lays out the whole graph. The pinned nodes, identifier => { x, y, width, height, parentId },
+   * are the ones the renderer keeps in place in incremental mode, it puts them back after the run.
+   * With the layered algorithm, their previous positions seed the layering and the order of
+   * the nodes, so the rest of the layout, e.g. the edges of new nodes, fits around them.
+   *
+   * @param {object} renderGraph - rendering graph
+   * @param {object} options - { pinned }
+   */
+  async run(renderGraph, options = {}) {
+    const elkGraph = this._toElkGraph(renderGraph, options.pinned || new Map());
+    const result = await this.elk.layout(elkGraph);
+    this._applyLayout(renderGraph, result);
+    return renderGraph;
+  }
+
+  _makeLabels(text) {
+    if (_.isNil(text) || text === '') return [];
+    const size = this.labelSize(text);
+    return [{ text: String(text), width: size.width, height: size.height }];
+  }
+
+  /**
+   * Convert the rendering graph into ELK JSON. Edges can be declared at any level of
+   * the rendering graph, they are placed into the lowest common ancestor of their
+   * source and target, which is where ELK expects them.
+   *
+   * Pinned nodes that kept their parent start out at their previous position.
+   */
+  _toElkGraph(renderGraph, pinned = new Map()) {
+    const elkNodeMap = new Map();
+    const nodeMap = new Map();
+
+    const build = (node, parentId) => {
+      const elkNode = {
+        id: node.id || ROOT_ID,
+        layoutOptions: { ...node.layoutOptions },
+        edges: []
+      };
+      const before = pinned.get(node.id);
+      if (node !== renderGraph && before && before.parentId === parentId) {
+        elkNode.x = before.x;
+        elkNode.y = before.y;
+      }
+      if (node.nodes && node.nodes.length > 0 && node.collapsed !== true) {
+        const childParentId = node === renderGraph ? null : node.id;
+        elkNode.children = node.nodes.map(child => build(child, childParentId));
+      } else {
+        elkNode.width = node.width || this.nodeWidth;
+        elkNode.height = node.height || this.nodeHeight;
+      }
+      if (this.useNodeLabels === true && node !== renderGraph) {
+        elkNode.labels = this._makeLabels(node.label);
+      }
+      if (!_.isEmpty(node.ports)) {
+        // The size of leaf nodes is known, so their ports can be pinned to the exact positions
+        const fixedPosition = !_.isNil(elkNode.width);
+        elkNode.ports = node.ports.map(port => {
+          const elkPort = {
+            id: elkPortId(node.id, port.id),
+            width: 0,
+            height: 0,
+            layoutOptions: { 'elk.port.side': ELK_PORT_SIDES[port.side] || 'EAST' }
+          };
+          if (fixedPosition) {
+            Object.assign(elkPort, getPortPosition({ ...node, width: elkNode.width, height: elkNode.height }, port));
+          }
+          return elkPort;
+        });
+        if (_.isNil(elkNode.layoutOptions['elk.portConstraints'])) {
+          elkNode.layoutOptions['elk.portConstraints'] = fixedPosition ? 'FIXED_POS' : 'FIXED_SIDE';
+        }
+      }
+      elkNodeMap.set(node.id, elkNode);
+      nodeMap.set(node.id, node);
+      return elkNode;
+    };
+
+    const root = build(renderGraph, null);
+    root.layoutOptions = { ...this.layoutOptions, ...renderGraph.layoutOptions };
+
+    // Strategies the caller chose are left alone
+    const interactive = pinned.size > 0 && isLayered(root.layoutOptions) &&
+      Object.keys(INTERACTIVE_LAYOUT_OPTIONS).every(key => _.isNil(root.layoutOptions[key]));
+    if (interactive) {
+      elkNodeMap.forEach(elkNode => {
+        if (elkNode.children) elkNode.layoutOptions = { ...INTERACTIVE_LAYOUT_OPTIONS, ...elkNode.layoutOptions };
+      });
+    }
+
+    const parentMap = buildParentMap(renderGraph);
+    const endpoint = (nodeId, portId) => {
+      if (_.isNil(portId)) return nodeId;
+      return findPort(nodeMap.get(nodeId), portId) ? elkPortId(nodeId, portId) : nodeId;
+    };
+    flatten(renderGraph).edges.forEach(edge => {
+      const containerId = lowestCommonAncestor(parentMap, edge.source, edge.target);
+      const container = elkNodeMap.get(containerId) || root;
+      container.edges.push({
+        id: edge.id,
+        sources: [endpoint(edge.source, edge.sourcePort)],
+        targets: [endpoint(edge.target, edge.targetPort)],
+        labels: this._makeLabels(edge.label)
+      });
+    });
+    return root;
+  }
+
+  /**
+   * Map ELK results back into the rendering graph
+   */
+  _applyLayout(renderGraph, result) {
+    const elkNodeMap = new Map();
+    const elkEdgeMap = new Map();
+    const globalPositions = new Map();
+
+    const walk = (elkNode, offsetX, offsetY) => {
+      elkNodeMap.set(elkNode.id, elkNode);
+      globalPositions.set(elkNode.id, { x: offsetX, y: offsetY });
+      (elkNode.edges || []).forEach(edge => {
+        elkEdgeMap.set(edge.id, { edge, declaredIn: elkNode.id });
+      });
+      (elkNode.children || []).forEach(child => {
+        walk(child, offsetX + child.x, offsetY + child.y);
+      });
+    };
+    walk(result, 0, 0);
+
+    const { nodes, edges } = flatten(renderGraph);
+    nodes.forEach(node => {
+      const elkNode = elkNodeMap.get(node.id || ROOT_ID);
+      if (!elkNode) return;
+      if (node !== renderGraph) {
+        node.x = elkNode.x;
+        node.y = elkNode.y;
+      }
+      node.width = elkNode.width;
+      node.height = elkNode.height;
+      if (!_.isEmpty(elkNode.labels)) {
+        const label = elkNode.labels[0];
+        node.labelPosition = { x: label.x, y: label.y, width: label.width, height: label.height };
+      }
+    });
+
+    edges.forEach(edge => {
+      const entry = elkEdgeMap.get(edge.id);
+      if (!entry) return;
+      const elkEdge = entry.edge;
+
+      // Newer ELK versions report the coordinate system of the edge, older versions use
+      // the node the edge was declared in.
+      const offset = globalPositions.get(elkEdge.container || entry.declaredIn) || { x: 0, y: 0 };
+      const points = [];
+      (elkEdge.sections || []).forEach(section => {
+        points.push(section.startPoint);
+        (section.bendPoints || []).forEach(p => points.push(p));
+        points.push(section.endPoint);
+      });
+
+      if (points.length > 0) {
+        edge.points = points.map(p => ({ x: p.x + offset.x, y: p.y + offset.y }));
+      } else {
+        edge.points = [
+          this._globalCenter(elkNodeMap, globalPositions, edge.source),
+          this._globalCenter(elkNodeMap, globalPositions, edge.target)
+        ];
+      }
+
+      if (!_.isEmpty(elkEdge.labels)) {
+        const label = elkEdge.labels[0];
+        edge.labelPosition = {
+          x: label.x + offset.x,
+          y: label.y + offset.y,
+          width: label.width,
+          height: label.height
+        };
+      }
+    });
+  }
+
+  _globalCenter(elkNodeMap, globalPositions, id) {
+    const elkNode = elkNodeMap.get(id);
+    const position = globalPositions.get(id);
+    return {
+      x: position.x + 0.5 * elkNode.width,
+      y: position.y + 0.5 * elkNode.height
+    };
+  }
+}
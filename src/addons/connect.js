@@ -0,0 +1,332 @@
+import _ from 'lodash';
+import * as d3 from 'd3';
+import { traverse, getAncestors, rehomeEdges, moveEdges } from '../utils';
+import { getGlobalBox, boxContainsPoint } from '../utils/geometry';
+import { findPort, getPortPosition } from '../utils/ports';
+
+// Point on the border of a box, in the direction of p as seen from the center
+const borderPoint = (box, p) => {
+  const c = { x: box.x + 0.5 * box.width, y: box.y + 0.5 * box.height };
+  const dx = p.x - c.x;
+  const dy = p.y - c.y;
+  if (dx === 0 && dy === 0) return c;
+  const scale = Math.min(
+    dx === 0 ? Infinity : 0.5 * box.width / Math.abs(dx),
+    dy === 0 ? Infinity : 0.5 * box.height / Math.abs(dy)
+  );
+  return { x: c.x + dx * scale, y: c.y + dy * scale };
+};
+
+const connect = (G) => {
+  let settings = null;
+  let state = null;
+
+  // Chart coordinates of a pointer event
+  const chartPoint = (evt) => {
+    const p = d3.zoomTransform(G.svgEl).invert(d3.pointer(evt, G.svgEl));
+    return { x: p[0], y: p[1] };
+  };
+
+  // An end of a connection, { id, port, node }
+  const endOf = (edge, end) => {
+    return { id: edge[end], port: _.isNil(edge[`${end}Port`]) ? null : edge[`${end}Port`], node: G.getNode(edge[end]) };
+  };
+
+  // Where a connection meets a node, the port if there is one, otherwise the border of the node facing p
+  const endPosition = (end, p) => {
+    const box = getGlobalBox(end.node, G.parentMap);
+    const port = findPort(end.node, end.port);
+    if (port) {
+      const position = getPortPosition(end.node, port);
+      return { x: box.x + position.x, y: box.y + position.y };
+    }
+    return borderPoint(box, p);
+  };
+
+  /**
+   * Deepest node under the point, along with the closest port within reach. Ports sit on
+   * the border of their node, so they are looked up slightly outside of the node as well.
+   */
+  const findTarget = (p) => {
+    let found = null;
+    let depth = -1;
+    traverse(G.layout, node => {
+      if (node === G.layout) return;
+      const box = getGlobalBox(node, G.parentMap);
+      const ports = (node.ports || []).map(port => {
+        const position = getPortPosition(node, port);
+        return { port, distance: Math.hypot(box.x + position.x - p.x, box.y + position.y - p.y) };
+      }).filter(entry => entry.distance <= settings.portRadius);
+      if (ports.length === 0 && !boxContainsPoint(box, p)) return;
+
+      const level = getAncestors(G.parentMap, node.id).length;
+      if (level > depth) {
+        const closest = _.minBy(ports, 'distance');
+        found = { id: node.id, port: closest ? closest.port.id : null, node };
+        depth = level;
+      }
+    });
+    return found;
+  };
+
+  const isValid = (source, target) => {
+    if (!source || !target) return false;
+    if (source.id === target.id && settings.allowLoops !== true) return false;
+    return !settings.validateConnection || settings.validateConnection(source, target) !== false;
+  };
+
+  const highlightTarget = (target, valid) => {
+    G.chart.selectAll('.connect-target').classed('connect-target', false);
+    G.chart.selectAll('.connect-invalid').classed('connect-invalid', false);
+    if (!target) return;
+    const className = valid ? 'connect-target' : 'connect-invalid';
+    const node = G.chart.selectAll('.node').filter(d => d === target.node).classed(className, true);
+    if (!_.isNil(target.port)) {
+      const port = findPort(target.node, target.port);
+      node.selectAll('.node-port').filter(d => d === port).classed(className, true);
+    }
+  };
+
+  const drawPreview = (points) => {
+    let preview = G.chart.select('.connect-preview');
+    if (preview.empty()) {
+      preview = G.chart.append('path')
+        .classed('connect-preview', true)
+        .style('fill', 'none')
+        .style('stroke', '#369')
+        .style('stroke-width', 1.5)
+        .style('stroke-dasharray', '4 2')
+        .style('pointer-events', 'none');
+    }
+    preview.attr('d', G.pathFn(points));
+  };
+
+  const clear = () => {
+    highlightTarget(null);
+    G.chart.selectAll('.connect-preview').remove();
+  };
+
+  // Edge identifiers are "<source>-><target>", with a suffix if taken
+  const proposeId = (source, target) => {
+    const base = `${source.id}->${target.id}`;
+    let id = base;
+    for (let i = 2; !_.isNil(G.getEdge(id)); i++) {
+      id = `${base}-${i}`;
+    }
+    return id;
+  };
+
+  const proposeEdge = (source, target) => {
+    const edge = {
+      id: settings.edgeId ? settings.edgeId(source, target) : proposeId(source, target),
+      source: source.id,
+      target: target.id
+    };
+    if (!_.isNil(source.port)) edge.sourcePort = source.port;
+    if (!_.isNil(target.port)) edge.targetPort = target.port;
+    return edge;
+  };
+
+  // Drag from a node or a port to draw a new edge
+  const connectDrag = (getSource) => {
+    return d3.drag()
+      .on('start', function(evt) {
+        evt.sourceEvent.stopPropagation();
+        state = { source: getSource(this), target: null };
+      })
+      .on('drag', function(evt) {
+        const p = chartPoint(evt);
+        const target = findTarget(p);
+        const valid = isValid(state.source, target);
+        state.target = valid ? target : null;
+
+        // Hovering the source itself is not worth flagging
+        highlightTarget(target && target.id === state.source.id && !valid ? null : target, valid);
+        const start = endPosition(state.source, p);
+        drawPreview([start, valid ? endPosition(target, start) : p]);
+      })
+      .on('end', function() {
+        clear();
+        const { source, target } = state;
+        state = null;
+        if (!target) return;
+        G.emit('edgeCreated', proposeEdge(source, target), G);
+      });
+  };
+
+  const positionHandles = (selection) => {
+    selection.selectAll('.edge-endpoint')
+      .attr('cx', h => h.end === 'source' ? h.edge.points[0].x : _.last(h.edge.points).x)
+      .attr('cy', h => h.end === 'source' ? h.edge.points[0].y : _.last(h.edge.points).y);
+  };
+
+  // Like updateNode, the edge data is updated along with the edge, undo sets the previous end back
+  const setEnd = (edge, end, value) => {
+    [edge, edge.data].forEach(e => {
+      if (!e) return;
+      e[end] = value.id;
+      if (_.isNil(value.port)) {
+        delete e[`${end}Port`];
+      } else {
+        e[`${end}Port`] = value.port;
+      }
+    });
+  };
+
+  const reconnect = (edge, end, to, points) => {
+    const from = endOf(edge, end);
+    const before = _.cloneDeep(points);
+    const after = _.cloneDeep(edge.points);
+    setEnd(edge, end, to);
+    const moves = rehomeEdges(G.layout);
+    G.calculateMaps();
+
+    G.recordCommand({
+      name: 'reconnect',
+      undo: () => {
+        setEnd(edge, end, from);
+        moveEdges(moves, true);
+        G.calculateMaps();
+        edge.points = _.cloneDeep(before);
+        G.updateEdgePoints();
+      },
+      redo: () => {
+        setEnd(edge, end, to);
+        moveEdges(moves);
+        G.calculateMaps();
+        edge.points = _.cloneDeep(after);
+        G.updateEdgePoints();
+      }
+    });
+    G.emit('edgeReconnected', {
+      id: edge.id,
+      edge,
+      end,
+      from: { id: from.id, port: from.port },
+      to: { id: to.id, port: to.port }
+    }, G);
+  };
+
+  // Drag an end of an existing edge onto another node or port
+  const reconnectDrag = () => {
+    return d3.drag()
+      .on('start', function(evt, handle) {
+        evt.sourceEvent.stopPropagation();
+        state = { edge: handle.edge, end: handle.end, points: _.cloneDeep(handle.edge.points), target: null };
+      })
+      .on('drag', function(evt) {
+        const { edge, end } = state;
+        const p = chartPoint(evt);
+        const fixed = endOf(edge, end === 'source' ? 'target' : 'source');
+        const target = findTarget(p);
+        const valid = end === 'source' ? isValid(target, fixed) : isValid(fixed, target);
+        state.target = valid ? target : null;
+        highlightTarget(target, valid);
+
+        const index = end === 'source' ? 0 : edge.points.length - 1;
+        const neighbour = edge.points[end === 'source' ? 1 : edge.points.length - 2];
+        edge.points[index] = valid ? endPosition(target, neighbour) : p;
+        G.updateEdgePoints();
+        positionHandles(d3.select(this.parentNode));
+      })
+      .on('end', function() {
+        clear();
+        const { edge, end, points, target } = state;
+        state = null;
+        const current = endOf(edge, end);
+        if (!target || (target.id === current.id && target.port === current.port)) {
+          edge.points = points;
+          G.updateEdgePoints();
+          positionHandles(d3.select(this.parentNode));
+          return;
+        }
+        reconnect(edge, end, target, points);
+      });
+  };
+
+  /**
+   * Enable connect mode. Like enableDrag, this needs to be called after each render. In
+   * connect mode dragging from a node or a port draws a new edge instead of moving the node.
+   *
+   * The proposed edge, { id, source, target, sourcePort, targetPort }, comes with the
+   * edgeCreated event. It is not added to the graph, use addEdge and render for that.
+   *
+   * Dragging the end of an edge onto another node or port reconnects the edge. This changes
+   * the graph and the edge data, is recorded for undo and fires edgeReconnected.
+   *
+   * The preview edge is drawn with the renderer's pathFn, like the edges themselves.
+   *
+   * @param {object} options
+   * @param {function} options.validateConnection - (source, target) => boolean, where source and target are
+   *   { id, port, node }. Returning false rejects the connection
+   * @param {boolean} options.allowLoops - Whether a node can connect to itself, default to false
+   * @param {boolean} options.reconnect - Whether the ends of existing edges can be dragged, default to true
+   * @param {number} options.portRadius - How close to a port the pointer needs to be to target it, default to 8
+   * @param {function} options.edgeId - (source, target) => identifier of the proposed edge, default to "<source>-><target>"
+   */
+  const enableConnect = (options = {}) => {
+    disableConnect();
+    settings = {
+      ...options,
+      reconnect: options.reconnect !== false,
+      portRadius: _.isNil(options.portRadius) ? 8 : options.portRadius
+    };
+    const chart = G.chart;
+
+    chart.selectAll('.node-ui').call(connectDrag(el => {
+      const node = d3.select(el).datum();
+      return { id: node.id, port: null, node };
+    }));
+    chart.selectAll('.node-port').call(connectDrag(el => {
+      const node = d3.select(el.parentNode).datum();
+      return { id: node.id, port: d3.select(el).datum().id, node };
+    }));
+
+    if (settings.reconnect) {
+      // Aggregated edges stand for several edges, they cannot be reconnected
+      const edges = chart.selectAll('.edge').filter(d => d.aggregated !== true && !_.isEmpty(d.points));
+      edges.each(function(edge) {
+        d3.select(this).selectAll('.edge-endpoint')
+          .data([{ edge, end: 'source' }, { edge, end: 'target' }])
+          .enter().append('circle')
+          .classed('edge-endpoint', true)
+          .attr('r', 4)
+          .style('fill', '#FFF')
+          .style('stroke', '#369')
+          .style('cursor', 'move')
+          .style('opacity', 0);
+      });
+      edges.call(positionHandles);
+      edges.selectAll('.edge-endpoint').call(reconnectDrag());
+
+      // Handles show up on hover, edge points may have changed since
+      edges.on('mouseenter.connect', function() {
+        d3.select(this).call(positionHandles).selectAll('.edge-endpoint').style('opacity', 1);
+      });
+      edges.on('mouseleave.connect', function() {
+        if (state) return;
+        d3.select(this).selectAll('.edge-endpoint').style('opacity', 0);
+      });
+    }
+  };
+
+  /**
+   * Leave connect mode
+   */
+  const disableConnect = () => {
+    if (!G.chart) return;
+    clear();
+    G.chart.selectAll('.node-ui, .node-port').on('.drag', null);
+    G.chart.selectAll('.edge').on('.connect', null);
+    G.chart.selectAll('.edge-endpoint').remove();
+    settings = null;
+    state = null;
+  };
+
+  return [
+    { name: 'enableConnect', fn: enableConnect },
+    { name: 'disableConnect', fn: disableConnect }
+  ];
+};
+
+export { connect };
@@ -1,110 +1,307 @@
 import _ from 'lodash';
-import { traverse } from '../utils';
+import { traverse, buildParentMap, lowestCommonAncestor } from '../utils';
+
+const DEFAULT_COLLAPSED_SIZE = { width: 40, height: 40 };
+
+const aggregateId = (source, target) => `aggregate:${JSON.stringify([source, target])}`;
 
 const expandCollapse = (G) => {
+  // Collapsed node identifier => { nodes, width, height }, the hidden children and the size before collapsing
   const collapseTracker = new Map();
-  const hiddenEdges = new Map();
+
+  // Containers whose edge lists were rewritten => { declared, placed }, the edges the container
+  // declares and the edges put into it
+  let rewritten = new Map();
+
+  let collapsedSize = () => DEFAULT_COLLAPSED_SIZE;
+  let trackedLayout = null;
+
+  // Collapsed state belongs to a layout, setData starts over
+  const checkLayout = () => {
+    if (trackedLayout !== G.layout) {
+      trackedLayout = G.layout;
+      collapseTracker.clear();
+      rewritten = new Map();
+    }
+  };
+
+  const childrenOf = (node) => {
+    if (node.collapsed === true && collapseTracker.has(node.id)) return collapseTracker.get(node.id).nodes;
+    return node.nodes || [];
+  };
+
+  // Walk the whole hierarchy, including the nodes hidden inside collapsed nodes
+  const walkAll = (node, fn) => {
+    fn(node);
+    childrenOf(node).forEach(child => walkAll(child, fn));
+  };
 
   /**
-   * Collapse node and all children nodes.
-   * Note edges whose source and/or target are within the collapsed node are assigned
-   * to the node.
+   * Put back the edges every container declares, keeping edges added by others in the meantime
+   */
+  const restoreEdges = () => {
+    rewritten.forEach(({ declared, placed }, container) => {
+      const extras = (container.edges || []).filter(e => !placed.has(e));
+      container.edges = declared.concat(extras);
+    });
+    rewritten = new Map();
+  };
+
+  /**
+   * Recompute the visible edges. An edge whose end is hidden inside a collapsed node is
+   * attached to the outermost collapsed ancestor of that end instead. Such edges are
+   * aggregated per pair of visible ends into one edge that keeps the originals and their
+   * count. Edges with both ends in the same collapsed node are hidden.
    *
-   * @param {string} nodeId - node identifier
+   * Visible edges go into the lowest common ancestor of their ends, unless they are
+   * untouched and their own container is visible.
    */
-  const collapse = (nodeId) => {
-    // 1) Grab all nodes
-    const node = G.chart.selectAll('.node').filter(d => d.id === nodeId);
-    const childrenNodeIds = node.selectAll('.node').data().map(d => d.id);
-    collapseTracker.set(nodeId, {});
-    collapseTracker.get(nodeId).edgeMap = {};
-
-    if (childrenNodeIds.length === 0) return; // Don't collapse if already a leaf node
-
-    traverse(G.layout, (node) => {
-      if (node.id === nodeId) {
-        node.width = 40;
-        node.height = 40;
-        collapseTracker.get(nodeId).nodes = node.nodes;
-
-        // FIXME: This is buggy, if the edges are specified 2 levels or lower it will remove them.
-        // So this means we need to either
-        // - Specify all edges at the top level, or
-        // - Shift the edges to be co-loated with one of their "new parent"
-        node.nodes = [];
-        node.collapsed = true;
+  const updateEdges = () => {
+    restoreEdges();
+
+    // Node identifier => outermost collapsed ancestor, or itself
+    const representative = new Map();
+    const declarations = [];
+    const visit = (node, rep) => {
+      representative.set(node.id, rep || node.id);
+      (node.edges || []).forEach(edge => declarations.push({ edge, container: node }));
+      const hiddenBelow = rep || (node.collapsed === true && node !== G.layout ? node.id : null);
+      childrenOf(node).forEach(child => visit(child, hiddenBelow));
+    };
+    visit(G.layout, null);
+
+    const parentMap = buildParentMap(G.layout);
+    const visible = new Set();
+    traverse(G.layout, node => visible.add(node));
+    const visibleById = new Map([...visible].map(n => [n.id, n]));
+    const hostOf = (source, target) => {
+      const id = lowestCommonAncestor(parentMap, source, target);
+      return visibleById.get(id) || G.layout;
+    };
+
+    const placements = new Map(); // container => edges
+    const place = (container, edge) => {
+      if (!placements.has(container)) placements.set(container, []);
+      placements.get(container).push(edge);
+    };
+
+    const aggregates = new Map();
+    declarations.forEach(({ edge, container }) => {
+      const source = representative.get(edge.source);
+      const target = representative.get(edge.target);
+
+      // Edges to unknown nodes are left where they are
+      if (_.isNil(source) || _.isNil(target)) {
+        if (visible.has(container)) place(container, edge);
+        return;
       }
-      if (!node.edges) return;
 
-      const hidden = _.remove(node.edges, edge => {
-        return childrenNodeIds.includes(edge.source) && childrenNodeIds.includes(edge.target);
-      });
-      if (!_.isEmpty(hidden)) {
-        hiddenEdges.set(nodeId, hidden);
+      const remapped = source !== edge.source || target !== edge.target;
+      if (!remapped) {
+        place(visible.has(container) ? container : hostOf(source, target), edge);
+        return;
       }
+      if (source === target) return;
 
-      for (let i = 0; i < node.edges.length; i++) {
-        const edge = node.edges[i];
-        const source = edge.source;
-        const target = edge.target;
+      const id = aggregateId(source, target);
+      if (!aggregates.has(id)) {
+        const aggregate = {
+          id,
+          source,
+          target,
+          aggregated: true,
+          count: 0,
+          edges: [],
+          data: { id, source, target, aggregated: true, edges: [] }
+        };
+        aggregates.set(id, aggregate);
+        place(hostOf(source, target), aggregate);
+      }
+      const aggregate = aggregates.get(id);
+      aggregate.edges.push(edge);
+      aggregate.data.edges.push(edge.data);
+      aggregate.count = aggregate.edges.length;
+    });
+    aggregates.forEach(aggregate => {
+      aggregate.data.count = aggregate.count;
+      if (aggregate.count > 1) aggregate.label = String(aggregate.count);
+    });
 
-        const originalEdge = {};
-        if (childrenNodeIds.includes(source)) {
-          originalEdge.source = edge.source;
-          edge.source = nodeId;
-        }
-        if (childrenNodeIds.includes(target)) {
-          originalEdge.target = edge.target;
-          edge.target = nodeId;
-        }
+    // Rewrite the edge lists of the visible containers
+    visible.forEach(container => {
+      const edges = placements.get(container) || [];
+      const declared = container.edges || [];
+      if (edges.length === declared.length && edges.every((e, i) => e === declared[i])) return;
+      rewritten.set(container, { declared, placed: new Set(edges) });
+      container.edges = edges;
+    });
+    G.calculateMaps();
+  };
 
-        if (!_.isEmpty(originalEdge)) {
-          collapseTracker.get(nodeId).edgeMap[edge.id] = originalEdge;
-        }
-      }
+  /**
+   * Collapse node and all children nodes. Edges whose source and/or target are within
+   * the collapsed node are attached to the node, see updateEdges.
+   *
+   * @param {string} nodeId - node identifier
+   */
+  const collapse = (nodeId) => {
+    checkLayout();
+    const node = G.getNode(nodeId);
+    if (!node || node.collapsed === true || _.isEmpty(node.nodes)) return; // Leaf nodes cannot collapse
+
+    G.recordCommand({
+      name: 'collapse',
+      rerender: true,
+      undo: () => expand(nodeId),
+      redo: () => collapse(nodeId)
     });
+
+    collapseTracker.set(nodeId, { nodes: node.nodes, width: node.width, height: node.height });
+    const size = collapsedSize(node) || DEFAULT_COLLAPSED_SIZE;
+    node.width = size.width;
+    node.height = size.height;
+    node.nodes = [];
+    node.collapsed = true;
+    updateEdges();
+
+    G.emit('nodeCollapsed', { id: nodeId, node }, G);
   };
 
   /**
-   * Expand a collapsed node, and restore the original states
+   * Expand a collapsed node, and restore the original states. Collapsed nodes inside it
+   * stay collapsed.
    *
    * @param {string} nodeId - node identifier
    */
   const expand = (nodeId) => {
-    const node = G.chart.selectAll('.node').filter(d => d.id === nodeId);
+    checkLayout();
+
+    // Look up the layout rather than the DOM, the node may not be rendered yet
+    const node = G.getNode(nodeId);
+    if (!node || node.collapsed !== true || !collapseTracker.has(nodeId)) return;
+
+    G.recordCommand({
+      name: 'expand',
+      rerender: true,
+      undo: () => collapse(nodeId),
+      redo: () => expand(nodeId)
+    });
+
     const entry = collapseTracker.get(nodeId);
+    node.nodes = entry.nodes;
+    node.width = entry.width;
+    node.height = entry.height;
+    node.collapsed = false;
+    collapseTracker.delete(nodeId);
+    updateEdges();
 
-    node.datum().nodes = entry.nodes;
-    node.datum().collapsed = false;
+    G.emit('nodeExpanded', { id: nodeId, node }, G);
+  };
 
-    // Restore hidden edges
-    traverse(node.datum(), (n) => {
-      if (hiddenEdges.has(nodeId)) {
-        // console.log('restoring for', n.id, n.collapsed);
-        if (n.collapsed === false) {
-          G.layout.edges = G.layout.edges.concat(hiddenEdges.get(nodeId));
-          hiddenEdges.delete(nodeId);
+  /**
+   * Collapse the nodes at the given depth, so only that many levels stay visible. Top
+   * level nodes are at depth 1. Recorded as one undo step.
+   *
+   * @param {number} depth - default to 1
+   */
+  const collapseAll = (depth = 1) => {
+    checkLayout();
+    const ids = [];
+    const visit = (node, level) => {
+      (node.nodes || []).forEach(child => {
+        if (level === depth) {
+          if (!_.isEmpty(child.nodes)) ids.push(child.id);
+        } else {
+          visit(child, level + 1);
         }
+      });
+    };
+    visit(G.layout, 1);
+    G.transaction('collapseAll', () => {
+      ids.forEach(id => collapse(id));
+    });
+  };
+
+  /**
+   * Expand every collapsed node, including the ones inside other collapsed nodes.
+   * Recorded as one undo step.
+   */
+  const expandAll = () => {
+    checkLayout();
+    G.transaction('expandAll', () => {
+      // Expanding a node reveals the collapsed nodes inside it
+      let ids = getCollapsedIds().filter(id => G.getNode(id));
+      while (ids.length > 0) {
+        ids.forEach(id => expand(id));
+        ids = getCollapsedIds().filter(id => G.getNode(id));
       }
     });
+  };
 
-    // Revert adjusted edges
-    traverse(G.layout, (node) => {
-      if (!node.edges) return;
-      for (let i = 0; i < node.edges.length; i++) {
-        const edge = node.edges[i];
-        if (entry.edgeMap[edge.id]) {
-          edge.target = entry.edgeMap[edge.id].target || edge.target;
-          edge.source = entry.edgeMap[edge.id].source || edge.source;
-        }
+  /**
+   * Set the size of collapsed nodes
+   *
+   * @param {function} fn - (node) => { width, height }, default to 40x40
+   */
+  const setCollapsedSize = (fn) => {
+    collapsedSize = fn || (() => DEFAULT_COLLAPSED_SIZE);
+  };
+
+  /**
+   * Returns the children hidden inside a collapsed node, or null if the node is not collapsed
+   *
+   * @param {string} nodeId - node identifier
+   */
+  const getCollapsedChildren = (nodeId) => {
+    checkLayout();
+    const entry = collapseTracker.get(nodeId);
+    return entry ? entry.nodes : null;
+  };
+
+  /**
+   * Returns the identifiers of the collapsed nodes, outer nodes before the nodes
+   * collapsed inside them
+   */
+  const getCollapsedIds = () => {
+    checkLayout();
+    if (!G.layout) return [];
+    const ids = [];
+    walkAll(G.layout, node => {
+      if (collapseTracker.has(node.id)) ids.push(node.id);
+    });
+    return ids;
+  };
+
+  /**
+   * Returns the edges declared across the whole hierarchy, including the edges hidden
+   * inside collapsed nodes and the edges folded into aggregated edges. Aggregated edges
+   * themselves are not included.
+   */
+  const getAllEdges = () => {
+    checkLayout();
+    if (!G.layout) return [];
+    const edges = [];
+    walkAll(G.layout, node => {
+      const entry = rewritten.get(node);
+      const current = node.edges || [];
+      if (entry) {
+        edges.push(...entry.declared, ...current.filter(e => !entry.placed.has(e)));
+      } else {
+        edges.push(...current);
       }
     });
-    collapseTracker.delete(nodeId);
+    return edges;
   };
 
   return [
     { name: 'expand', fn: expand },
-    { name: 'collapse', fn: collapse }
+    { name: 'collapse', fn: collapse },
+    { name: 'collapseAll', fn: collapseAll },
+    { name: 'expandAll', fn: expandAll },
+    { name: 'setCollapsedSize', fn: setCollapsedSize },
+    { name: 'getCollapsedIds', fn: getCollapsedIds },
+    { name: 'getCollapsedChildren', fn: getCollapsedChildren },
+    { name: 'getAllEdges', fn: getAllEdges }
   ];
 };
 export { expandCollapse };
@@ -0,0 +1,126 @@
+import _ from 'lodash';
+import { translate } from '../utils/svg-util';
+
+// Presentation properties copied over when inlining styles
+const STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'visibility', 'display', 'filter', 'marker-start', 'marker-end',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+];
+
+const exportView = (G) => {
+  const build = (options) => {
+    const fit = _.isNil(options.fit) ? true : options.fit;
+    const padding = _.isNil(options.padding) ? 20 : options.padding;
+    const inlineStyles = _.isNil(options.inlineStyles) ? true : options.inlineStyles;
+    const background = options.background || false;
+
+    const clone = G.svgEl.cloneNode(true);
+
+    // Needs to happen before anything is removed, so elements line up one to one
+    if (inlineStyles === true) {
+      const sourceElements = G.svgEl.querySelectorAll('*');
+      const cloneElements = clone.querySelectorAll('*');
+      sourceElements.forEach((el, i) => {
+        const computed = window.getComputedStyle(el);
+        const style = STYLE_PROPERTIES
+          .map(p => [p, computed.getPropertyValue(p)])
+          .filter(([, v]) => !_.isEmpty(v))
+          .map(([p, v]) => `${p}:${v}`)
+          .join(';');
+        if (style) cloneElements[i].setAttribute('style', style);
+      });
+    }
+
+    clone.querySelectorAll('.foreground-layer').forEach(el => el.remove());
+    if (background === false) {
+      clone.querySelectorAll('.background-layer').forEach(el => el.remove());
+    }
+
+    let width = G.chartSize.width;
+    let height = G.chartSize.height;
+    if (fit === true) {
+      width = G.layout.width + 2 * padding;
+      height = G.layout.height + 2 * padding;
+      clone.querySelector('.data-layer').setAttribute('transform', translate(padding, padding));
+    }
+
+    // The SVG namespace is emitted by the serializer since the clone is an SVG element
+    clone.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clone.style.removeProperty('user-select');
+    if (!clone.getAttribute('style')) clone.removeAttribute('style');
+
+    return {
+      svg: new window.XMLSerializer().serializeToString(clone),
+      width,
+      height
+    };
+  };
+
+  /**
+   * Export the current view as a standalone SVG string. The output contains the marker
+   * definitions and the data layer, overlays such as the minimap are left out.
+   *
+   * @param {object} options
+   * @param {boolean} options.fit - Fit the output to the whole layout, otherwise keep the current zoom/pan. Default to true
+   * @param {number} options.padding - Padding around the layout when fitting, default to 20
+   * @param {boolean} options.inlineStyles - Copy computed styles into the output, so stylesheets are not needed. Default to true
+   * @param {boolean} options.background - Whether to include the background layer, default to false
+   */
+  const exportSVG = (options = {}) => {
+    return build(options).svg;
+  };
+
+  /**
+   * Export the current view as a PNG, by rasterizing the SVG export on an off-screen canvas
+   *
+   * @param {object} options - Same as exportSVG, plus
+   * @param {number} options.scale - Pixel ratio, default to 1
+   * @param {string} options.format - "blob" or "dataURL", default to blob
+   * @returns {Promise} resolves to a Blob or a data URL, rejects when the image does not load or there is no canvas to draw on
+   */
+  const exportPNG = (options = {}) => {
+    const scale = options.scale || 1;
+    const format = options.format || 'blob';
+    const { svg, width, height } = build(options);
+    const url = URL.createObjectURL(new window.Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+    return new Promise((resolve, reject) => {
+      const image = new window.Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * scale);
+        canvas.height = Math.ceil(height * scale);
+        const ctx = canvas.getContext('2d');
+        if (_.isNil(ctx)) {
+          reject(new Error('Cannot export PNG, no canvas 2d context'));
+          return;
+        }
+        ctx.scale(scale, scale);
+        ctx.drawImage(image, 0, 0, width, height);
+
+        if (format === 'dataURL') {
+          resolve(canvas.toDataURL('image/png'));
+        } else {
+          canvas.toBlob(resolve, 'image/png');
+        }
+      };
+      image.onerror = (err) => {
+        URL.revokeObjectURL(url);
+        reject(err);
+      };
+      image.src = url;
+    });
+  };
+
+  return [
+    { name: 'exportSVG', fn: exportSVG },
+    { name: 'exportPNG', fn: exportPNG }
+  ];
+};
+
+export { exportView };
@@ -1,70 +1,206 @@
 import _ from 'lodash';
+import { traverse, getAncestors, lowestCommonAncestor, rehomeEdges } from '../utils';
+
+/**
+ * Copy of a node and of the nodes inside it, for moving to another parent. In delta mode
+ * the renderer tells elements apart by their data, so the elements left behind need to
+ * keep the old objects for them to be removed rather than drawn again.
+ */
+const cloneNode = (node) => ({
+  ...node,
+  nodes: node.nodes ? node.nodes.map(cloneNode) : node.nodes,
+  edges: node.edges ? [...node.edges] : node.edges
+});
 
 const group = (G) => {
+  // Group identifier => { nodeIds, label, style }
+  const groups = new Map();
+
+  // The node and edge lists of every node, enough to revert any regrouping
+  const snapshot = () => {
+    const lists = new Map();
+    traverse(G.layout, node => {
+      lists.set(node, { nodes: node.nodes ? [...node.nodes] : node.nodes, edges: node.edges ? [...node.edges] : node.edges });
+    });
+    return { lists, groups: new Map(groups) };
+  };
+
+  const restore = (state) => {
+    state.lists.forEach((lists, node) => {
+      node.nodes = lists.nodes ? [...lists.nodes] : lists.nodes;
+      node.edges = lists.edges ? [...lists.edges] : lists.edges;
+    });
+    groups.clear();
+    state.groups.forEach((v, k) => groups.set(k, v));
+    G.calculateMaps();
+  };
+
+  const recordChange = (name, before) => {
+    const after = snapshot();
+    G.recordCommand({
+      name,
+      rerender: true,
+      undo: () => restore(before),
+      redo: () => restore(after)
+    });
+  };
+
   /**
-   * Group nodes, must be at the same level (all nodes must share the same parent)
+   * Group nodes. Nodes do not need to share the same parent, the group is created in
+   * their lowest common ancestor and the nodes are lifted into it. Groups can contain
+   * other groups. Edges that no longer fit their container are moved to the lowest common
+   * ancestor of their ends.
    *
-   * @param {string} groupName
+   * @param {string} groupId - group identifier
    * @param {array} nodeIds - node identifiers
+   * @param {object} options
+   * @param {string} options.label - Group label, default to the group identifier
+   * @param {object} options.style - Style hints for the renderer, kept on the group node and its data
+   * @param {boolean} options.collapsed - Whether to collapse the group right away, requires the expandCollapse addon
+   * @param {string} options.type - Group node type, default to "custom"
+   * @param {object} options.data - Additional group data
    */
-  const group = (groupName, nodeIds) => {
-    const chart = G.chart;
-
-    // 0) check parent
-    const nodesData = chart.selectAll('.node').filter(d => nodeIds.includes(d.id)).data();
-    if (_.uniq(nodesData.map(d => G.parentMap.get(d.id).id)).length !== 1) {
-      console.log('Cannot group across different levels');
-      return;
+  const group = (groupId, nodeIds, options = {}) => {
+    if (!_.isNil(G.getNode(groupId))) {
+      throw new Error(`Cannot group, duplicate node id ${groupId}`);
+    }
+    if (_.isEmpty(nodeIds)) {
+      throw new Error('Cannot group, no nodes given');
+    }
+    const unknown = nodeIds.find(id => _.isNil(G.getNode(id)) || id === G.layout.id);
+    if (!_.isNil(unknown)) {
+      throw new Error(`Cannot group, unknown node ${unknown}`);
+    }
+    const nested = nodeIds.find(id => getAncestors(G.parentMap, id).slice(1).some(a => nodeIds.includes(a)));
+    if (!_.isNil(nested)) {
+      throw new Error(`Cannot group a node together with its ancestor, ${nested}`);
     }
 
+    // The lowest common ancestor of the nodes, or the parent of a single node
+    const containerId = nodeIds.slice(1).reduce(
+      (acc, id) => lowestCommonAncestor(G.parentMap, acc, id),
+      G.parentMap.get(nodeIds[0]).id
+    );
+    const container = G.getNode(containerId);
+
+    const before = snapshot();
+    const label = options.label || groupId;
     const groupNode = {
-      id: groupName,
-      label: groupName,
-      type: 'custom',
+      id: groupId,
+      label,
+      type: options.type || 'custom',
       nodes: [],
-      data: { label: groupName }
+      edges: [],
+      data: { ...options.data, id: groupId, label, style: options.style, group: true }
     };
+    if (options.style) groupNode.style = options.style;
+
+    // Take the place of the first child of the container that holds a grouped node
+    const index = container.nodes.findIndex(n => nodeIds.some(id => getAncestors(G.parentMap, id).includes(n.id)));
 
-    // 1) Move nodes to new group
-    const parentData = G.parentMap.get(nodesData[0].id);
     nodeIds.forEach(nodeId => {
-      const temp = _.remove(parentData.nodes, node => node.id === nodeId)[0];
+      const parent = G.parentMap.get(nodeId);
+      const node = _.remove(parent.nodes, n => n.id === nodeId)[0];
+      groupNode.nodes.push(cloneNode(node));
+    });
+    container.nodes.splice(index, 0, groupNode);
 
-      // Need to create a new node wrapper to avoid double pointers problem
-      const newNode = { ...temp };
-      groupNode.nodes.push(newNode);
+    rehomeEdges(G.layout);
+    groups.set(groupId, { nodeIds: [...nodeIds], label, style: options.style });
+    G.calculateMaps();
+
+    G.transaction('group', () => {
+      recordChange('group', before);
+      if (options.collapsed === true && G.collapse) {
+        G.collapse(groupId);
+      }
     });
+    G.emit('groupCreated', { id: groupId, nodeIds: [...nodeIds], node: groupNode }, G);
+    return groupNode;
+  };
 
-    // 2) Add new gruop node
-    parentData.nodes.push(groupNode);
+  /**
+   * Ungroup, the children of the group move up into the group's parent. Works for any
+   * nested node, not only for groups created with group.
+   *
+   * @param {string} groupId - group identifier
+   */
+  const ungroup = (groupId) => {
+    const groupNode = G.getNode(groupId);
+    const parent = G.parentMap.get(groupId);
+    if (!groupNode || !parent) {
+      throw new Error(`Cannot ungroup, unknown node ${groupId}`);
+    }
 
-    G.calculateMaps();
+    G.transaction('ungroup', () => {
+      // Children of a collapsed group are stashed away, bring them back first
+      if (groupNode.collapsed === true && G.expand) {
+        G.expand(groupId);
+      }
+
+      const before = snapshot();
+      const nodeIds = (groupNode.nodes || []).map(n => n.id);
+      const index = parent.nodes.findIndex(n => n.id === groupId);
+      parent.nodes.splice(index, 1, ...(groupNode.nodes || []).map(cloneNode));
+      parent.edges = (parent.edges || []).concat(groupNode.edges || []);
+
+      rehomeEdges(G.layout);
+      groups.delete(groupId);
+      G.calculateMaps();
+      recordChange('ungroup', before);
+      G.emit('groupRemoved', { id: groupId, nodeIds }, G);
+    });
   };
 
   /**
-   * Ungroup
-   * @param {string} groupName
+   * Group nodes sharing the same key, among the children of each node. Keys can come
+   * from a data attribute or a function, nodes without a key are left alone, and so are
+   * children that all share the same key. Recorded as one undo step.
+   *
+   * @param {string|function} keyFn - data attribute name, or (node) => key
+   * @param {object} options - same as group, plus
+   * @param {number} options.minSize - Minimum number of nodes to form a group, default to 2
+   * @param {function} options.groupId - (key, parent) => group identifier, default to "<parent id>:<key>"
+   * @returns {array} identifiers of the created groups
    */
-  const ungroup = (groupName) => {
-    const chart = G.chart;
-    const groupData = chart.selectAll('.node').filter(d => d.id === groupName).data()[0];
-    const parentData = groupData.parent;
-
-    // 0) Remove group
-    _.remove(parentData.nodes, n => n.id === groupName);
-
-    // 1) Add group children back into group parent
-    groupData.nodes.forEach(node => {
-      const temp = { ...node };
-      temp.parent = parentData;
-      parentData.nodes.push(temp);
+  const autoGroup = (keyFn, options = {}) => {
+    const key = typeof keyFn === 'function' ? keyFn : (node) => node.data ? node.data[keyFn] : undefined;
+    const minSize = options.minSize || 2;
+    const groupIdFn = options.groupId || ((k, parent) => `${parent.id}:${k}`);
+
+    const clusters = [];
+    traverse(G.layout, parent => {
+      if (_.isEmpty(parent.nodes)) return;
+      const byKey = _.groupBy(parent.nodes.filter(n => !_.isNil(key(n))), n => key(n));
+      Object.keys(byKey).forEach(k => {
+        if (byKey[k].length < minSize || byKey[k].length === parent.nodes.length) return;
+        clusters.push({ id: groupIdFn(k, parent), label: k, nodeIds: byKey[k].map(n => n.id) });
+      });
+    });
+
+    const created = [];
+    G.transaction('autoGroup', () => {
+      clusters.forEach(cluster => {
+        if (!_.isNil(G.getNode(cluster.id))) return;
+        group(cluster.id, cluster.nodeIds, { ...options, label: options.label || cluster.label });
+        created.push(cluster.id);
+      });
     });
-    delete groupData.nodes;
+    return created;
+  };
+
+  /**
+   * Returns the groups created so far, [{ id, nodeIds, label, style }]
+   */
+  const getGroups = () => {
+    return [...groups.entries()].map(([id, entry]) => ({ id, ...entry, nodeIds: [...entry.nodeIds] }));
   };
 
   return [
     { name: 'group', fn: group },
-    { name: 'ungroup', fn: ungroup }
+    { name: 'ungroup', fn: ungroup },
+    { name: 'autoGroup', fn: autoGroup },
+    { name: 'getGroups', fn: getGroups }
   ];
 };
 
@@ -0,0 +1,216 @@
+import _ from 'lodash';
+import * as d3 from 'd3';
+import { flatten } from '../utils';
+import { getGlobalBox } from '../utils/geometry';
+
+const DIRECTIONS = {
+  ArrowRight: { x: 1, y: 0 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+const labelOf = (d) => {
+  if (!_.isNil(d.label)) return String(d.label);
+  if (d.data && !_.isNil(d.data.label)) return String(d.data.label);
+  return String(d.id);
+};
+
+const keyboard = (G) => {
+  // Roving tabindex, only the active element is in the tab sequence
+  let activeId = null;
+  let activeType = 'node';
+
+  // Node the focused edge was reached from, for cycling through its edges and going back
+  let edgeOrigin = null;
+
+  const nodeElement = (id) => G.chart.selectAll('.node').filter(d => d.id === id);
+  const edgeElement = (id) => G.chart.selectAll('.edge').filter(d => d.id === id);
+
+  const setActive = (id, type) => {
+    activeId = id;
+    activeType = type;
+    G.chart.selectAll('.node').attr('tabindex', d => type === 'node' && d.id === id ? 0 : -1);
+    G.chart.selectAll('.edge').attr('tabindex', d => type === 'edge' && d.id === id ? 0 : -1);
+  };
+
+  const focus = (id, type = 'node') => {
+    const element = type === 'node' ? nodeElement(id) : edgeElement(id);
+    if (element.empty()) return;
+    setActive(id, type);
+    element.node().focus();
+  };
+
+  const incidentEdges = (nodeId) => {
+    return flatten(G.layout).edges.filter(e => e.source === nodeId || e.target === nodeId);
+  };
+
+  const focusEdgeOf = (nodeId, edgeId) => {
+    edgeOrigin = nodeId;
+    focus(edgeId, 'edge');
+  };
+
+  const center = (node) => {
+    const box = getGlobalBox(node, G.parentMap);
+    return { x: box.x + 0.5 * box.width, y: box.y + 0.5 * box.height };
+  };
+
+  /**
+   * Pick the connected node that lies closest to the given direction
+   */
+  const neighbourInDirection = (node, direction) => {
+    const edges = flatten(G.layout).edges;
+    const neighbourIds = _.uniq(edges.flatMap(e => {
+      if (e.source === node.id) return [e.target];
+      if (e.target === node.id) return [e.source];
+      return [];
+    })).filter(id => id !== node.id);
+
+    const origin = center(node);
+    let best = null;
+    let bestScore = Infinity;
+    neighbourIds.forEach(id => {
+      const neighbour = G.getNode(id);
+      if (!neighbour) return;
+      const c = center(neighbour);
+      const vx = c.x - origin.x;
+      const vy = c.y - origin.y;
+      const along = vx * direction.x + vy * direction.y;
+      if (along <= 0) return;
+      const across = Math.abs(vx * direction.y - vy * direction.x);
+      const score = along + 2 * across;
+      if (score < bestScore) {
+        bestScore = score;
+        best = neighbour;
+      }
+    });
+    return best;
+  };
+
+  const toggle = (d, expand) => {
+    if (expand === true && d.collapsed === true && G.expand) {
+      G.expand(d.id);
+    } else if (expand === false && d.collapsed !== true && d.nodes && d.nodes.length > 0 && G.collapse) {
+      G.collapse(d.id);
+    } else {
+      return;
+    }
+    G.render().then(() => {
+      enableKeyboard();
+      focus(d.id);
+    }).catch(error => {
+      if (!G.registry.has('renderError')) throw error;
+      G.emit('renderError', { error, action: expand ? 'expand' : 'collapse', id: d.id }, G);
+    });
+  };
+
+  const nodeKeyDown = function(evt, d) {
+    const registry = G.registry;
+    if (DIRECTIONS[evt.key]) {
+      const neighbour = neighbourInDirection(d, DIRECTIONS[evt.key]);
+      if (neighbour) focus(neighbour.id);
+    } else if (evt.key === 'Enter') {
+      if (registry.has('nodeClick')) {
+        registry.get('nodeClick')(evt, d3.select(this).select('.node-ui'), G);
+      }
+    } else if (evt.key === '+' || evt.key === '=') {
+      toggle(d, true);
+    } else if (evt.key === '-') {
+      toggle(d, false);
+    } else if (evt.key === 'e') {
+      const edges = incidentEdges(d.id);
+      if (edges.length > 0) focusEdgeOf(d.id, edges[0].id);
+    } else {
+      return;
+    }
+    evt.preventDefault();
+    evt.stopPropagation();
+  };
+
+  const edgeKeyDown = function(evt, d) {
+    const registry = G.registry;
+    if (evt.key === 'ArrowRight' || evt.key === 'ArrowDown') {
+      focus(d.target);
+    } else if (evt.key === 'ArrowLeft' || evt.key === 'ArrowUp') {
+      focus(d.source);
+    } else if (evt.key === 'Enter') {
+      if (registry.has('edgeClick')) {
+        registry.get('edgeClick')(evt, d3.select(this), G);
+      }
+    } else if (evt.key === 'e') {
+      const origin = edgeOrigin === d.target ? d.target : d.source;
+      const edges = incidentEdges(origin);
+      const index = edges.findIndex(e => e.id === d.id);
+      focusEdgeOf(origin, edges[(index + 1) % edges.length].id);
+    } else if (evt.key === 'Escape') {
+      focus(edgeOrigin === d.target ? d.target : d.source);
+    } else {
+      return;
+    }
+    evt.preventDefault();
+    evt.stopPropagation();
+  };
+
+  /**
+   * Make nodes and edges keyboard accessible, and annotate them with ARIA roles and
+   * labels. Like enableDrag, this needs to be called after each render.
+   *
+   * Keys, when a node has focus
+   * - Arrow keys: move to the connected node in that direction
+   * - Enter: nodeClick
+   * - +/-: expand/collapse, requires the expandCollapse addon. If the render that follows fails,
+   *   renderError fires with { error, action, id }, without a callback the promise rejects
+   * - e: move to the first edge of the node
+   *
+   * Keys, when an edge has focus
+   * - Right/Down: move to the target node
+   * - Left/Up: move to the source node
+   * - Enter: edgeClick
+   * - e: move to the next edge of the node the edge was reached from
+   * - Escape: back to the node the edge was reached from
+   */
+  const enableKeyboard = () => {
+    const svg = d3.select(G.svgEl);
+    svg.attr('role', 'graphics-document').attr('aria-roledescription', 'graph');
+
+    G.chart.selectAll('.node')
+      .attr('role', 'graphics-object')
+      .attr('aria-roledescription', 'node')
+      .attr('aria-label', labelOf)
+      .attr('aria-expanded', d => {
+        if (d.collapsed === true) return 'false';
+        if (d.nodes && d.nodes.length > 0) return 'true';
+        return null;
+      })
+      .on('keydown.keyboard', nodeKeyDown)
+      .on('focus.keyboard', (evt, d) => setActive(d.id, 'node'));
+
+    G.chart.selectAll('.edge')
+      .attr('role', 'graphics-symbol')
+      .attr('aria-roledescription', 'edge')
+      .attr('aria-label', d => {
+        const source = G.getNode(d.source);
+        const target = G.getNode(d.target);
+        const prefix = _.isNil(d.label) ? '' : `${d.label}, `;
+        return `${prefix}from ${source ? labelOf(source) : d.source} to ${target ? labelOf(target) : d.target}`;
+      })
+      .on('keydown.keyboard', edgeKeyDown)
+      .on('focus.keyboard', (evt, d) => setActive(d.id, 'edge'));
+
+    // Keep the current element in the tab sequence if it still exists
+    const exists = activeType === 'node' ? !_.isNil(G.getNode(activeId)) : !_.isNil(G.getEdge(activeId));
+    if (!_.isNil(activeId) && exists) {
+      setActive(activeId, activeType);
+    } else if (G.layout.nodes && G.layout.nodes.length > 0) {
+      setActive(G.layout.nodes[0].id, 'node');
+    }
+  };
+
+  return [
+    { name: 'enableKeyboard', fn: enableKeyboard },
+    { name: 'focusNode', fn: (id) => focus(id, 'node') },
+    { name: 'focusEdge', fn: (id) => focus(id, 'edge') }
+  ];
+};
+
+export { keyboard };
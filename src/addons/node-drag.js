@@ -1,75 +1,425 @@
+import _ from 'lodash';
 import * as d3 from 'd3';
-import { flatten } from '../utils';
+import { flatten, traverse, getAncestors, rehomeEdges, moveEdges } from '../utils';
 import { translate } from '../utils/svg-util';
+import { getGlobalPosition, getGlobalBox, boxContainsPoint } from '../utils/geometry';
 import { getAStarPath } from '../utils/a-star';
+import { routeOrthogonalEdges } from '../utils/orthogonal-router';
 
 const nodeDrag = (G) => {
   const edgeTracker = new Map();
 
+  // Everything that has been moved by dragging so far
+  const movedNodeIds = new Set();
+  const movedEdgeIds = new Set();
+
+  // Boxes of the nodes and points of the edges a drag changes, for undo/redo
+  const snapshot = (nodes, edges) => {
+    return {
+      nodes: nodes.map(node => ({ node, x: node.x, y: node.y, width: node.width, height: node.height })),
+      edges: edges.map(edge => ({ edge, points: _.cloneDeep(edge.points) }))
+    };
+  };
+
+  const restore = (state) => {
+    const resized = new Set();
+    state.nodes.forEach(({ node, x, y, width, height }) => {
+      if (node.width !== width || node.height !== height) resized.add(node);
+      Object.assign(node, { x, y, width, height });
+    });
+    state.edges.forEach(({ edge, points }) => {
+      edge.points = _.cloneDeep(points);
+    });
+    G.chart.selectAll('.node').attr('transform', d => translate(d.x, d.y));
+    redraw(resized);
+    G.updateEdgePoints();
+  };
+
+  // Draw nodes again after a size change, only the delta mode can update nodes in place
+  const redraw = (nodes) => {
+    if (nodes.size === 0 || G.options.renderMode !== 'delta') return;
+    G.chart.selectAll('.node-ui').filter(d => nodes.has(d)).call(G.renderNodeUpdated, G);
+  };
+
+  /**
+   * Grow the ancestors of a node until they contain it, starting with its parent. Growing
+   * to the left or to the top moves the parent and shifts its children the other way, so
+   * nothing moves on screen. Returns the nodes whose box changed.
+   */
+  const growParents = (node) => {
+    const changed = new Set();
+    let child = node;
+    let parent = G.parentMap.get(child.id);
+    while (parent && parent !== G.layout) {
+      const shiftX = Math.max(0, -child.x);
+      const shiftY = Math.max(0, -child.y);
+      if (shiftX > 0 || shiftY > 0) {
+        parent.x -= shiftX;
+        parent.y -= shiftY;
+        parent.width += shiftX;
+        parent.height += shiftY;
+        parent.nodes.forEach(n => {
+          n.x += shiftX;
+          n.y += shiftY;
+          changed.add(n);
+        });
+        changed.add(parent);
+      }
+      if (child.x + child.width > parent.width || child.y + child.height > parent.height) {
+        parent.width = Math.max(parent.width, child.x + child.width);
+        parent.height = Math.max(parent.height, child.y + child.height);
+        changed.add(parent);
+      }
+      child = parent;
+      parent = G.parentMap.get(child.id);
+    }
+    return changed;
+  };
+
+  /**
+   * Snap a box to the edges and centers of other nodes. Returns the adjustment and the
+   * guides to draw, in global coordinates.
+   */
+  const findAlignment = (box, others, threshold) => {
+    const result = { dx: 0, dy: 0, guides: [] };
+    const axes = [
+      { key: 'dx', start: 'x', size: 'width', cross: 'y', crossSize: 'height' },
+      { key: 'dy', start: 'y', size: 'height', cross: 'x', crossSize: 'width' }
+    ];
+    axes.forEach(({ key, start, size, cross, crossSize }) => {
+      const values = (b) => [b[start], b[start] + 0.5 * b[size], b[start] + b[size]];
+      let best = null;
+      others.forEach(other => {
+        values(box).forEach(v => {
+          values(other).forEach(w => {
+            const diff = w - v;
+            if (Math.abs(diff) <= threshold && (best === null || Math.abs(diff) < Math.abs(best.diff))) {
+              best = { diff, at: w, other };
+            }
+          });
+        });
+      });
+      if (best === null) return;
+      result[key] = best.diff;
+      const from = Math.min(box[cross], best.other[cross]);
+      const to = Math.max(box[cross] + box[crossSize], best.other[cross] + best.other[crossSize]);
+      result.guides.push(start === 'x'
+        ? { x1: best.at, y1: from, x2: best.at, y2: to }
+        : { x1: from, y1: best.at, x2: to, y2: best.at });
+    });
+    return result;
+  };
+
+  const drawGuides = (guides) => {
+    G.chart.selectAll('.drag-guide').remove();
+    guides.forEach(g => {
+      G.chart.append('line')
+        .classed('drag-guide', true)
+        .attr('x1', g.x1)
+        .attr('y1', g.y1)
+        .attr('x2', g.x2)
+        .attr('y2', g.y2)
+        .style('stroke', '#e0457b')
+        .style('stroke-width', 1)
+        .style('stroke-dasharray', '3 3')
+        .style('pointer-events', 'none');
+    });
+  };
+
+  // The element holding the children of a node, the chart itself for the top level
+  const childrenContainer = (parent) => {
+    if (parent === G.layout) return G.chart;
+    return G.chart.selectAll('.node').filter(d => d === parent).selectChild('.node-children');
+  };
+
+  /**
+   * Move a node to another parent, at the given position in the new parent's space. The
+   * node's element moves along, so there is no need to render again.
+   */
+  const moveToParent = (node, parent, x, y, index) => {
+    const oldParent = G.parentMap.get(node.id);
+    _.remove(oldParent.nodes, n => n === node);
+    if (!parent.nodes) parent.nodes = [];
+    parent.nodes.splice(_.isNil(index) ? parent.nodes.length : index, 0, node);
+    node.x = x;
+    node.y = y;
+
+    const el = G.chart.selectAll('.node').filter(d => d === node);
+    const container = childrenContainer(parent);
+    if (!el.empty() && !container.empty()) {
+      container.node().appendChild(el.node());
+      el.attr('transform', translate(x, y));
+    }
+    G.calculateMaps();
+  };
+
+  const globalCenter = (node) => {
+    const position = getGlobalPosition(node, G.parentMap);
+    return { x: position.x + 0.5 * node.width, y: position.y + 0.5 * node.height };
+  };
+
+  /**
+   * Deepest expanded group under the point, other than the dragged nodes and the nodes
+   * inside them. The top level if there is none.
+   */
+  const findDropTarget = (draggedIds, p) => {
+    let target = G.layout;
+    let depth = 0;
+    traverse(G.layout, n => {
+      if (n === G.layout || _.isEmpty(n.nodes) || n.collapsed === true) return;
+      const ancestors = getAncestors(G.parentMap, n.id);
+      if (ancestors.some(id => draggedIds.has(id))) return;
+      if (ancestors.length > depth && boxContainsPoint(getGlobalBox(n, G.parentMap), p)) {
+        target = n;
+        depth = ancestors.length;
+      }
+    });
+    return target;
+  };
+
+  const highlightDropTarget = (target) => {
+    G.chart.selectAll('.drop-target').classed('drop-target', false);
+    G.chart.selectAll('.drop-target-outline').remove();
+    if (!target || target === G.layout) return;
+    G.chart.selectAll('.node').filter(d => d === target)
+      .classed('drop-target', true)
+      .append('rect')
+      .classed('drop-target-outline', true)
+      .attr('width', target.width)
+      .attr('height', target.height)
+      .style('fill', 'none')
+      .style('stroke', '#369')
+      .style('stroke-width', 2)
+      .style('stroke-dasharray', '4 2')
+      .style('pointer-events', 'none');
+  };
+
   /**
    * Enable node dragging, this will recalculate edge end points as well
+   *
+   * @param {object} options - Drag options. A boolean or a string is taken as options.routing
+   * @param {boolean|string} options.routing - How to reroute the edges of the dragged nodes once the drag ends.
+   *   "astar" (or true) for grid based A* routing, "orthogonal" for orthogonal routing around nodes
+   *   and groups. Default to no rerouting
+   * @param {array|function} options.nodeIds - Nodes that move together, or a function returning them. Default
+   *   to the current selection when the selection addon is used. Dragging a node outside of the set moves
+   *   that node alone
+   * @param {number} options.grid - Snap the dragged node to a grid of this size, default to no snapping
+   * @param {boolean} options.guides - Snap to and show guides for the edges and centers of nearby nodes, default to false
+   * @param {number} options.guideThreshold - How close to a guide before snapping, default to 5
+   * @param {boolean} options.growParents - Grow the parents, and their ancestors, when nodes are dragged against
+   *   their edges. By default nodes cannot leave their parent
+   * @param {boolean} options.reparent - Whether nodes can be dragged out of their parent and dropped into
+   *   another group, default to false. Each dragged node goes to the group under its center
+   * @param {function} options.validateDrop - Optional (node, newParent, oldParent) => boolean, returning false
+   *   vetoes the drop and the nodes go back to where they were
    */
-  const enableDrag = (useAStarRouting) => {
+  const enableDrag = (options = {}) => {
+    if (!_.isObject(options)) {
+      options = { routing: options };
+    }
+    const routing = options.routing;
+    const reparent = options.reparent === true;
+    const grow = options.growParents === true;
+    const grid = options.grid || 0;
+    const threshold = _.isNil(options.guideThreshold) ? 5 : options.guideThreshold;
+    const useAStarRouting = routing === true || routing === 'astar';
     const chart = G.chart;
     let data = null;
+    let before = null;
+
+    // What the drag changes, see trackChanges
+    let changedNodes = null;
+    let changedEdges = null;
+
+    // The nodes being dragged, the node under the pointer first
+    let dragged = [];
+    let draggedIds = null;
+    let origin = null; // global position of the node under the pointer at the start
+    let pointer = null; // pointer movement so far
+    let applied = null; // movement applied so far
+    let started = false;
+
+    const groupIds = () => {
+      if (options.nodeIds) {
+        return typeof options.nodeIds === 'function' ? options.nodeIds() : options.nodeIds;
+      }
+      return G.getSelection ? G.getSelection().nodes : [];
+    };
+
+    const positions = () => {
+      const result = {};
+      dragged.forEach(node => { result[node.id] = { x: node.x, y: node.y }; });
+      return result;
+    };
 
     function dragStart(evt) {
-      data = flatten(G.layout);
+      const node = d3.select(this).datum();
+      const ids = groupIds() || [];
+      const group = ids.includes(node.id) ? ids : [node.id];
+
+      // Nodes inside another dragged node move along with it
+      const nodes = group.map(id => G.getNode(id)).filter(n => !_.isNil(n) && n !== G.layout);
+      const top = nodes.filter(n => !getAncestors(G.parentMap, n.id).slice(1).some(id => group.includes(id)));
+      dragged = [node, ...top.filter(n => n !== node)];
+
+      draggedIds = new Set();
+      dragged.forEach(n => traverse(n, d => draggedIds.add(d.id)));
+      origin = getGlobalPosition(node, G.parentMap);
+      pointer = { x: 0, y: 0 };
+      applied = { x: 0, y: 0 };
+      started = false;
       evt.sourceEvent.stopPropagation();
     }
 
-    function dragMove(evt) {
-      const node = d3.select(this);
-      const draggedIds = [node.datum().id, ...node.selectAll('.node').data().map(d => d.id)];
+    /**
+     * Snapshot what the drag can change: the dragged nodes and the edges attached to them or
+     * to the nodes inside them. Growing parents changes the ancestors too, and growing to the
+     * left or to the top shifts their children. Taken on the first move, a click moves nothing.
+     */
+    const trackChanges = () => {
+      data = flatten(G.layout);
+      const nodes = new Set(dragged);
+      if (grow) {
+        dragged.forEach(node => {
+          let parent = G.parentMap.get(node.id);
+          while (parent && parent !== G.layout) {
+            nodes.add(parent);
+            parent.nodes.forEach(n => nodes.add(n));
+            parent = G.parentMap.get(parent.id);
+          }
+        });
+      }
+      changedNodes = [...nodes];
+      changedEdges = data.edges.filter(edge => draggedIds.has(edge.source) || draggedIds.has(edge.target));
+      before = snapshot(changedNodes, changedEdges);
+    };
 
-      // Check if there is a parent container
-      const parentData = d3.select(this.parentNode).datum();
+    // Movement of the dragged nodes since the start, after snapping
+    const targetOffset = (primary) => {
+      let x = pointer.x;
+      let y = pointer.y;
+      if (grid > 0) {
+        x = Math.round((origin.x + x) / grid) * grid - origin.x;
+        y = Math.round((origin.y + y) / grid) * grid - origin.y;
+      }
+      if (options.guides !== true) return { x, y, guides: [] };
 
-      // Adjust node
-      const dx = evt.dx;
-      const dy = evt.dy;
+      const ancestors = getAncestors(G.parentMap, primary.id);
+      const others = data.nodes
+        .filter(n => n !== G.layout && !draggedIds.has(n.id) && !ancestors.includes(n.id))
+        .map(n => getGlobalBox(n, G.parentMap));
+      const box = { x: origin.x + x, y: origin.y + y, width: primary.width, height: primary.height };
+      const alignment = findAlignment(box, others, threshold);
+      return { x: x + alignment.dx, y: y + alignment.dy, guides: alignment.guides };
+    };
 
-      // Short circuit
-      if (parentData) {
-        if (node.datum().x + node.datum().width + dx > (parentData.width) || node.datum().x + dx < 0) {
-          return;
-        }
-        if (node.datum().y + node.datum().height + dy > (parentData.height) || node.datum().y + dy < 0) {
-          return;
-        }
+    // Keep the step within the parents, unless nodes can leave or grow them
+    const constrain = (step) => {
+      if (reparent || grow) return step;
+      const result = { ...step };
+      dragged.forEach(node => {
+        const parent = G.parentMap.get(node.id);
+        if (!parent || parent === G.layout) return;
+        if (node.x + node.width + result.x > parent.width || node.x + result.x < 0) result.x = 0;
+        if (node.y + node.height + result.y > parent.height || node.y + result.y < 0) result.y = 0;
+      });
+      return result;
+    };
+
+    function dragMove(evt) {
+      const primary = dragged[0];
+      if (!started) {
+        started = true;
+        trackChanges();
+        G.emit('nodeDragStart', { ids: dragged.map(n => n.id), positions: positions() }, G);
       }
+      pointer.x += evt.dx;
+      pointer.y += evt.dy;
+
+      const target = targetOffset(primary);
+      const step = constrain({ x: target.x - applied.x, y: target.y - applied.y });
+      drawGuides(target.guides);
+      if (step.x === 0 && step.y === 0) return;
+      applied.x += step.x;
+      applied.y += step.y;
+
+      // Adjust nodes
+      const moved = new Set(dragged);
+      const resized = new Set();
+      dragged.forEach(node => {
+        node.x += step.x;
+        node.y += step.y;
+      });
+      if (grow) {
+        dragged.forEach(node => {
+          growParents(node).forEach(n => {
+            moved.add(n);
+            if (!_.isEmpty(n.nodes)) resized.add(n);
+          });
+        });
+      }
+      chart.selectAll('.node').filter(d => moved.has(d)).attr('transform', d => translate(d.x, d.y));
+      redraw(resized);
 
-      node.datum().x += dx;
-      node.datum().y += dy;
-      node.attr('transform', translate(node.datum().x, node.datum().y));
       // Adjust edge
-      data.edges.forEach(edge => {
+      changedEdges.forEach(edge => {
         const source = edge.source;
         const target = edge.target;
 
         // FIXME: ids might not work once the graph is actually database driven.
-        if (draggedIds.includes(source) && draggedIds.includes(target)) {
+        if (draggedIds.has(source) && draggedIds.has(target)) {
           edge.points.forEach(p => {
-            p.x += dx;
-            p.y += dy;
+            p.x += step.x;
+            p.y += step.y;
           });
           edgeTracker.set(edge.id, 1);
-        } else if (draggedIds.includes(source)) {
-          edge.points[0].x += dx;
-          edge.points[0].y += dy;
+        } else if (draggedIds.has(source)) {
+          edge.points[0].x += step.x;
+          edge.points[0].y += step.y;
           edgeTracker.set(edge.id, 1);
-        } else if (draggedIds.includes(target)) {
-          edge.points[edge.points.length - 1].x += dx;
-          edge.points[edge.points.length - 1].y += dy;
+        } else if (draggedIds.has(target)) {
+          edge.points[edge.points.length - 1].x += step.x;
+          edge.points[edge.points.length - 1].y += step.y;
           edgeTracker.set(edge.id, 1);
         }
       });
 
       // update edges based on new source/target coords
       G.updateEdgePoints();
+
+      if (reparent) {
+        const dropTarget = findDropTarget(draggedIds, globalCenter(primary));
+        highlightDropTarget(dropTarget === G.parentMap.get(primary.id) ? null : dropTarget);
+      }
     }
 
     function dragEnd() {
+      drawGuides([]);
+      if (!started) return;
+
+      highlightDropTarget(null);
+      const ids = dragged.map(n => n.id);
+
+      // Each node goes to the group under its own center
+      const targets = new Map();
+      if (reparent) {
+        dragged.forEach(node => {
+          const target = findDropTarget(draggedIds, globalCenter(node));
+          if (target !== G.parentMap.get(node.id)) targets.set(node, target);
+        });
+      }
+      const leaving = [...targets.keys()];
+
+      // A vetoed drop puts the nodes back, along with their edges
+      if (options.validateDrop && leaving.some(node => options.validateDrop(node, targets.get(node), G.parentMap.get(node.id)) === false)) {
+        edgeTracker.clear();
+        restore(before);
+        G.emit('nodeDragEnd', { ids, positions: positions() }, G);
+        return;
+      }
+
+      // The drop stands, reroute the edges that moved along
       const collisionFn = (p) => {
         const buffer = 10;
         for (let i = 0; i < data.nodes.length; i++) {
@@ -87,7 +437,7 @@ const nodeDrag = (G) => {
       };
 
       if (useAStarRouting === true) {
-        data.edges.forEach(e => {
+        changedEdges.forEach(e => {
           const points = e.points;
           const start = points[0];
           const end = points[points.length - 1];
@@ -97,10 +447,58 @@ const nodeDrag = (G) => {
           e.points = getAStarPath(start, end, collisionFn, { w: 20, h: 20 });
         });
         G.updateEdgePoints();
+      } else if (routing === 'orthogonal') {
+        const edges = changedEdges.filter(e => edgeTracker.has(e.id));
+        routeOrthogonalEdges(G.layout, edges, { parentMap: G.parentMap });
+        G.updateEdgePoints();
       }
+      edgeTracker.forEach((v, id) => movedEdgeIds.add(id));
       edgeTracker.clear();
+
+      const after = snapshot(changedNodes, changedEdges);
+      G.transaction('drag', () => {
+        if (applied.x !== 0 || applied.y !== 0) {
+          ids.forEach(id => movedNodeIds.add(id));
+          const start = before;
+          G.recordCommand({
+            name: 'drag',
+            undo: () => restore(start),
+            redo: () => restore(after)
+          });
+        }
+        leaving.forEach(node => reparentNode(node, G.parentMap.get(node.id), targets.get(node)));
+      });
+      G.emit('nodeDragEnd', { ids, positions: positions() }, G);
     }
 
+    // Convert to the new parent's space, then move the node and the edges that no longer fit their container
+    const reparentNode = (node, oldParent, newParent) => {
+      const position = getGlobalPosition(node, G.parentMap);
+      const origin = newParent === G.layout ? { x: 0, y: 0 } : getGlobalPosition(newParent, G.parentMap);
+      const from = { parent: oldParent, x: node.x, y: node.y, index: oldParent.nodes.indexOf(node) };
+      const to = { parent: newParent, x: position.x - origin.x, y: position.y - origin.y };
+
+      moveToParent(node, to.parent, to.x, to.y);
+
+      const edgeMoves = rehomeEdges(G.layout);
+      G.calculateMaps();
+
+      G.recordCommand({
+        name: 'reparent',
+        undo: () => {
+          moveToParent(node, from.parent, from.x, from.y, from.index);
+          moveEdges(edgeMoves, true);
+          G.calculateMaps();
+        },
+        redo: () => {
+          moveToParent(node, to.parent, to.x, to.y);
+          moveEdges(edgeMoves);
+          G.calculateMaps();
+        }
+      });
+      G.emit('nodeReparented', { id: node.id, node, from: oldParent.id, to: newParent.id }, G);
+    };
+
     // FIXME: Need to disable current listeners first before assigning new ones?
     const nodeDrag = d3.drag()
       .on('start', dragStart)
@@ -111,8 +509,19 @@ const nodeDrag = (G) => {
     nodes.call(nodeDrag);
   };
 
+  /**
+   * Returns identifiers of the nodes and edges that have been moved by dragging
+   */
+  const getDragState = () => {
+    return {
+      nodes: [...movedNodeIds].filter(id => !_.isNil(G.getNode(id))),
+      edges: [...movedEdgeIds].filter(id => !_.isNil(G.getEdge(id)))
+    };
+  };
+
   return [
-    { name: 'enableDrag', fn: enableDrag }
+    { name: 'enableDrag', fn: enableDrag },
+    { name: 'getDragState', fn: getDragState }
   ];
 };
 export { nodeDrag };
@@ -1,4 +1,34 @@
+const SIZE_ATTRIBUTES = ['width', 'height', 'focused'];
+
+const snapshot = (datum) => {
+  const result = {};
+  SIZE_ATTRIBUTES.forEach(key => {
+    if (key in datum) result[key] = datum[key];
+  });
+  return result;
+};
+
+const restore = (datum, values) => {
+  SIZE_ATTRIBUTES.forEach(key => {
+    if (key in values) {
+      datum[key] = values[key];
+    } else {
+      delete datum[key];
+    }
+  });
+};
+
 const nodeSize = (G) => {
+  const recordSizeChange = (name, datums, before) => {
+    const after = datums.map(snapshot);
+    G.recordCommand({
+      name,
+      rerender: true,
+      undo: () => datums.forEach((d, i) => restore(d, before[i])),
+      redo: () => datums.forEach((d, i) => restore(d, after[i]))
+    });
+  };
+
   /**
    * Enlarge node
    *
@@ -6,6 +36,10 @@ const nodeSize = (G) => {
    */
   const setNodeSize = (nodeId, w, h) => {
     const prev = G.chart.selectAll('.node').filter(d => d.focused === true);
+    const node = G.chart.selectAll('.node').filter(d => d.id === nodeId);
+    const datums = prev.data().concat(node.data());
+    const before = datums.map(snapshot);
+
     if (prev.size() === 1) {
       const datum = prev.datum();
       delete datum.width;
@@ -13,22 +47,23 @@ const nodeSize = (G) => {
       delete datum.focused;
     }
 
-    const node = G.chart.selectAll('.node').filter(d => d.id === nodeId);
-
     // Don't enlarge compound nodes
     if (node.nodes && node.nodes.length > 0) return;
 
     node.datum().width = w;
     node.datum().height = h;
     node.datum().focused = true;
+    recordSizeChange('setNodeSize', datums, before);
   };
 
   const resetNodeSize = (nodeId) => {
     const node = G.chart.selectAll('.node').filter(d => d.id === nodeId);
     const datum = node.datum();
+    const before = [snapshot(datum)];
     delete datum.width;
     delete datum.height;
     delete datum.focused;
+    recordSizeChange('resetNodeSize', [datum], before);
   };
 
   return [
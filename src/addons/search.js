@@ -0,0 +1,207 @@
+import _ from 'lodash';
+import { traverse } from '../utils';
+
+const DIMMED_OPACITY = 0.2;
+
+/**
+ * Whether any of the item's label or data fields contains the query, case insensitive
+ */
+const textMatch = (item, query) => {
+  const q = query.toLowerCase();
+  const values = [item.label];
+  if (item.data) {
+    Object.keys(item.data).forEach(key => {
+      if (key === 'nodes' || key === 'edges') return;
+      values.push(item.data[key]);
+    });
+  }
+  return values.some(v => {
+    if (!_.isString(v) && !_.isNumber(v)) return false;
+    return String(v).toLowerCase().includes(q);
+  });
+};
+
+const search = (G) => {
+  let matches = [];
+  let cursor = -1;
+  let filterPredicate = null;
+
+  /**
+   * Visit every node and edge, including those stashed away inside collapsed nodes.
+   * hiddenBy lists the collapsed ancestors of the item, outermost first.
+   *
+   * Edges hidden by collapsing are taken out of the layout, they come from the
+   * expand-collapse addon when it is installed. Edges aggregated for display are skipped,
+   * the edges they stand for are visited instead.
+   */
+  const walk = (visit) => {
+    const nodeHiddenBy = new Map();
+    const layoutEdges = [];
+    const walkNodes = (root, hiddenBy) => {
+      traverse(root, node => {
+        nodeHiddenBy.set(node.id, hiddenBy);
+        if (node !== G.layout) visit('node', node, hiddenBy);
+        if (node.edges) layoutEdges.push(...node.edges);
+        const children = node.collapsed === true && G.getCollapsedChildren ? G.getCollapsedChildren(node.id) : null;
+        if (children) {
+          children.forEach(child => walkNodes(child, [...hiddenBy, node.id]));
+        }
+      });
+    };
+    walkNodes(G.layout, []);
+
+    // An edge is hidden by the collapsed ancestors of both of its ends
+    const edges = G.getAllEdges ? G.getAllEdges() : layoutEdges.filter(edge => edge.aggregated !== true);
+    edges.forEach(edge => {
+      const hiddenBy = _.uniq([...(nodeHiddenBy.get(edge.source) || []), ...(nodeHiddenBy.get(edge.target) || [])]);
+      visit('edge', edge, hiddenBy);
+    });
+  };
+
+  const applySearchClasses = () => {
+    if (!G.chart) return;
+    const active = matches.length > 0;
+    const matchIds = new Set(matches.map(m => m.id));
+    const dimmed = d => active && !matchIds.has(d.id);
+
+    G.chart.selectAll('.node')
+      .classed('search-match', d => matchIds.has(d.id))
+      .classed('search-dimmed', dimmed);
+    G.chart.selectAll('.edge')
+      .classed('search-match', d => matchIds.has(d.id))
+      .classed('search-dimmed', dimmed)
+      .style('opacity', d => dimmed(d) ? DIMMED_OPACITY : null);
+
+    // Nodes are nested, dim the node's own ui so children keep their own opacity
+    G.chart.selectAll('.node-ui')
+      .style('opacity', d => dimmed(d) ? DIMMED_OPACITY : null);
+  };
+
+  const applyFilter = () => {
+    if (!G.chart) return;
+    const visible = new Set();
+    if (filterPredicate) {
+      traverse(G.layout, node => {
+        if (node === G.layout || !filterPredicate(node)) return;
+        visible.add(node.id);
+
+        // Keep the ancestors, otherwise the match goes with them
+        let parent = G.parentMap.get(node.id);
+        while (parent && parent !== G.layout) {
+          visible.add(parent.id);
+          parent = G.parentMap.get(parent.id);
+        }
+      });
+    }
+    const hidden = (id) => filterPredicate !== null && !visible.has(id);
+
+    G.chart.selectAll('.node').style('display', d => hidden(d.id) ? 'none' : null);
+    G.chart.selectAll('.edge').style('display', d => hidden(d.source) || hidden(d.target) ? 'none' : null);
+  };
+
+  /**
+   * Search nodes and edges across the whole hierarchy, including the children of
+   * collapsed nodes. Matches are marked with the "search-match" class, everything
+   * else is dimmed with the "search-dimmed" class.
+   *
+   * @param {string|function} query - Text to look for in labels and data fields, or a
+   *   predicate (item, type) => boolean where type is "node" or "edge"
+   * @returns {array} matches, [{ type, id, item, hiddenBy }] where hiddenBy lists the
+   *   collapsed nodes the match is inside of
+   */
+  const searchFn = (query) => {
+    matches = [];
+    cursor = -1;
+    if (!_.isFunction(query) && _.isEmpty(query)) {
+      applySearchClasses();
+      return matches;
+    }
+
+    const predicate = _.isFunction(query) ? query : (item) => textMatch(item, query);
+    walk((type, item, hiddenBy) => {
+      if (predicate(item, type)) {
+        matches.push({ type, id: item.id, item, hiddenBy });
+      }
+    });
+    applySearchClasses();
+    return matches;
+  };
+
+  /**
+   * Bring the match at the given index into view, expanding its collapsed ancestors first
+   */
+  const focusMatch = async (index, duration) => {
+    const match = matches[index];
+    // Outermost first, the inner nodes only become reachable once their parent is expanded
+    const collapsed = match.hiddenBy.filter(id => !G.getNode(id) || G.getNode(id).collapsed === true);
+    if (collapsed.length > 0) {
+      G.transaction('expand', () => {
+        collapsed.forEach(id => G.expand(id));
+      });
+      await G.render();
+      match.hiddenBy = [];
+      applySearchClasses();
+      applyFilter();
+    }
+
+    if (G.moveTo) {
+      G.moveTo(match.type === 'node' ? match.id : match.item.source, duration);
+    }
+    return match;
+  };
+
+  /**
+   * Step to the next search match and move it into view
+   *
+   * @param {number} duration - animation transition time in millis
+   * @returns {Promise} resolves to the match, or null if there are none
+   */
+  const searchNext = async (duration = 500) => {
+    if (matches.length === 0) return null;
+    cursor = (cursor + 1) % matches.length;
+    return focusMatch(cursor, duration);
+  };
+
+  /**
+   * Step to the previous search match and move it into view
+   *
+   * @param {number} duration - animation transition time in millis
+   * @returns {Promise} resolves to the match, or null if there are none
+   */
+  const searchPrevious = async (duration = 500) => {
+    if (matches.length === 0) return null;
+    cursor = cursor <= 0 ? matches.length - 1 : cursor - 1;
+    return focusMatch(cursor, duration);
+  };
+
+  const clearSearch = () => {
+    searchFn(null);
+  };
+
+  /**
+   * Hide the nodes that do not satisfy the predicate, along with their edges. Ancestors
+   * of matching nodes are kept. The layout is left untouched.
+   *
+   * @param {function} predicate - node => boolean
+   */
+  const filter = (predicate) => {
+    filterPredicate = predicate;
+    applyFilter();
+  };
+
+  const clearFilter = () => {
+    filterPredicate = null;
+    applyFilter();
+  };
+
+  return [
+    { name: 'search', fn: searchFn },
+    { name: 'searchNext', fn: searchNext },
+    { name: 'searchPrevious', fn: searchPrevious },
+    { name: 'clearSearch', fn: clearSearch },
+    { name: 'filter', fn: filter },
+    { name: 'clearFilter', fn: clearFilter }
+  ];
+};
+
+export { search };
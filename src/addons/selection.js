@@ -0,0 +1,188 @@
+import _ from 'lodash';
+import * as d3 from 'd3';
+import { flatten } from '../utils';
+import { getGlobalBox, boxContainsBox, boxContainsPoint } from '../utils/geometry';
+
+const selection = (G) => {
+  const selectedNodes = new Set();
+  const selectedEdges = new Set();
+  let suppressClick = false;
+
+  const applyClasses = () => {
+    if (!G.chart) return;
+    G.chart.selectAll('.node').classed('selected', d => selectedNodes.has(d.id));
+    G.chart.selectAll('.edge').classed('selected', d => selectedEdges.has(d.id));
+  };
+
+  const getSelection = () => {
+    return {
+      nodes: [...selectedNodes],
+      edges: [...selectedEdges]
+    };
+  };
+
+  const notify = () => {
+    applyClasses();
+    G.emit('selectionChanged', getSelection(), G);
+  };
+
+  /**
+   * Replace the current selection
+   *
+   * @param {object} selection - { nodes: [...ids], edges: [...ids] }
+   */
+  const setSelection = ({ nodes = [], edges = [] }) => {
+    selectedNodes.clear();
+    selectedEdges.clear();
+    nodes.forEach(id => selectedNodes.add(id));
+    edges.forEach(id => selectedEdges.add(id));
+    notify();
+  };
+
+  const selectAll = () => {
+    const flattened = flatten(G.layout);
+    setSelection({
+      nodes: flattened.nodes.filter(n => n !== G.layout).map(n => n.id),
+      edges: flattened.edges.map(e => e.id)
+    });
+  };
+
+  const clearSelection = () => {
+    if (selectedNodes.size === 0 && selectedEdges.size === 0) return;
+    setSelection({});
+  };
+
+  // Plain click replaces the selection, shift-click adds, ctrl/cmd-click toggles
+  const select = (evt, set, id) => {
+    if (evt.ctrlKey || evt.metaKey) {
+      if (set.has(id)) {
+        set.delete(id);
+      } else {
+        set.add(id);
+      }
+    } else if (evt.shiftKey) {
+      set.add(id);
+    } else {
+      selectedNodes.clear();
+      selectedEdges.clear();
+      set.add(id);
+    }
+    notify();
+  };
+
+  /**
+   * Select everything inside a rectangle given in chart coordinates
+   */
+  const selectInRect = (rect) => {
+    const flattened = flatten(G.layout);
+    flattened.nodes.forEach(node => {
+      if (node === G.layout) return;
+      if (boxContainsBox(rect, getGlobalBox(node, G.parentMap))) {
+        selectedNodes.add(node.id);
+      }
+    });
+    flattened.edges.forEach(edge => {
+      if (edge.points && edge.points.every(p => boxContainsPoint(rect, p))) {
+        selectedEdges.add(edge.id);
+      }
+    });
+    notify();
+  };
+
+  /**
+   * Enable click and rubber-band selection. Like enableDrag, this needs to be called
+   * after each render.
+   *
+   * Shift-dragging on the background draws a selection rectangle, everything fully
+   * inside the rectangle is added to the selection.
+   *
+   * @param {object} options
+   * @param {boolean} options.useLasso - Whether to enable rectangle selection, default to true
+   */
+  const enableSelection = (options = {}) => {
+    const chart = G.chart;
+    const svg = d3.select(G.svgEl);
+    const useLasso = _.isNil(options.useLasso) ? true : options.useLasso;
+
+    chart.selectAll('.node-ui').on('click.selection', function(evt, d) {
+      select(evt, selectedNodes, d.id);
+    });
+    chart.selectAll('.edge').on('click.selection', function(evt, d) {
+      select(evt, selectedEdges, d.id);
+    });
+    svg.on('click.selection', function(evt) {
+      if (suppressClick) {
+        suppressClick = false;
+        return;
+      }
+      if (evt.shiftKey || evt.ctrlKey || evt.metaKey) return;
+      clearSelection();
+    });
+
+    if (useLasso === true) {
+      // Leave shift-drag to the selection rectangle
+      G.zoom.filter(evt => {
+        if (evt.shiftKey && evt.type === 'mousedown') return false;
+        return (!evt.ctrlKey || evt.type === 'wheel') && !evt.button;
+      });
+      svg.on('mousedown.selection', function(evt) {
+        suppressClick = false;
+        if (!evt.shiftKey || evt.button !== 0) return;
+        if (evt.target.closest('.node, .edge')) return;
+
+        const foreground = svg.select('.foreground-layer');
+        const start = d3.pointer(evt, G.svgEl);
+        let end = start;
+        const lasso = foreground.append('rect')
+          .classed('selection-lasso', true)
+          .attr('fill', '#369')
+          .attr('fill-opacity', 0.1)
+          .attr('stroke', '#369')
+          .attr('stroke-dasharray', '4 2');
+
+        const updateLasso = () => {
+          lasso
+            .attr('x', Math.min(start[0], end[0]))
+            .attr('y', Math.min(start[1], end[1]))
+            .attr('width', Math.abs(end[0] - start[0]))
+            .attr('height', Math.abs(end[1] - start[1]));
+        };
+        updateLasso();
+
+        d3.select(window).on('mousemove.selection', function(moveEvt) {
+          end = d3.pointer(moveEvt, G.svgEl);
+          updateLasso();
+        });
+        d3.select(window).on('mouseup.selection', function() {
+          d3.select(window).on('mousemove.selection', null).on('mouseup.selection', null);
+          lasso.remove();
+          if (end[0] === start[0] && end[1] === start[1]) return;
+
+          // Screen to chart coordinates
+          const t = d3.zoomTransform(G.svgEl);
+          const p1 = t.invert(start);
+          const p2 = t.invert(end);
+          selectInRect({
+            x: Math.min(p1[0], p2[0]),
+            y: Math.min(p1[1], p2[1]),
+            width: Math.abs(p2[0] - p1[0]),
+            height: Math.abs(p2[1] - p1[1])
+          });
+          suppressClick = true;
+        });
+        evt.preventDefault();
+      });
+    }
+    applyClasses();
+  };
+
+  return [
+    { name: 'enableSelection', fn: enableSelection },
+    { name: 'getSelection', fn: getSelection },
+    { name: 'setSelection', fn: setSelection },
+    { name: 'selectAll', fn: selectAll },
+    { name: 'clearSelection', fn: clearSelection }
+  ];
+};
+
+export { selection };
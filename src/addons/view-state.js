@@ -0,0 +1,111 @@
+import _ from 'lodash';
+import * as d3 from 'd3';
+import { flatten, getAncestors } from '../utils';
+import { translate } from '../utils/svg-util';
+
+const VIEW_STATE_VERSION = 1;
+
+/**
+ * Save and restore what the user did to the view: zoom/pan, collapsed nodes, custom groups,
+ * dragged positions and node size overrides. Uses the group, expandCollapse, nodeDrag and
+ * nodeSize addons when they are present.
+ */
+const viewState = (G) => {
+  /**
+   * Returns the current view state as JSON serializable object
+   */
+  const getViewState = () => {
+    const t = d3.zoomTransform(G.svgEl);
+    const nodes = flatten(G.layout).nodes;
+    const dragState = G.getDragState ? G.getDragState() : { nodes: [], edges: [] };
+
+    return {
+      version: VIEW_STATE_VERSION,
+      zoom: { x: t.x, y: t.y, k: t.k },
+      groups: G.getGroups ? G.getGroups() : [],
+      collapsed: G.getCollapsedIds ? G.getCollapsedIds() : [],
+      sizes: nodes.filter(n => n.focused === true).map(n => ({ id: n.id, width: n.width, height: n.height })),
+      positions: dragState.nodes.map(id => {
+        const node = G.getNode(id);
+        return { id, x: node.x, y: node.y };
+      }),
+      edges: dragState.edges.map(id => ({ id, points: _.cloneDeep(G.getEdge(id).points) }))
+    };
+  };
+
+  /**
+   * Reapply a view state, this should be called after setData and render. Identifiers
+   * that no longer exist are skipped.
+   *
+   * @param {object} state - state returned by getViewState
+   * @returns {object} { missing: [...identifiers that could not be restored] }
+   */
+  const setViewState = async (state) => {
+    if (!state || state.version !== VIEW_STATE_VERSION) {
+      throw new Error(`Unsupported view state version ${state ? state.version : state}`);
+    }
+    const missing = [];
+    const exists = (id) => {
+      if (!_.isNil(G.getNode(id))) return true;
+      missing.push(id);
+      return false;
+    };
+
+    // 1) Structural changes, these need a layout run
+    (state.groups || []).forEach(g => {
+      if (!G.group || !_.isNil(G.getNode(g.id))) return;
+      const nodeIds = g.nodeIds.filter(exists);
+      if (nodeIds.length > 0) G.group(g.id, nodeIds, { label: g.label, style: g.style });
+    });
+    (state.sizes || []).forEach(s => {
+      if (!exists(s.id)) return;
+      const node = G.getNode(s.id);
+      node.width = s.width;
+      node.height = s.height;
+      node.focused = true;
+    });
+    await G.render();
+
+    // Innermost first, the children of a collapsed node cannot be found anymore
+    const collapsed = _.sortBy((state.collapsed || []).filter(exists), id => -getAncestors(G.parentMap, id).length);
+    if (G.collapse && collapsed.length > 0) {
+      collapsed.forEach(id => G.collapse(id));
+      await G.render();
+    }
+
+    // 2) Positions, on top of the final layout
+    (state.positions || []).forEach(p => {
+      if (!exists(p.id)) return;
+      const node = G.getNode(p.id);
+      node.x = p.x;
+      node.y = p.y;
+      G.chart.selectAll('.node').filter(d => d.id === p.id).attr('transform', translate(p.x, p.y));
+    });
+    (state.edges || []).forEach(e => {
+      const edge = G.getEdge(e.id);
+      if (!edge) {
+        missing.push(e.id);
+        return;
+      }
+      edge.points = _.cloneDeep(e.points);
+    });
+    G.updateEdgePoints();
+
+    // 3) Zoom and pan
+    if (state.zoom) {
+      const { x, y, k } = state.zoom;
+      d3.select(G.svgEl).call(G.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
+
+    // Restoring is not something to undo
+    G.history.clear();
+    return { missing: _.uniq(missing) };
+  };
+
+  return [
+    { name: 'getViewState', fn: getViewState },
+    { name: 'setViewState', fn: setViewState }
+  ];
+};
+
+export { viewState };
@@ -0,0 +1,100 @@
+/**
+ * Undo/redo history of invertible commands. A command has the form
+ * {
+ *   name: 'collapse',
+ *   undo: () => { ... },
+ *   redo: () => { ... },
+ *   rerender: true // Whether the graph needs to be rendered again after undo/redo
+ * }
+ *
+ * Commands recorded inside a transaction are grouped, and are undone/redone as one.
+ */
+export default class CommandHistory {
+  /**
+   * @param {function} onChange - called whenever the undo/redo stacks change
+   * @param {number} limit - maximum number of commands kept
+   */
+  constructor(onChange, limit = 100) {
+    this.onChange = onChange || (() => {});
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transactions = [];
+
+    // Commands are not recorded while undoing/redoing
+    this.replaying = false;
+  }
+
+  record(command) {
+    if (this.replaying) return;
+    if (this.transactions.length > 0) {
+      this.transactions[this.transactions.length - 1].commands.push(command);
+      return;
+    }
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.onChange();
+  }
+
+  beginTransaction(name) {
+    this.transactions.push({ name, commands: [] });
+  }
+
+  commitTransaction() {
+    const transaction = this.transactions.pop();
+    if (!transaction || transaction.commands.length === 0) return;
+    const commands = transaction.commands;
+    this.record({
+      name: transaction.name,
+      rerender: commands.some(c => c.rerender === true),
+      undo: () => {
+        for (let i = commands.length - 1; i >= 0; i--) {
+          commands[i].undo();
+        }
+      },
+      redo: () => {
+        commands.forEach(c => c.redo());
+      }
+    });
+  }
+
+  _replay(from, to, action) {
+    const command = from.pop();
+    if (!command) return null;
+    this.replaying = true;
+    try {
+      command[action]();
+    } finally {
+      this.replaying = false;
+    }
+    to.push(command);
+    this.onChange();
+    return command;
+  }
+
+  undo() {
+    return this._replay(this.undoStack, this.redoStack, 'undo');
+  }
+
+  redo() {
+    return this._replay(this.redoStack, this.undoStack, 'redo');
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transactions = [];
+    this.onChange();
+  }
+}
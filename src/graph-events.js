@@ -13,5 +13,21 @@ export const GRAPH_EVENTS = [
   'edgeClick',
   'edgeMouseEnter',
   'edgeMouseLeave',
-  'edgeCtx'
+  'edgeCtx',
+  'edgeCreated',
+  'edgeReconnected',
+  'portClick',
+  'portMouseEnter',
+  'portMouseLeave',
+  'nodeCollapsed',
+  'nodeExpanded',
+  'groupCreated',
+  'groupRemoved',
+  'nodeReparented',
+  'nodeDragStart',
+  'nodeDragEnd',
+  'selectionChanged',
+  'historyChanged',
+  'validationIssues',
+  'renderError'
 ];
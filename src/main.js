@@ -1,21 +1,52 @@
 import SVGRenderer from './svg-renderer';
+import MarkerRegistry from './marker-registry';
+import ElkAdapter from './adapters/elk-adapter';
+import DagreAdapter from './adapters/dagre-adapter';
 import { group } from './addons/group';
 import { nodeSize } from './addons/node-size';
 import { nodeDrag } from './addons/node-drag';
 import { highlight } from './addons/highlight';
 import { expandCollapse } from './addons/expand-collapse';
 import { panZoom } from './addons/panZoom';
-import { getAStarPath } from './utils/a-star';
+import { selection } from './addons/selection';
+import { keyboard } from './addons/keyboard';
+import { exportView } from './addons/export-view';
+import { viewState } from './addons/view-state';
+import { search } from './addons/search';
+import { connect } from './addons/connect';
+import { getAStarPath, searchPath } from './utils/a-star';
+import { getOrthogonalPath, routeOrthogonalEdges } from './utils/orthogonal-router';
+import { separateParallelEdges, bundleEdges } from './utils/edge-processing';
+import { getPortPosition, attachEdgesToPorts } from './utils/ports';
+import { applyIncrementalLayout } from './utils/incremental-layout';
 import { simplifyPath, addPoints } from './utils/simplify';
 import { traverse } from './utils/traverse';
+import { makeRenderingGraph } from './utils/rendering-graph';
+import { validateGraphData, validateLayout, GraphValidationError } from './utils/validate';
 
 export {
   // Core and extensions
-  SVGRenderer, group, nodeSize, highlight, nodeDrag, expandCollapse, panZoom,
+  SVGRenderer, MarkerRegistry, group, nodeSize, highlight, nodeDrag, expandCollapse, panZoom, selection, keyboard,
+  exportView, viewState, search, connect,
+
+  // Layout adapters
+  ElkAdapter, DagreAdapter,
 
   // Utilities
   getAStarPath,
+  searchPath,
+  getOrthogonalPath,
+  routeOrthogonalEdges,
+  separateParallelEdges,
+  bundleEdges,
+  applyIncrementalLayout,
+  getPortPosition,
+  attachEdgesToPorts,
   simplifyPath,
   addPoints,
-  traverse
+  traverse,
+  makeRenderingGraph,
+  validateGraphData,
+  validateLayout,
+  GraphValidationError
 };
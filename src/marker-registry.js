@@ -0,0 +1,137 @@
+import _ from 'lodash';
+
+import svgUtil from './utils/svg-util';
+
+const DEFAULT_DEFINITION = {
+  path: svgUtil.ARROW,
+  viewBox: svgUtil.MARKER_VIEWBOX,
+  refX: 0,
+  refY: 0,
+  width: 15,
+  height: 15
+};
+
+// Reference points put the tip of the glyph at the end of the edge
+const MARKER_TYPES = {
+  arrow: { path: svgUtil.ARROW, refX: 2 },
+  arrowSharp: { path: svgUtil.ARROW_SHARP, refX: 2 },
+  circle: { path: svgUtil.CIRCLE, refX: 3 },
+  diamond: { path: svgUtil.DIAMOND, refX: 4 },
+  tee: { path: svgUtil.TEE, refX: 0 }
+};
+
+// Marker ids need to be unique within the document
+let registryCounter = 0;
+
+const safeName = (name) => String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * Shared marker definitions. A marker is defined once per type, or once per type and
+ * color, and reused by every edge that asks for it.
+ *
+ * Markers are oriented with "auto-start-reverse", so the same marker points away from
+ * the edge at either end.
+ *
+ * Colors are handled in one of two ways
+ * - "variants": one marker per type and color, filled with that color
+ * - "context-stroke": one marker per type, filled with the stroke of the edge path
+ */
+export default class MarkerRegistry {
+  /**
+   * @param {object} options
+   * @param {object} options.types - Custom marker types, name => { path, viewBox, refX, refY, width, height }
+   * @param {string} options.colorMode - "variants" or "context-stroke", default to variants
+   * @param {string} options.color - Marker color when an edge does not ask for one, default to #000
+   */
+  constructor(options = {}) {
+    this.prefix = `marker-${++registryCounter}`;
+    this.types = {};
+    this.colorMode = options.colorMode || 'variants';
+    this.color = options.color || '#000';
+    this.markers = new Map(); // type and color => { id, type, color }
+    this.defs = null;
+    this.counter = 0;
+
+    Object.keys(MARKER_TYPES).forEach(name => this.register(name, MARKER_TYPES[name]));
+    Object.keys(options.types || {}).forEach(name => this.register(name, options.types[name]));
+  }
+
+  /**
+   * Add a marker type, or replace an existing one
+   *
+   * @param {string} name - marker type name
+   * @param {object} definition - { path, viewBox, refX, refY, width, height }
+   */
+  register(name, definition) {
+    this.types[name] = Object.assign({}, DEFAULT_DEFINITION, definition);
+
+    // Drop markers built from the previous definition
+    [...this.markers.entries()].forEach(([key, marker]) => {
+      if (marker.type !== name) return;
+      if (this.defs) this.defs.select(`#${marker.id}`).remove();
+      this.markers.delete(key);
+    });
+  }
+
+  /**
+   * Set the defs element markers are defined in. Markers that were defined before and
+   * are missing, e.g. because the chart was rebuilt, are defined again.
+   *
+   * @param {object} defs - D3 selection of an svg defs element
+   */
+  attach(defs) {
+    this.defs = defs;
+    this.markers.forEach(marker => {
+      if (defs.select(`#${marker.id}`).empty()) {
+        this._define(marker);
+      }
+    });
+  }
+
+  /**
+   * Marker id for a type and color, the marker is defined if it does not exist yet.
+   * Returns null for an empty or unknown type.
+   *
+   * @param {string} type - marker type name
+   * @param {string} color - optional color, ignored in context-stroke mode
+   */
+  id(type, color) {
+    if (_.isNil(type) || !this.types[type]) return null;
+    const fill = this.colorMode === 'context-stroke' ? 'context-stroke' : (color || this.color);
+
+    const key = `${type}\u0000${fill}`;
+    if (!this.markers.has(key)) {
+      const marker = { id: `${this.prefix}-${safeName(type)}-${++this.counter}`, type, color: fill };
+      this.markers.set(key, marker);
+      if (this.defs) this._define(marker);
+    }
+    return this.markers.get(key).id;
+  }
+
+  /**
+   * Same as id, as a url(#...) reference for the marker-start/marker-end attributes
+   */
+  url(type, color) {
+    const id = this.id(type, color);
+    return id ? `url(#${id})` : null;
+  }
+
+  _define({ id, type, color }) {
+    const definition = this.types[type];
+    this.defs.append('marker')
+      .classed('edge-marker', true)
+      .attr('id', id)
+      .attr('viewBox', definition.viewBox)
+      .attr('refX', definition.refX)
+      .attr('refY', definition.refY)
+      .attr('orient', 'auto-start-reverse')
+      .attr('markerWidth', definition.width)
+      .attr('markerHeight', definition.height)
+      .attr('markerUnits', 'userSpaceOnUse')
+      .attr('overflow', 'visible')
+      .append('path')
+      .attr('d', definition.path)
+      .style('fill', color)
+      .style('stroke', 'none');
+  }
+}
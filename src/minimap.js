@@ -0,0 +1,232 @@
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+import svgUtil from './utils/svg-util';
+import { flatten } from './utils';
+
+const DEFAULT_OPTIONS = {
+  position: 'top-left', // "top-left", "top-right", "bottom-left" or "bottom-right"
+  width: 200,
+  height: 120,
+  margin: 10,
+  backgroundFill: '#FFF',
+  backgroundStroke: '#888',
+  nodeFill: '#CCC',
+  nodeFillOpacity: 0.6,
+  nodeStroke: '#999',
+  edgeStroke: '#999',
+  viewportStroke: '#000',
+  viewportFill: '#369',
+  viewportFillOpacity: 0.1
+};
+
+const linePath = d3.line().x(d => d.x).y(d => d.y);
+
+// Clip path ids need to be unique within the document
+let clipCounter = 0;
+
+/**
+ * An overview of the whole graph drawn in the foreground layer, with a rectangle
+ * marking the part currently in view. Clicking the minimap centers the main view on
+ * that spot, dragging the rectangle pans the main view along.
+ *
+ * There is one minimap per renderer, it is redrawn in place on each render.
+ */
+export default class Minimap {
+  /**
+   * @param {object} renderer - SVGRenderer instance
+   * @param {object} options - Position, size and styling, see DEFAULT_OPTIONS
+   */
+  constructor(renderer, options) {
+    this.renderer = renderer;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options || {});
+    this.scale = 1;
+    this.el = null;
+  }
+
+  /**
+   * Returns the minimap group, creating it if the foreground layer does not have one
+   */
+  _ensureElement() {
+    const foreground = d3.select(this.renderer.svgEl).select('.foreground-layer');
+    let minimap = foreground.select('.minimap');
+    if (minimap.empty()) {
+      minimap = foreground.append('g').classed('minimap', true);
+      minimap.append('rect').classed('minimap-background', true);
+
+      // Keep the viewport rectangle within the minimap when zoomed out
+      const clipId = `minimap-clip-${++clipCounter}`;
+      minimap.append('clipPath').attr('id', clipId).append('rect');
+      const content = minimap.append('g')
+        .attr('clip-path', `url(#${clipId})`)
+        .append('g').classed('minimap-content', true);
+      content.append('g').classed('minimap-nodes', true);
+      content.append('g').classed('minimap-edges', true);
+      content.append('rect').classed('current-view', true);
+      this._enableInteraction(minimap);
+    }
+    this.el = minimap;
+    return minimap;
+  }
+
+  _enableInteraction(minimap) {
+    let offset = null;
+
+    // Chart coordinates of the pointer, the content group carries the minimap scale
+    const chartPointer = (evt) => {
+      const [x, y] = d3.pointer(evt, minimap.select('.minimap-content').node());
+      return { x, y };
+    };
+
+    const drag = d3.drag()
+      .on('start', (evt) => {
+        const p = chartPointer(evt);
+        const view = this._viewBox();
+        if (evt.sourceEvent.target.classList.contains('current-view')) {
+          // Keep the grab point under the pointer
+          offset = { x: p.x - view.cx, y: p.y - view.cy };
+        } else {
+          offset = { x: 0, y: 0 };
+          this.panTo(p.x, p.y);
+        }
+      })
+      .on('drag', (evt) => {
+        const p = chartPointer(evt);
+        this.panTo(p.x - offset.x, p.y - offset.y);
+      });
+
+    minimap.call(drag);
+
+    // Don't let these reach the background handlers
+    minimap.on('click', evt => evt.stopPropagation());
+    minimap.on('dblclick', evt => evt.stopPropagation());
+    minimap.on('wheel', evt => {
+      evt.preventDefault();
+      evt.stopPropagation();
+    });
+    minimap.style('cursor', 'pointer');
+    minimap.select('.current-view').style('cursor', 'move');
+  }
+
+  _viewBox() {
+    const { x1, y1, x2, y2 } = this.renderer.getBoundary();
+    return { x: x1, y: y1, width: x2, height: y2, cx: x1 + 0.5 * x2, cy: y1 + 0.5 * y2 };
+  }
+
+  _placement() {
+    const { position, width, height, margin } = this.options;
+    const chartSize = this.renderer.chartSize;
+    const x = position.endsWith('right') ? chartSize.width - width - margin : margin;
+    const y = position.startsWith('bottom') ? chartSize.height - height - margin : margin;
+    return { x, y };
+  }
+
+  /**
+   * Center the main view on the given chart coordinates, keeping the zoom level
+   */
+  panTo(x, y) {
+    const renderer = this.renderer;
+    if (!renderer.zoom) return;
+    const svg = d3.select(renderer.svgEl);
+    const t = d3.zoomTransform(renderer.svgEl);
+    svg.call(
+      renderer.zoom.transform,
+      d3.zoomIdentity
+        .translate(0.5 * renderer.chartSize.width, 0.5 * renderer.chartSize.height)
+        .scale(t.k)
+        .translate(-x, -y)
+    );
+  }
+
+  /**
+   * Redraw the nodes and edges
+   */
+  render() {
+    const renderer = this.renderer;
+    const layout = renderer.layout;
+    const options = this.options;
+    if (!layout) return;
+
+    const minimap = this._ensureElement();
+    const { x, y } = this._placement();
+    minimap.attr('transform', svgUtil.translate(x, y));
+
+    minimap.select('clipPath rect')
+      .attr('width', options.width)
+      .attr('height', options.height);
+    minimap.select('.minimap-background')
+      .attr('width', options.width)
+      .attr('height', options.height)
+      .attr('fill', options.backgroundFill)
+      .attr('stroke', options.backgroundStroke);
+
+    // Fit the whole layout, centered
+    const layoutWidth = Math.max(layout.width || 0, 1);
+    const layoutHeight = Math.max(layout.height || 0, 1);
+    this.scale = Math.min(options.width / layoutWidth, options.height / layoutHeight);
+    const dx = 0.5 * (options.width - layoutWidth * this.scale);
+    const dy = 0.5 * (options.height - layoutHeight * this.scale);
+    minimap.select('.minimap-content')
+      .attr('transform', `translate(${dx}, ${dy}) scale(${this.scale})`);
+
+    // Nested nodes, same structure as the main chart so children are positioned relative to their parent
+    const drawNodes = (selection, nodes) => {
+      const groups = selection.selectChildren('.minimap-node')
+        .data(nodes || [], d => d.id)
+        .join(enter => {
+          const g = enter.append('g').classed('minimap-node', true);
+          g.append('rect');
+          return g;
+        })
+        .attr('transform', d => svgUtil.translate(d.x, d.y));
+
+      groups.selectChild('rect')
+        .attr('width', d => d.width)
+        .attr('height', d => d.height)
+        .attr('fill', options.nodeFill)
+        .attr('fill-opacity', options.nodeFillOpacity)
+        .attr('stroke', options.nodeStroke)
+        .attr('vector-effect', 'non-scaling-stroke');
+
+      groups.each(function(d) {
+        drawNodes(d3.select(this), d.nodes);
+      });
+    };
+    drawNodes(minimap.select('.minimap-nodes'), layout.nodes);
+
+    // Edges are in global coordinates, drawn as straight segments without markers
+    const edges = flatten(layout).edges.filter(e => !_.isEmpty(e.points));
+    minimap.select('.minimap-edges').selectAll('path')
+      .data(edges, d => d.id)
+      .join('path')
+      .attr('d', d => linePath(d.points))
+      .attr('fill', 'none')
+      .attr('stroke', options.edgeStroke)
+      .attr('vector-effect', 'non-scaling-stroke');
+
+    this.updateViewport();
+  }
+
+  /**
+   * Redraw the rectangle marking the current view, called whenever the main view is zoomed or panned
+   */
+  updateViewport() {
+    if (!this.el || !this.renderer.chart) return;
+    const options = this.options;
+    const view = this._viewBox();
+    this.el.select('.current-view')
+      .attr('x', view.x)
+      .attr('y', view.y)
+      .attr('width', view.width)
+      .attr('height', view.height)
+      .attr('stroke', options.viewportStroke)
+      .attr('fill', options.viewportFill)
+      .attr('fill-opacity', options.viewportFillOpacity)
+      .attr('vector-effect', 'non-scaling-stroke');
+  }
+
+  remove() {
+    if (this.el) this.el.remove();
+    this.el = null;
+  }
+}
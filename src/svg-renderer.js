@@ -3,7 +3,15 @@ import * as d3 from 'd3';
 
 import svgUtil from './utils/svg-util';
 import { GRAPH_EVENTS } from './graph-events';
-import { flatten, traverse, removeChildren } from './utils';
+import CommandHistory from './command-history';
+import Minimap from './minimap';
+import MarkerRegistry from './marker-registry';
+import { flatten, traverse, removeChildren, makeRenderingEdge, rehomeEdges, moveEdges } from './utils';
+import { separateParallelEdges, bundleEdges } from './utils/edge-processing';
+import { getGlobalBox, boxesOverlap, distanceToPolyline, interpolatePolyline } from './utils/geometry';
+import { attachEdgesToPorts } from './utils/ports';
+import { applyIncrementalLayout } from './utils/incremental-layout';
+import { validateGraphData, validateLayout, GraphValidationError } from './utils/validate';
 
 const pathFn = svgUtil.pathFn.curve(d3.curveBasis);
 
@@ -28,6 +36,8 @@ const pathFn = svgUtil.pathFn.curve(d3.curveBasis);
  *
  * Common/Misc
  * - renderEdgeControl
+ * - renderEdgeLabel
+ * - renderPort
  *
  * The input specification consist of two things
  * - Graph data specified as a set of nodes and edges
@@ -51,12 +61,39 @@ export default class SVGRenderer {
    * @param {string} options.edgeControlOffsetType - "percentage" or "unit"
    * @param {numbeer} options.edgeControlOffset - If type is percentage this should be between 0 an 1,
    *   if unit then a positive value is an offset from the source, and a negative offset from the target.
+   * @param {boolean} options.useMinimap - Whether to show the minimap, default to false
+   * @param {object} options.minimap - Minimap position, size and styling, e.g. { position: 'bottom-right', width: 200, height: 120 }
+   * @param {boolean} options.useParallelEdgeSeparation - Whether to fan apart edges connecting the same pair of nodes,
+   *   default to false
+   * @param {number} options.parallelEdgeSpacing - Distance between parallel edges, default to 15
+   * @param {boolean} options.useEdgeBundling - Whether to bundle edges crossing the same group boundary in the
+   *   same direction, default to false
+   * @param {boolean} options.useEdgeLabels - Whether to draw edge labels, default to false
+   * @param {object} options.markers - Edge markers
+   * @param {string} options.markers.start - Default start marker type, default to none
+   * @param {string} options.markers.end - Default end marker type, default to "arrow"
+   * @param {object} options.markers.byType - Markers by edge data type, e.g. { dependency: { end: 'diamond' } }
+   * @param {function} options.markers.edgeMarkers - Optional (edge) => { start, end, color }, takes precedence over byType
+   * @param {object} options.markers.types - Custom marker types, name => { path, viewBox, refX, refY, width, height }
+   * @param {string} options.markers.colorMode - "variants" or "context-stroke", default to variants
+   * @param {string} options.markers.color - Default marker color, default to #000
+   * @param {boolean} options.useIncrementalLayout - Whether to keep nodes where they are across renders and only place
+   *   new nodes, default to false. Takes precedence over useStableLayout
+   * @param {object} options.incrementalLayout - Incremental layout settings, { padding, spacing }
+   * @param {boolean} options.useTransitions - Whether to animate layout changes in delta mode, default to false
+   * @param {number} options.transitionDuration - Duration of the animation in millis, default to 500
+   * @param {function} options.transitionEase - Easing function, default to d3.easeCubicInOut
+   * @param {string} options.validation - "strict", "lenient" or "none". Strict mode throws a GraphValidationError
+   *   on bad input data or adapter output, lenient mode passes the issues on to the validationIssues event.
+   *   Default to lenient.
    */
   constructor(options) {
     this.registry = new Map();
     this.parentMap = new Map();
+    this.edgeContainerMap = new Map();
     this.oldNodeMap = new Map();
     this.oldEdgeMap = new Map();
+    this.rawEdgeMap = new Map();
 
     this.options = options || {};
     this.options.renderMode = this.options.renderMode || 'basic';
@@ -68,9 +105,29 @@ export default class SVGRenderer {
     this.options.edgeControlOffset = this.options.edgeControlOffset || 0.66;
     this.options.useMinimap = this.options.useMinimap || false;
     this.options.useStableLayout = this.options.useStableLayout || false;
+    this.options.useIncrementalLayout = this.options.useIncrementalLayout || false;
+    this.options.incrementalLayout = this.options.incrementalLayout || {};
+    this.options.useParallelEdgeSeparation = this.options.useParallelEdgeSeparation || false;
+    this.options.parallelEdgeSpacing = this.options.parallelEdgeSpacing || 15;
+    this.options.useEdgeBundling = this.options.useEdgeBundling || false;
+    this.options.useEdgeLabels = this.options.useEdgeLabels || false;
+    this.options.validation = this.options.validation || 'lenient';
+    this.options.useTransitions = this.options.useTransitions || false;
+    this.options.transitionDuration = _.isNil(this.options.transitionDuration) ? 500 : this.options.transitionDuration;
+    this.options.transitionEase = this.options.transitionEase || d3.easeCubicInOut;
+    this.options.markers = Object.assign({ start: null, end: 'arrow', byType: {} }, this.options.markers);
+
+    this.markerRegistry = new MarkerRegistry(this.options.markers);
+
+    // Path generator for edges, addons drawing edge-like paths use it to match
+    this.pathFn = pathFn;
 
     this.options.addons = this.options.addons || [];
 
+    this.history = new CommandHistory(() => {
+      this.emit('historyChanged', { canUndo: this.canUndo(), canRedo: this.canRedo() }, this);
+    });
+
     // Primitive add-on system
     this.options.addons.forEach(addon => {
       addon(this).forEach(d => {
@@ -96,7 +153,11 @@ export default class SVGRenderer {
 
     // Internal trackers
     this.zoom = null;
+    this.minimap = null;
     this.canLeverageStableLayout = false;
+
+    // The layout animation in progress, if any
+    this.transition = null;
   }
 
   setCallback(name, fn) {
@@ -111,6 +172,18 @@ export default class SVGRenderer {
     this.registry.delete(name);
   }
 
+  /**
+   * Invoke a registered callback, if any. Used for events that do not originate
+   * from a DOM event, e.g. selectionChanged.
+   *
+   * @param {string} name - event name
+   */
+  emit(name, ...args) {
+    if (this.registry.has(name)) {
+      this.registry.get(name)(...args);
+    }
+  }
+
   /**
    * Initialize the renderer with given container element
    * @param {HTMLElement} element - container element
@@ -129,22 +202,325 @@ export default class SVGRenderer {
    * @param {Object} data - a graph model data
    */
   setData(data) {
+    this._reportIssues('data', validateGraphData(data));
     this.layout = this.adapter.makeRenderingGraph(data);
     this.calculateMaps();
+    this.history.clear();
+  }
+
+  /**
+   * Record an invertible command in the undo history, see CommandHistory
+   * @param {object} command - { name, undo, redo, rerender }
+   */
+  recordCommand(command) {
+    this.history.record(command);
+  }
+
+  /**
+   * Group the commands recorded while running fn, so they are undone/redone together
+   *
+   * @param {string} name - transaction name
+   * @param {function} fn - function that performs the changes
+   */
+  transaction(name, fn) {
+    this.history.beginTransaction(name);
+    try {
+      fn(this);
+    } finally {
+      this.history.commitTransaction();
+    }
+  }
+
+  /**
+   * Revert the last command, the graph is rendered again if the command requires it
+   * @returns {boolean} whether there was something to undo
+   */
+  async undo() {
+    const command = this.history.undo();
+    if (command && command.rerender === true) {
+      await this.render();
+    }
+    return !_.isNil(command);
+  }
+
+  /**
+   * Re-apply the last reverted command
+   * @returns {boolean} whether there was something to redo
+   */
+  async redo() {
+    const command = this.history.redo();
+    if (command && command.rerender === true) {
+      await this.render();
+    }
+    return !_.isNil(command);
+  }
+
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * Handle validation issues according to the validation mode. In lenient mode the issues go to
+   * the validationIssues event, { source, issues }, with a single warning if nobody listens.
+   *
+   * @param {string} source - what was validated, "data" or "layout"
+   * @param {array} issues - validation issues
+   */
+  _reportIssues(source, issues) {
+    const mode = this.options.validation;
+    if (mode === 'none' || issues.length === 0) return;
+    if (mode === 'strict') {
+      throw new GraphValidationError(issues);
+    }
+    if (this.registry.has('validationIssues')) {
+      this.emit('validationIssues', { source, issues }, this);
+    } else {
+      console.warn(`[validation] ${issues.length} issue(s) in the graph ${source}, see the validationIssues event`);
+    }
   }
 
   calculateMaps() {
     this.parentMap.clear();
+    this.edgeContainerMap.clear();
     traverse(this.layout, node => {
       if (node.nodes) {
         node.nodes.forEach(n => {
           this.parentMap.set(n.id, node);
         });
       }
+      if (node.edges) {
+        node.edges.forEach(e => {
+          this.edgeContainerMap.set(e.id, node);
+        });
+      }
     });
     // console.log(this.parentMap);
   }
 
+  /**
+   * Returns the rendering node with the given identifier, or null
+   * @param {string} nodeId - node identifier
+   */
+  getNode(nodeId) {
+    if (!this.layout) return null;
+    if (this.layout.id === nodeId) return this.layout;
+    const parent = this.parentMap.get(nodeId);
+    if (!parent) return null;
+    return parent.nodes.find(n => n.id === nodeId) || null;
+  }
+
+  /**
+   * Returns the rendering edge with the given identifier, or null
+   * @param {string} edgeId - edge identifier
+   */
+  getEdge(edgeId) {
+    const container = this.edgeContainerMap.get(edgeId);
+    if (!container) return null;
+    return container.edges.find(e => e.id === edgeId) || null;
+  }
+
+  /**
+   * Add a node, and any nested nodes and edges it contains. The changes are picked up
+   * on the next render.
+   *
+   * @param {object} nodeData - node data, in the same format as setData
+   * @param {string} parentId - parent node identifier, default to the top level
+   */
+  addNode(nodeData, parentId) {
+    const parent = _.isNil(parentId) ? this.layout : this.getNode(parentId);
+    if (!parent) {
+      throw new Error(`Cannot add node, unknown parent ${parentId}`);
+    }
+    const node = this.adapter.makeRenderingGraph(nodeData);
+
+    const nodeIds = [];
+    const edgeIds = [];
+    traverse(node, n => {
+      nodeIds.push(n.id);
+      (n.edges || []).forEach(e => edgeIds.push(e.id));
+    });
+    const duplicateNode = nodeIds.find((id, i) => nodeIds.indexOf(id) !== i || !_.isNil(this.getNode(id)));
+    if (!_.isNil(duplicateNode)) {
+      throw new Error(`Cannot add node, duplicate node id ${duplicateNode}`);
+    }
+    const duplicateEdge = edgeIds.find((id, i) => edgeIds.indexOf(id) !== i || this.edgeContainerMap.has(id));
+    if (!_.isNil(duplicateEdge)) {
+      throw new Error(`Cannot add node, duplicate edge id ${duplicateEdge}`);
+    }
+
+    if (!parent.nodes) parent.nodes = [];
+    parent.nodes.push(node);
+
+    this.parentMap.set(node.id, parent);
+    traverse(node, n => {
+      (n.nodes || []).forEach(child => this.parentMap.set(child.id, n));
+      (n.edges || []).forEach(e => this.edgeContainerMap.set(e.id, n));
+    });
+    return node;
+  }
+
+  /**
+   * Remove a node along with its nested nodes, and all edges connected to them
+   *
+   * @param {string} nodeId - node identifier
+   */
+  removeNode(nodeId) {
+    const node = this.getNode(nodeId);
+    const parent = this.parentMap.get(nodeId);
+    if (!node || !parent) {
+      throw new Error(`Cannot remove node, unknown node ${nodeId}`);
+    }
+    _.remove(parent.nodes, n => n.id === nodeId);
+
+    const removedIds = new Set();
+    traverse(node, n => {
+      removedIds.add(n.id);
+      this.parentMap.delete(n.id);
+      (n.edges || []).forEach(e => this.edgeContainerMap.delete(e.id));
+    });
+
+    traverse(this.layout, n => {
+      if (!n.edges) return;
+      const removed = _.remove(n.edges, e => removedIds.has(e.source) || removedIds.has(e.target));
+      removed.forEach(e => this.edgeContainerMap.delete(e.id));
+    });
+  }
+
+  /**
+   * Update node attributes, the node's data is updated as well. Structural attributes
+   * (id, nodes, edges) cannot be changed this way.
+   *
+   * @param {string} nodeId - node identifier
+   * @param {object} changes - attributes to update
+   */
+  updateNode(nodeId, changes) {
+    const node = this.getNode(nodeId);
+    if (!node) {
+      throw new Error(`Cannot update node, unknown node ${nodeId}`);
+    }
+    const attributes = _.omit(changes, ['id', 'nodes', 'edges']);
+    Object.assign(node, attributes);
+    if (node.data && node.data !== node) {
+      Object.assign(node.data, attributes);
+    }
+  }
+
+  /**
+   * Add an edge
+   *
+   * @param {object} edgeData - edge data, in the same format as setData
+   * @param {string} containerId - identifier of the node to declare the edge in, default to the top level
+   */
+  addEdge(edgeData, containerId) {
+    const container = _.isNil(containerId) ? this.layout : this.getNode(containerId);
+    if (!container) {
+      throw new Error(`Cannot add edge, unknown container ${containerId}`);
+    }
+    if (this.edgeContainerMap.has(edgeData.id)) {
+      throw new Error(`Cannot add edge, duplicate edge id ${edgeData.id}`);
+    }
+    if (!this.getNode(edgeData.source) || !this.getNode(edgeData.target)) {
+      throw new Error(`Cannot add edge ${edgeData.id}, unknown source or target`);
+    }
+    const edge = makeRenderingEdge(edgeData);
+    if (!container.edges) container.edges = [];
+    container.edges.push(edge);
+    this.edgeContainerMap.set(edge.id, container);
+    return edge;
+  }
+
+  /**
+   * Remove an edge
+   *
+   * @param {string} edgeId - edge identifier
+   */
+  removeEdge(edgeId) {
+    const container = this.edgeContainerMap.get(edgeId);
+    if (!container) {
+      throw new Error(`Cannot remove edge, unknown edge ${edgeId}`);
+    }
+    _.remove(container.edges, e => e.id === edgeId);
+    this.edgeContainerMap.delete(edgeId);
+  }
+
+  /**
+   * Move a node, along with its nested nodes and edges, under a new parent. A node that was
+   * laid out keeps its place on screen, its position is converted to the new parent's space.
+   * Edges that no longer fit their container move to the lowest common ancestor of their
+   * ends. Recorded for undo.
+   *
+   * @param {string} nodeId - node identifier
+   * @param {string} parentId - new parent node identifier, default to the top level
+   */
+  moveNode(nodeId, parentId) {
+    const node = this.getNode(nodeId);
+    const oldParent = this.parentMap.get(nodeId);
+    const newParent = _.isNil(parentId) ? this.layout : this.getNode(parentId);
+    if (!node || !oldParent) {
+      throw new Error(`Cannot move node, unknown node ${nodeId}`);
+    }
+    if (!newParent) {
+      throw new Error(`Cannot move node, unknown parent ${parentId}`);
+    }
+    let isDescendant = false;
+    traverse(node, n => {
+      if (n === newParent) isDescendant = true;
+    });
+    if (isDescendant) {
+      throw new Error(`Cannot move node ${nodeId} into itself or its descendants`);
+    }
+    if (oldParent === newParent) return;
+
+    const from = { parent: oldParent, index: oldParent.nodes.indexOf(node), x: node.x, y: node.y };
+    const to = { parent: newParent, x: node.x, y: node.y };
+    if (!_.isNil(node.x) && !_.isNil(node.y)) {
+      const box = getGlobalBox(node, this.parentMap);
+      const origin = getGlobalBox(newParent, this.parentMap);
+      to.x = box.x - origin.x;
+      to.y = box.y - origin.y;
+    }
+    const place = ({ parent, index, x, y }) => {
+      _.remove(this.parentMap.get(nodeId).nodes, n => n === node);
+      if (!parent.nodes) parent.nodes = [];
+      parent.nodes.splice(_.isNil(index) ? parent.nodes.length : index, 0, node);
+      node.x = x;
+      node.y = y;
+    };
+
+    place(to);
+    const edgeMoves = rehomeEdges(this.layout);
+    this.calculateMaps();
+
+    this.recordCommand({
+      name: 'moveNode',
+      rerender: true,
+      undo: () => {
+        place(from);
+        moveEdges(edgeMoves, true);
+        this.calculateMaps();
+      },
+      redo: () => {
+        place(to);
+        moveEdges(edgeMoves);
+        this.calculateMaps();
+      }
+    });
+  }
+
+  /**
+   * Apply a set of changes, e.g. addNode/removeEdge calls, then render once
+   *
+   * @param {function} fn - function that performs the changes, it is given the renderer
+   */
+  async batch(fn) {
+    fn(this);
+    return this.render();
+  }
+
   getBoundary() {
     const t = d3.zoomTransform(this.chart.node());
     const x1 = (0 - t.x) / t.k;
@@ -166,16 +542,67 @@ export default class SVGRenderer {
     const flattened = flatten(this.layout);
     const numNodes = flattened.nodes.length - 1; // Exclude super parent
 
-    return options.useStableLayout && numNodes <= chart.selectAll('.node').size();
+    return options.useStableLayout && !options.useIncrementalLayout && numNodes <= chart.selectAll('.node').size();
+  }
+
+  /**
+   * Nodes and edges currently on screen, the starting point of an incremental layout.
+   * Nodes have their position relative to the parent, their parent identifier and their
+   * global box, edges their points.
+   */
+  _capturePrevious() {
+    const nodes = new Map();
+    const edges = new Map();
+    this.chart.selectAll('.node').filter(d => d.state !== 'removed').each(function(d) {
+      let parentId = null;
+      let x = d.x;
+      let y = d.y;
+      let el = this.parentNode;
+      while (el && el !== this.ownerSVGElement) {
+        if (el.classList && el.classList.contains('node')) {
+          const parent = d3.select(el).datum();
+          if (parentId === null) parentId = parent.id;
+          x += parent.x;
+          y += parent.y;
+        }
+        el = el.parentNode;
+      }
+      nodes.set(d.id, {
+        x: d.x,
+        y: d.y,
+        width: d.width,
+        height: d.height,
+        parentId,
+        global: { x, y, width: d.width, height: d.height }
+      });
+    });
+    this.chart.selectAll('.edge').filter(d => d.state !== 'removed').each(d => {
+      if (!d.points) return;
+
+      // Edges are processed again after the layout, so start from the points as they were before
+      // processing. Edges changed since, e.g. by dragging, keep their drawn points.
+      const raw = this.rawEdgeMap.get(d.id);
+      const points = raw && _.isEqual(raw.processed, d.points) ? raw.points : d.points;
+      edges.set(d.id, points.map(p => ({ x: p.x, y: p.y })));
+    });
+    return { nodes, edges };
   }
 
 
   /**
-   * Renders the graph
+   * Renders the graph. With transitions enabled, the returned promise resolves once the
+   * animation has finished.
    */
   async render() {
     const options = this.options;
 
+    // Animate from what is currently on screen, an animation still running stops where it is
+    const animate = options.useTransitions === true && options.renderMode === 'delta' && !!this.chart;
+    const displayed = animate ? this._captureDisplayed() : null;
+    if (this.transition) {
+      this.transition.finish(false);
+    }
+
     // Cache previous layout, if any
     this.oldNodeMap.clear();
     this.oldEdgeMap.clear();
@@ -198,7 +625,24 @@ export default class SVGRenderer {
     if (!this.layout) {
       throw new Error('Layout data not set');
     }
-    this.layout = await this.adapter.run(this.layout);
+
+    // Adapters get the nodes that should stay in place, nodes are put back afterwards in any case
+    const previous = options.useIncrementalLayout === true && this.chart ? this._capturePrevious() : null;
+    this.layout = await this.adapter.run(this.layout, { pinned: previous ? previous.nodes : new Map() });
+    this._reportIssues('layout', validateLayout(this.layout));
+    this.calculateMaps();
+    if (previous && previous.nodes.size > 0) {
+      applyIncrementalLayout(this.layout, previous, options.incrementalLayout);
+    }
+    const rawPoints = options.useIncrementalLayout === true ? this._copyEdgePoints() : null;
+    this.processEdges();
+    this.rawEdgeMap.clear();
+    if (rawPoints) {
+      const processedPoints = this._copyEdgePoints();
+      rawPoints.forEach((points, id) => {
+        this.rawEdgeMap.set(id, { points, processed: processedPoints.get(id) });
+      });
+    }
 
     // Addresses the case where swapping layout introduce sufficient changes that
     // we need to recalculate the viewport dimensions
@@ -208,6 +652,10 @@ export default class SVGRenderer {
 
     this.canLeverageStableLayout = this._canLeverageStableLayout();
 
+    if (animate) {
+      this.transition = { from: displayed, removedNodes: null, removedEdges: null, finish: () => {} };
+    }
+
     this.buildDefs();
 
     if (options.renderMode === 'basic') {
@@ -217,7 +665,11 @@ export default class SVGRenderer {
       this.renderNodesDelta();
       this.renderEdgesDelta();
     }
+    this.renderPorts();
 
+    if (options.useEdgeLabels) {
+      this.renderEdgeLabels();
+    }
     if (options.useEdgeControl) {
       this.renderEdgeControls();
     }
@@ -226,33 +678,152 @@ export default class SVGRenderer {
     if (options.useMinimap === true) {
       this.renderMinimap();
     }
+
+    if (animate) {
+      await this._animateLayout();
+    }
+  }
+
+  /**
+   * Positions, sizes and edge points as currently drawn
+   */
+  _captureDisplayed() {
+    const nodes = new Map();
+    const edges = new Map();
+    this.chart.selectAll('.node').each(d => {
+      nodes.set(d.id, { x: d.x, y: d.y, width: d.width, height: d.height });
+    });
+    this.chart.selectAll('.edge').each(d => {
+      if (d.points) edges.set(d.id, d.points.map(p => ({ x: p.x, y: p.y })));
+    });
+    return { nodes, edges };
+  }
+
+  /**
+   * Tweens nodes and edges from their previous state to the new layout, fades added
+   * elements in and removed ones out. Nodes whose size changes go through
+   * renderNodeUpdated on every frame, so they can redraw at the intermediate size.
+   */
+  _animateLayout() {
+    const transition = this.transition;
+    const { nodes: fromNodes, edges: fromEdges } = transition.from;
+    const chart = this.chart;
+
+    const nodes = [];
+    chart.selectAll('.node').each(function(d) {
+      if (d.state !== 'updated' || !fromNodes.has(d.id)) return;
+      const from = fromNodes.get(d.id);
+      const to = { x: d.x, y: d.y, width: d.width, height: d.height };
+      const resized = from.width !== to.width || from.height !== to.height;
+      if (!resized && from.x === to.x && from.y === to.y) return;
+      nodes.push({ d, el: this, ui: d3.select(this).select('.node-ui').node(), from, to, resized });
+    });
+
+    const edges = [];
+    chart.selectAll('.edge').each(function(d) {
+      if (d.state !== 'updated' || !fromEdges.has(d.id) || !d.points) return;
+      edges.push({ d, el: this, to: d.points, interpolate: interpolatePolyline(fromEdges.get(d.id), d.points) });
+    });
+
+    const nodeSelection = d3.selectAll(nodes.map(n => n.el));
+    const resizedSelection = d3.selectAll(nodes.filter(n => n.resized).map(n => n.ui));
+    const edgePaths = d3.selectAll(edges.map(e => e.el)).selectAll('path');
+    const added = chart.selectAll('.node-ui, .edge').filter(d => d.state === 'new');
+    const removed = d3.selectAll([
+      ...(transition.removedNodes ? transition.removedNodes.nodes() : []),
+      ...(transition.removedEdges ? transition.removedEdges.nodes() : [])
+    ]);
+
+    const step = (t) => {
+      nodes.forEach(({ d, from, to }) => {
+        d.x = from.x + t * (to.x - from.x);
+        d.y = from.y + t * (to.y - from.y);
+        d.width = from.width + t * (to.width - from.width);
+        d.height = from.height + t * (to.height - from.height);
+      });
+      nodeSelection.attr('transform', d => svgUtil.translate(d.x, d.y));
+      if (!resizedSelection.empty()) {
+        resizedSelection.call(this.renderNodeUpdated, this);
+      }
+      edges.forEach(e => { e.d.points = e.interpolate(t); });
+      edgePaths.attr('d', d => this.pathFn(d.points));
+      added.attr('opacity', t);
+      removed.attr('opacity', 1 - t);
+    };
+
+    return new Promise(resolve => {
+      let done = false;
+
+      // The layout data always gets its final values back, but stopping halfway leaves the
+      // drawing where it is, the next render animates from there
+      transition.finish = (complete) => {
+        if (done) return;
+        done = true;
+        nodes.forEach(({ d, to }) => Object.assign(d, to));
+        edges.forEach(e => { e.d.points = e.to; });
+        if (complete) {
+          nodeSelection.attr('transform', d => svgUtil.translate(d.x, d.y));
+          if (!resizedSelection.empty()) {
+            resizedSelection.call(this.renderNodeUpdated, this);
+          }
+        }
+        added.attr('opacity', null);
+        if (transition.removedNodes) transition.removedNodes.call(this.renderNodeRemoved, this);
+        if (transition.removedEdges) transition.removedEdges.call(this.renderEdgeRemoved, this);
+        d3.select(this.svgEl).interrupt('layout');
+        if (this.transition === transition) {
+          this.transition = null;
+        }
+        if (complete) {
+          this.updateEdgePoints();
+        }
+        resolve();
+      };
+
+      step(0);
+      d3.select(this.svgEl)
+        .transition('layout')
+        .duration(this.options.transitionDuration)
+        .ease(this.options.transitionEase)
+        .tween('layout', () => step)
+        .end()
+        .then(() => transition.finish(true), () => transition.finish(false));
+    });
+  }
+
+  /**
+   * Edge identifier => copy of the edge points
+   */
+  _copyEdgePoints() {
+    const edges = new Map();
+    flatten(this.layout).edges.forEach(edge => {
+      if (edge.points) edges.set(edge.id, edge.points.map(p => ({ x: p.x, y: p.y })));
+    });
+    return edges;
+  }
+
+  /**
+   * Post-layout edge processing, adjusts edge points before they are drawn
+   */
+  processEdges() {
+    const options = this.options;
+    attachEdgesToPorts(this.layout, this.parentMap);
+    if (options.useParallelEdgeSeparation === true) {
+      separateParallelEdges(this.layout, options.parallelEdgeSpacing);
+    }
+    if (options.useEdgeBundling === true) {
+      bundleEdges(this.layout, { parentMap: this.parentMap });
+    }
   }
 
+  /**
+   * Draws the minimap, or redraws it in place if it already exists
+   */
   renderMinimap() {
-    const minimapHeight = 0.125 * this.chartSize.height;
-    const minimap = d3.select(this.svgEl).select('.foreground-layer').append('g').classed('minimap', true);
-    const miniMapZoomLevel = 1 / (this.layout.height / minimapHeight);
-    minimap.attr('transform', `translate(20, 10), scale(${miniMapZoomLevel})`);
-
-    const topNodes = this.layout.nodes;
-    for (let i = 0; i < topNodes.length; i++) {
-      const node = topNodes[i];
-      minimap.append('rect')
-        .attr('x', node.x)
-        .attr('y', node.y)
-        .attr('width', node.width)
-        .attr('height', node.height)
-        .attr('fill', '#CCC');
-    }
-    const { x1, y1, x2, y2 } = this.getBoundary();
-    minimap.append('rect')
-      .attr('x', x1)
-      .attr('y', y1)
-      .attr('width', x2)
-      .attr('height', y2)
-      .attr('stroke', '#000')
-      .attr('stroke-width', 2)
-      .attr('fill', 'transparent');
+    if (!this.minimap) {
+      this.minimap = new Minimap(this, this.options.minimap);
+    }
+    this.minimap.render();
   }
 
   renderEdgeControl(edgeSelection) {
@@ -263,38 +834,34 @@ export default class SVGRenderer {
       .attr('fill', '#f80');
   }
 
-  // FIXME: Should provide very basic marker definitions and leave the work to the
-  // implementation renderers
+  /**
+   * Start/end marker types and color of an edge, from the edgeMarkers callback, the
+   * markers of the edge data type, or the default markers
+   */
+  getEdgeMarkers(edge) {
+    const markers = this.options.markers;
+    const defaults = { start: markers.start, end: markers.end, color: null };
+    if (markers.edgeMarkers) {
+      return Object.assign(defaults, markers.edgeMarkers(edge));
+    }
+    const type = edge.data && edge.data.type;
+    return Object.assign(defaults, _.isNil(type) ? {} : markers.byType[type]);
+  }
+
+  /**
+   * Resolves the markers of every edge into marker-start/marker-end references, stored
+   * as markerStart and markerEnd on the edge. Marker definitions are shared, only the
+   * ones not yet defined are added.
+   */
   buildDefs() {
-    const svg = d3.select(this.svgEl);
-    const edges = flatten(this.layout).edges;
-
-    // Clean up
-    svg.select('defs').selectAll('.edge-marker-end').remove();
-
-    svg.select('defs')
-      .selectAll('.edge-marker-end')
-      .data(edges)
-      .enter()
-      .append('marker')
-      .classed('edge-marker-end', true)
-      .attr('id', d => {
-        const source = d.source.replace(/\s/g, '');
-        const target = d.target.replace(/\s/g, '');
-        return `arrowhead-${source}-${target}`;
-      })
-      .attr('viewBox', svgUtil.MARKER_VIEWBOX)
-      .attr('refX', 2)
-      .attr('refY', 0)
-      .attr('orient', 'auto')
-      .attr('markerWidth', 15)
-      .attr('markerHeight', 15)
-      .attr('markerUnits', 'userSpaceOnUse')
-      .attr('xoverflow', 'visible')
-      .append('svg:path')
-      .attr('d', svgUtil.ARROW)
-      .style('fill', '#000')
-      .style('stroke', 'none');
+    const registry = this.markerRegistry;
+    registry.attach(d3.select(this.svgEl).select('defs'));
+
+    flatten(this.layout).edges.forEach(edge => {
+      const { start, end, color } = this.getEdgeMarkers(edge);
+      edge.markerStart = registry.url(start, color);
+      edge.markerEnd = registry.url(end, color);
+    });
   }
 
 
@@ -338,7 +905,14 @@ export default class SVGRenderer {
 
     chart.selectAll('.edge').filter(d => d.state === 'new').call(this.renderEdgeAdded, this).call(this.enableEdgeInteraction, this);
     chart.selectAll('.edge').filter(d => d.state === 'updated').call(this.renderEdgeUpdated, this);
-    chart.selectAll('.edge').filter(d => d.state === 'removed').call(this.renderEdgeRemoved, this);
+
+    // Removed edges fade out first when the layout change is animated
+    const removedEdges = chart.selectAll('.edge').filter(d => d.state === 'removed');
+    if (this.transition) {
+      this.transition.removedEdges = removedEdges;
+    } else {
+      removedEdges.call(this.renderEdgeRemoved, this);
+    }
   }
 
   renderEdges() {
@@ -372,6 +946,10 @@ export default class SVGRenderer {
     const oldNodeMap = this.oldNodeMap;
     const useStableLayout = this.canLeverageStableLayout;
 
+    // Elements that left their parent. Their node may have been drawn anew in another parent,
+    // so they are told apart by element rather than by state.
+    const exited = [];
+
     const _recursiveBuild = (selection, childrenNodes) => {
       if (!childrenNodes) return;
 
@@ -383,7 +961,10 @@ export default class SVGRenderer {
         .classed('node', true);
 
       // nodesGroup.exit().remove();
-      nodesGroup.exit().each(d => (d.state = 'removed'));
+      nodesGroup.exit().each(function(d) {
+        d.state = 'removed';
+        exited.push(this);
+      });
       newNodes.each(d => (d.state = 'new'));
       nodesGroup.each(d => (d.state = 'updated'));
 
@@ -417,9 +998,19 @@ export default class SVGRenderer {
     };
     _recursiveBuild(chart, this.layout.nodes);
 
-    chart.selectAll('.node-ui').filter(d => d.state === 'new').call(this.renderNodeAdded, this).call(this.enableNodeInteraction, this);
-    chart.selectAll('.node-ui').filter(d => d.state === 'updated').call(this.renderNodeUpdated, this);
-    chart.selectAll('.node-ui').filter(d => d.state === 'removed').call(this.renderNodeRemoved, this);
+    // Along with the nodes nested inside them
+    const removedNodes = d3.selectAll(exited).selectAll('.node-ui');
+    const removed = new Set(removedNodes.nodes());
+    const drawn = chart.selectAll('.node-ui').filter(function() { return !removed.has(this); });
+    drawn.filter(d => d.state === 'new').call(this.renderNodeAdded, this).call(this.enableNodeInteraction, this);
+    drawn.filter(d => d.state === 'updated').call(this.renderNodeUpdated, this);
+
+    // Removed nodes fade out first when the layout change is animated
+    if (this.transition) {
+      this.transition.removedNodes = removedNodes;
+    } else {
+      removedNodes.call(this.renderNodeRemoved, this);
+    }
   }
 
   /**
@@ -442,7 +1033,7 @@ export default class SVGRenderer {
       nodesGroup.each(function(d) {
         const s = d3.select(this);
         s.append('g').classed('node-ui', true);
-        _recursiveBuild(s.append('g'), d.nodes);
+        _recursiveBuild(s.append('g').classed('node-children', true), d.nodes);
       });
     };
     _recursiveBuild(chart, this.layout.nodes);
@@ -483,6 +1074,133 @@ export default class SVGRenderer {
     chart.selectAll('.edge-control').call(this.renderEdgeControl);
   }
 
+  /**
+   * Default port, a small circle centered on the port position
+   */
+  renderPort(portSelection) {
+    portSelection.append('circle')
+      .attr('r', 4)
+      .attr('fill', '#FFF')
+      .attr('stroke', '#333');
+  }
+
+  /**
+   * Renders the ports of nodes that have them. Ports are drawn in a "node-ports" group
+   * on top of the node, so they move along with it.
+   */
+  renderPorts() {
+    const chart = this.chart;
+    chart.selectAll('.node-ports').remove();
+    chart.selectAll('.node').filter(d => !_.isEmpty(d.ports)).each(function(d) {
+      d3.select(this).append('g')
+        .classed('node-ports', true)
+        .selectAll('.node-port')
+        .data(d.ports)
+        .enter().append('g')
+        .classed('node-port', true)
+        .attr('transform', port => svgUtil.translate(port.x, port.y));
+    });
+    chart.selectAll('.node-port').call(this.renderPort, this).call(this.enablePortInteraction, this);
+  }
+
+  /**
+   * Default edge label, a text with a background halo so it stays readable on top of edges.
+   * The label group is centered on the label position.
+   */
+  renderEdgeLabel(labelSelection) {
+    labelSelection.append('rect')
+      .classed('edge-label-halo', true)
+      .attr('rx', 3)
+      .attr('fill', '#FFF')
+      .attr('fill-opacity', 0.85);
+    labelSelection.append('text')
+      .classed('edge-label-text', true)
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'central')
+      .style('font-size', '12px')
+      .text(d => d.label);
+
+    labelSelection.each(function() {
+      const padding = 2;
+      const box = d3.select(this).select('text').node().getBBox();
+      d3.select(this).select('.edge-label-halo')
+        .attr('x', box.x - padding)
+        .attr('y', box.y - padding)
+        .attr('width', box.width + 2 * padding)
+        .attr('height', box.height + 2 * padding);
+    });
+  }
+
+  /**
+   * Renders labels for edges that have one, see placeEdgeLabels for the positioning
+   */
+  renderEdgeLabels() {
+    const chart = this.chart;
+    chart.selectAll('.edge').selectAll('.edge-label').remove();
+    chart.selectAll('.edge').filter(d => !_.isNil(d.label) && d.label !== '')
+      .append('g')
+      .classed('edge-label', true)
+      .call(this.renderEdgeLabel, this);
+    this.placeEdgeLabels();
+  }
+
+  /**
+   * Position edge labels. The adapter's label position is used if the adapter provides one
+   * and it still lies on the edge, otherwise the label goes to the middle of the path. Labels
+   * that would overlap a node or another label are nudged along the path, and then sideways.
+   */
+  placeEdgeLabels() {
+    const chart = this.chart;
+    const obstacles = flatten(this.layout).nodes
+      .filter(n => n !== this.layout && (_.isEmpty(n.nodes) || n.collapsed === true))
+      .map(n => getGlobalBox(n, this.parentMap));
+    const placed = [];
+
+    const boxAt = (center, size) => ({
+      x: center.x - 0.5 * size.width,
+      y: center.y - 0.5 * size.height,
+      width: size.width,
+      height: size.height
+    });
+    const isFree = (box) => !obstacles.some(o => boxesOverlap(o, box)) && !placed.some(o => boxesOverlap(o, box));
+
+    chart.selectAll('.edge-label').each(function(d) {
+      const label = d3.select(this);
+      const pathNode = d3.select(this.parentNode).select('path').node();
+      if (!pathNode || !d.points || d.points.length === 0) return;
+
+      const bbox = this.getBBox();
+      const size = { width: bbox.width, height: bbox.height };
+      const total = pathNode.getTotalLength();
+
+      const candidates = [];
+      const adapterPosition = d.labelPosition;
+      if (adapterPosition) {
+        const center = {
+          x: adapterPosition.x + 0.5 * adapterPosition.width,
+          y: adapterPosition.y + 0.5 * adapterPosition.height
+        };
+        // Stale once the edge has been moved, e.g. by dragging
+        const tolerance = Math.max(adapterPosition.width, adapterPosition.height);
+        if (distanceToPolyline(center, d.points) <= tolerance) {
+          candidates.push(center);
+        }
+      }
+
+      // Along the path, outwards from the middle, then shifted off the path
+      const fractions = [0.5, 0.4, 0.6, 0.3, 0.7, 0.2, 0.8];
+      const alongPath = fractions.map(f => pathNode.getPointAtLength(f * total));
+      alongPath.forEach(p => candidates.push({ x: p.x, y: p.y }));
+      [1, -1].forEach(sign => {
+        alongPath.forEach(p => candidates.push({ x: p.x, y: p.y + sign * size.height }));
+      });
+
+      const position = candidates.find(c => isFree(boxAt(c, size))) || candidates[0];
+      placed.push(boxAt(position, size));
+      label.attr('transform', svgUtil.translate(position.x, position.y));
+    });
+  }
+
   /**
    * Prepare the SVG and returns a chart refrence. This function will create three "layers": background,
    * data, and foreground layers. The data-layer corresponds to the chart.
@@ -541,6 +1259,28 @@ export default class SVGRenderer {
     });
   }
 
+  enablePortInteraction(selection, renderer) {
+    selection.each((portData, portIndex, ports) => {
+      const port = d3.select(ports[portIndex]);
+      const registry = renderer.registry;
+
+      port.on('click', function(evt) {
+        evt.stopPropagation();
+        if (registry.has('portClick')) { registry.get('portClick')(evt, d3.select(this), renderer); }
+      });
+
+      port.on('mouseenter', function(evt) {
+        evt.stopPropagation();
+        if (registry.has('portMouseEnter')) { registry.get('portMouseEnter')(evt, d3.select(this), renderer); }
+      });
+
+      port.on('mouseleave', function(evt) {
+        evt.stopPropagation();
+        if (registry.has('portMouseLeave')) { registry.get('portMouseLeave')(evt, d3.select(this), renderer); }
+      });
+    });
+  }
+
   enableEdgeInteraction(selection, renderer) {
     selection.each((edgeData, edgeIndex, edges) => {
       const edge = d3.select(edges[edgeIndex]);
@@ -601,29 +1341,13 @@ export default class SVGRenderer {
     function zoomed(evt) {
       if (self.options.useZoom === false) return;
       chart.attr('transform', evt.transform);
-    }
-    function zoomEnd() {
-      if (!self.layout) return;
-      if (self.options.useMinimap === false || self.options.useZoom === false) return;
-      const { x1, y1, x2, y2 } = self.getBoundary();
-      const minimap = d3.select(self.svgEl).select('.foreground-layer').select('.minimap');
-      minimap.select('.current-view').remove();
-      minimap.append('rect')
-        .classed('current-view', true)
-        .attr('x', x1)
-        .attr('y', y1)
-        .attr('width', x2)
-        .attr('height', y2)
-        .attr('stroke', '#000')
-        .attr('stroke-width', 1)
-        .attr('fill', '#369')
-        .attr('fill-opacity', 0.1);
+      if (self.minimap) self.minimap.updateViewport();
     }
 
     const minZoom = 0.05;
     const maxZoom = Math.max(2, Math.floor(this.layout.width / this.chartSize.width));
     const zoomLevel = Math.min(1, 1 / (this.layout.height / this.chartSize.height));
-    this.zoom = d3.zoom().scaleExtent([minZoom, maxZoom]).on('zoom', zoomed).on('end', zoomEnd);
+    this.zoom = d3.zoom().scaleExtent([minZoom, maxZoom]).on('zoom', zoomed);
     svg.call(this.zoom).on('dblclick.zoom', null);
 
     svg.call(
@@ -641,7 +1365,7 @@ export default class SVGRenderer {
     const options = this.options;
     const self = this;
     chart.selectAll('.edge').selectAll('path').attr('d', d => {
-      return pathFn(d.points);
+      return this.pathFn(d.points);
     });
     if (options.useEdgeControl) {
       chart.selectAll('.edge').each(function() {
@@ -651,35 +1375,82 @@ export default class SVGRenderer {
           .attr('transform', svgUtil.translate(controlPoint.x, controlPoint.y));
       });
     }
+    if (options.useEdgeLabels) {
+      this.placeEdgeLabels();
+    }
+    if (options.useMinimap === true) {
+      this.renderMinimap();
+    }
   }
 
   /**
-   * Given a node identifier, trace up the ancestor chain and record edges along the way
+   * Given a node identifier, trace the lineage of the node by following edges, recording
+   * edges along the way.
    *
-   * @param {string} id - node identifier
+   * @param {string} nodeId - node identifier
+   * @param {object} options - Trace options
+   * @param {string} options.direction - "upstream", "downstream" or "both", default to upstream
+   * @param {number} options.maxDepth - Maximum number of hops, default to no limit
+   * @param {function} options.edgeFilter - Only follow edges for which this returns true
+   * @param {boolean} options.includeDescendants - Treat compound nodes as containing their descendants, so
+   *   edges connected to any descendant are followed as well. Default to false
+   * @returns {object} { nodes: [...ids], edges: [...edges], distances: { id: hops } } - nodes are every node
+   *   reached, the start node included, edges are the layout edges followed
    */
-  trace(nodeId) {
-    const checked = new Map();
-    const data = this.layout || { edges: [] };
-    const tracedEdges = [];
-
-    function backtrack(id) {
-      if (checked.has(id)) return;
-      checked.set(id, 1);
+  trace(nodeId, options = {}) {
+    const direction = options.direction || 'upstream';
+    const maxDepth = _.isNil(options.maxDepth) ? Infinity : options.maxDepth;
+    const edgeFilter = options.edgeFilter || (() => true);
+    const includeDescendants = options.includeDescendants || false;
+
+    const edges = this.layout ? flatten(this.layout).edges.filter(edgeFilter) : [];
+    const incoming = _.groupBy(edges, 'target');
+    const outgoing = _.groupBy(edges, 'source');
+
+    const members = (id) => {
+      const node = this.getNode(id);
+      if (!includeDescendants || !node) return [id];
+      const ids = [];
+      traverse(node, n => ids.push(n.id));
+      return ids;
+    };
 
-      const edges = data.edges.filter(edge => edge.target === id);
-      edges.forEach(edge => {
-        tracedEdges.push(edge);
-        backtrack(edge.source);
+    const tracedEdges = new Map();
+    const distances = new Map();
+
+    // Breadth first, so distances are the minimum number of hops
+    const walk = (upstream) => {
+      const visited = new Map([[nodeId, 0]]);
+      const queue = [nodeId];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        const depth = visited.get(id);
+        if (depth >= maxDepth) continue;
+
+        members(id).forEach(member => {
+          const adjacent = upstream ? incoming[member] : outgoing[member];
+          (adjacent || []).forEach(edge => {
+            tracedEdges.set(edge.id, edge);
+            const next = upstream ? edge.source : edge.target;
+            if (!visited.has(next)) {
+              visited.set(next, depth + 1);
+              queue.push(next);
+            }
+          });
+        });
+      }
+      visited.forEach((depth, id) => {
+        distances.set(id, Math.min(depth, distances.has(id) ? distances.get(id) : Infinity));
       });
-    }
-    backtrack(nodeId, [nodeId]);
+    };
+
+    if (direction === 'upstream' || direction === 'both') walk(true);
+    if (direction === 'downstream' || direction === 'both') walk(false);
 
     return {
-      edges: tracedEdges.map(edge => {
-        return { source: edge.source, target: edge.target };
-      }),
-      nodes: _.uniq([...tracedEdges.map(e => e.source), ...tracedEdges.map(e => e.target)])
+      nodes: [...distances.keys()],
+      edges: [...tracedEdges.values()],
+      distances: Object.fromEntries(distances)
     };
   }
 }
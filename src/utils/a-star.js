@@ -1,167 +1,159 @@
-class BinaryHeap {
-  constructor(maxsize, scoreFn) {
-    this.size = 0;
-    this.maxsize = maxsize;
-    this.data = new Array(this.maxsize + 1);
-    this.scoreFn = scoreFn;
-  }
-
-  getParent(index) { return Math.round(index / 2); }
-  getLeftChild(index) { return 2 * index; }
-  getRightChild(index) { return 2 * index + 1; }
-  isLeaf(index) { return index >= this.size / 2 && index <= this.size; }
-
-  swap(indexA, indexB) {
-    const tmp = this.data[indexA];
-    this.data[indexA] = this.data[indexB];
-    this.data[indexB] = tmp;
-  }
-
-  heapify(index) {
-    if (this.isLeaf(index)) return;
-    const scoreFn = this.scoreFn;
-    const data = this.data;
-    const e = data[index];
-    const leftChildIndex = this.getLeftChild(index);
-    const rightChildIndex = this.getRightChild(index);
-
-    if (scoreFn(e) > scoreFn(data[leftChildIndex]) || scoreFn(e) > scoreFn(data[rightChildIndex])) {
-      if (scoreFn(data[leftChildIndex]) < scoreFn(data[rightChildIndex])) {
-        this.swap(index, leftChildIndex);
-        this.heapify(this.getLeftChild(index));
-      } else {
-        this.swap(index, rightChildIndex);
-        this.heapify(this.getRightChild(index));
-      }
-    }
-  }
-
-  insert(e) {
-    if (this.size >= this.maxsize) return;
-    const scoreFn = this.scoreFn;
-    this.data[++this.size] = e;
+import { IndexedPriorityQueue } from './priority-queue';
 
-    let currentIndex = this.size;
-    while (scoreFn(this.data[currentIndex]) < scoreFn(this.data[this.getParent(currentIndex)])) {
-      this.swap(currentIndex, this.getParent(currentIndex));
-      currentIndex = this.getParent(currentIndex);
-    }
-  }
+/**
+ * Heuristics over grid steps, dx and dy are the absolute step counts to the goal
+ * and w, h the cell size.
+ */
+const HEURISTICS = {
+  manhattan: (dx, dy, w, h) => dx * w + dy * h,
+  euclidean: (dx, dy, w, h) => Math.hypot(dx * w, dy * h),
+  octile: (dx, dy, w, h) => {
+    // Diagonal moves as long as possible, then straight
+    const diagonal = Math.hypot(w, h);
+    const d = Math.min(dx, dy);
+    return d * diagonal + (dx - d) * w + (dy - d) * h;
+  },
+  chebyshev: (dx, dy, w, h) => Math.max(dx * w, dy * h)
+};
 
-  pop() {
-    const e = this.data[1];
-    this.data[1] = this.data[this.size - 1];
-    this.size--;
-    this.heapify(1);
-    return e;
-  }
-}
+const ORTHOGONALS = [[1, 0], [-1, 0], [0, -1], [0, 1]];
+const DIAGONALS = [[1, 1], [1, -1], [-1, -1], [-1, 1]];
 
 /**
- * A* super basic path searching, not terribly optimized but fast enough for me
+ * A* path search on a grid.
+ *
+ * Grid cells are keyed by their integer coordinates, so there is no bound on the size of
+ * the canvas. Expanded cells go into a closed set and are not visited again.
  *
  * @param {object} start - coord {x:%, y:%}
- * @param {string} goal - coord {x:%, y:%}
+ * @param {object} goal - coord {x:%, y:%}
  * @param {function} collider - used during pathing, for routing around obstacles
- * @param {object} gridCell - optional {w:%, h:%}, default 10,10 - routing is done on this grid
- * @param {number} searchLimit - this is the max number of grid squares astar will search, default 1000
+ * @param {object} options
+ * @param {object} options.gridCell - {w:%, h:%}, default 10,10 - routing is done on this grid
+ * @param {number} options.searchLimit - Maximum number of grid cells expanded, default 5000
+ * @param {string} options.diagonal - "always", "never", or "noCornerCutting" to allow diagonal moves only when
+ *   both adjacent orthogonal cells are free. Default to noCornerCutting
+ * @param {string|function} options.heuristic - "manhattan", "euclidean", "octile", "chebyshev" or a function
+ *   (p, goal) => estimated distance. Default to octile, or manhattan when diagonal moves are not allowed
+ * @returns {object} { points, found, status, expanded } - status is "found", "limit" when the search gave up
+ *   after searchLimit cells, or "unreachable" when there is no path. If no path was found the points are
+ *   just the start and the goal.
  */
-const getAStarPath = (start, goal, collider = () => false, gridCell = { w: 10, h: 10 }, searchLimit = 5000) => {
-  const PRIME = 756065179;
-  const SIZE = 8000;
-  const pAsKey = (p) => {
-    return (Math.round(p.x) + SIZE) * PRIME + (p.y + SIZE);
-  };
-  const keyAsP = (v) => {
-    const y = v % PRIME;
-    const x = (v - y) / PRIME;
-    return { x: x - SIZE, y: y - SIZE };
-  };
-
-  const sqDifference = (a, b) => (a - b) * (a - b);
-  const sqDistance = (p1, p2) => sqDifference(p1.x, p2.x) + sqDifference(p1.y, p2.y);
+const searchPath = (start, goal, collider = () => false, options = {}) => {
+  const gridCell = options.gridCell || { w: 10, h: 10 };
+  const searchLimit = options.searchLimit || 5000;
+  const diagonal = options.diagonal || 'noCornerCutting';
+  const w = gridCell.w;
+  const h = gridCell.h;
+
+  let heuristic = options.heuristic || (diagonal === 'never' ? 'manhattan' : 'octile');
+  if (typeof heuristic === 'string') {
+    if (!HEURISTICS[heuristic]) {
+      throw new Error(`Unknown heuristic ${heuristic}`);
+    }
+    const fn = HEURISTICS[heuristic];
+    heuristic = (p, g) => fn(Math.abs(p.x - g.x) / w, Math.abs(p.y - g.y) / h, w, h);
+  }
 
-  const heuristic = (p) => sqDistance(p, goal) * 1.2;
-  const pEqual = (p1, p2) => p1.x === p2.x && p1.y === p2.y;
+  const toCell = (p) => ({ i: Math.round(p.x / w), j: Math.round(p.y / h) });
+  const toPoint = (c) => ({ x: c.i * w, y: c.j * h });
+  const cellKey = (i, j) => `${i},${j}`;
 
-  const nearestValue = (a, v) => Math.round(a / v) * v;
-  const nearestOnGrid = (a) => ({ x: nearestValue(a.x, gridCell.w), y: nearestValue(a.y, gridCell.h) });
-  const startOnGrid = nearestOnGrid(start);
-  const goalOnGrid = nearestOnGrid(goal);
+  const startCell = toCell(start);
+  const goalCell = toCell(goal);
+  const goalKey = cellKey(goalCell.i, goalCell.j);
+  const goalOnGrid = toPoint(goalCell);
 
-  if (pEqual(startOnGrid, goalOnGrid)) {
-    return [start, goal];
+  if (startCell.i === goalCell.i && startCell.j === goalCell.j) {
+    return { points: [start, goal], found: true, status: 'found', expanded: 0 };
   }
 
-  const cameFrom = [];
-  const gScore = {};
-  const fScore = {};
-  const heap = new BinaryHeap(9999, (e) => {
-    return fScore[e];
-  });
-
-  const getNeighbours = (p, grid) => {
-    return [
-      // orthogonals
-      { x: p.x + gridCell.w, y: p.y },
-      { x: p.x - gridCell.w, y: p.y },
-      { x: p.x, y: p.y - gridCell.h },
-      { x: p.x, y: p.y + gridCell.h },
-
-      // diagonals
-      { x: p.x + gridCell.w, y: p.y + gridCell.h },
-      { x: p.x + gridCell.w, y: p.y - gridCell.h },
-      { x: p.x - gridCell.w, y: p.y - gridCell.h },
-      { x: p.x - gridCell.w, y: p.y + gridCell.h }
-    ];
+  const cells = new Map(); // key => { i, j, g, parent }
+  const closed = new Set();
+  const open = new IndexedPriorityQueue();
+
+  // The goal cell is always passable, whatever the collider says
+  const blockedCache = new Map();
+  const blocked = (i, j) => {
+    const key = cellKey(i, j);
+    if (key === goalKey) return false;
+    if (!blockedCache.has(key)) {
+      blockedCache.set(key, collider(toPoint({ i, j })) === true);
+    }
+    return blockedCache.get(key);
   };
 
-  // TOOD: consider replacing pAsKey/keyAsP/gScore/fScore with a js Map or something with a cleaner feeling interface
-  heap.insert(pAsKey(startOnGrid));
-  gScore[pAsKey(startOnGrid)] = 0;
-  fScore[pAsKey(startOnGrid)] = heuristic(startOnGrid);
+  const startKey = cellKey(startCell.i, startCell.j);
+  cells.set(startKey, { i: startCell.i, j: startCell.j, g: 0, parent: null });
+  open.push(startKey, heuristic(toPoint(startCell), goalOnGrid));
+
+  const moves = ORTHOGONALS.map(([di, dj]) => ({ di, dj, cost: di !== 0 ? w : h }));
+  if (diagonal !== 'never') {
+    DIAGONALS.forEach(([di, dj]) => moves.push({ di, dj, cost: Math.hypot(w, h), diagonal: true }));
+  }
 
-  let count = 0;
-  while (heap.size > 0) {
-    count = count + 1;
-    if (count > searchLimit) {
+  let expanded = 0;
+  let status = 'unreachable';
+  while (open.size > 0) {
+    if (expanded >= searchLimit) {
+      status = 'limit';
       break;
     }
-
-    const currentKey = heap.pop();
-    const current = keyAsP(currentKey);
-
-    const neighbours = getNeighbours(current, gridCell); // canadian spelling, sorry not sorry eh
-    // TODO: getJumpPoints used to be here but not anymore no one knows where it went, i guess it went home
-
-    for (let i = 0; i < neighbours.length; i++) {
-      const neighbour = neighbours[i];
-      const neighbourKey = pAsKey(neighbour);
-
-      if (pEqual(neighbour, goalOnGrid)) {
-        const path = [pAsKey(goal), currentKey];
-        while (cameFrom[path[path.length - 1]] !== undefined) {
-          path.push(cameFrom[path[path.length - 1]]);
-        }
-        path.push(pAsKey(start));
-        return path.map(keyAsP).reverse();
+    const currentKey = open.pop();
+    if (currentKey === goalKey) {
+      status = 'found';
+      break;
+    }
+    closed.add(currentKey);
+    expanded++;
+
+    const current = cells.get(currentKey);
+    for (let m = 0; m < moves.length; m++) {
+      const move = moves[m];
+      const ni = current.i + move.di;
+      const nj = current.j + move.dj;
+      const neighbourKey = cellKey(ni, nj);
+      if (closed.has(neighbourKey)) continue;
+      if (blocked(ni, nj)) continue;
+      if (move.diagonal === true && diagonal === 'noCornerCutting') {
+        if (blocked(current.i + move.di, current.j) || blocked(current.i, current.j + move.dj)) continue;
       }
 
-      if (collider(neighbour)) continue;
-
-      const tentativeScore = gScore[pAsKey(current)] + sqDistance(current, neighbour);
-      if (gScore[neighbourKey] === undefined || tentativeScore < gScore[neighbourKey]) {
-        cameFrom[neighbourKey] = currentKey;
-        gScore[neighbourKey] = tentativeScore;
-        fScore[neighbourKey] = tentativeScore + heuristic(neighbour);
-        if (heap.data.indexOf(neighbourKey) === -1) {
-          heap.insert(neighbourKey);
-        }
-      }
+      const g = current.g + move.cost;
+      const existing = cells.get(neighbourKey);
+      if (existing && existing.g <= g) continue;
+      cells.set(neighbourKey, { i: ni, j: nj, g, parent: currentKey });
+      open.push(neighbourKey, g + heuristic(toPoint({ i: ni, j: nj }), goalOnGrid));
     }
   }
-  return [start, goal];
+
+  if (status !== 'found') {
+    return { points: [start, goal], found: false, status, expanded };
+  }
+
+  // Walk back from the cell before the goal, the actual start and goal replace their grid cells
+  const path = [goal];
+  let key = cells.get(goalKey).parent;
+  while (key !== startKey) {
+    path.push(toPoint(cells.get(key)));
+    key = cells.get(key).parent;
+  }
+  path.push(start);
+  return { points: path.reverse(), found: true, status, expanded };
 };
 
+/**
+ * A* path between two points, returns the points only. See searchPath for the details
+ * and the search result. Diagonal moves are always allowed, as they were before searchPath.
+ *
+ * @param {object} start - coord {x:%, y:%}
+ * @param {object} goal - coord {x:%, y:%}
+ * @param {function} collider - used during pathing, for routing around obstacles
+ * @param {object} gridCell - optional {w:%, h:%}, default 10,10 - routing is done on this grid
+ * @param {number} searchLimit - this is the max number of grid squares astar will search, default 5000
+ */
+const getAStarPath = (start, goal, collider = () => false, gridCell = { w: 10, h: 10 }, searchLimit = 5000) => {
+  return searchPath(start, goal, collider, { gridCell, searchLimit, diagonal: 'always' }).points;
+};
 
-export { getAStarPath };
+export { getAStarPath, searchPath };
@@ -0,0 +1,205 @@
+import { traverse } from './traverse';
+import { buildParentMap, getAncestors } from './hierarchy';
+import { getGlobalBox, boxContainsPoint } from './geometry';
+
+const collectEdges = (layout) => {
+  const edges = [];
+  traverse(layout, node => {
+    if (node.edges) edges.push(...node.edges);
+  });
+  return edges;
+};
+
+const normalize = (v) => {
+  const length = Math.hypot(v.x, v.y);
+  return length === 0 ? { x: 0, y: 0 } : { x: v.x / length, y: v.y / length };
+};
+
+// Left-hand normal of the segment a -> b
+const segmentNormal = (a, b) => normalize({ x: a.y - b.y, y: b.x - a.x });
+
+/**
+ * Offset a polyline sideways by a fixed distance, joining segments with mitered corners
+ *
+ * @param {array} points - polyline
+ * @param {number} offset - distance, positive values go to the left of the direction of travel
+ */
+export const offsetPolyline = (points, offset) => {
+  if (points.length < 2 || offset === 0) return points.map(p => ({ x: p.x, y: p.y }));
+  return points.map((p, i) => {
+    const before = i > 0 ? segmentNormal(points[i - 1], p) : null;
+    const after = i < points.length - 1 ? segmentNormal(p, points[i + 1]) : null;
+    let n = before || after;
+    let scale = 1;
+    if (before && after) {
+      n = normalize({ x: before.x + after.x, y: before.y + after.y });
+      // Miter length, limited so sharp turns do not shoot off
+      const cos = n.x * after.x + n.y * after.y;
+      scale = cos > 0.25 ? 1 / cos : 4;
+    }
+    return { x: p.x + n.x * offset * scale, y: p.y + n.y * offset * scale };
+  });
+};
+
+/**
+ * Fan apart edges that connect the same pair of nodes, in either direction. The edges of
+ * a pair are redrawn along the path of the first one, with evenly spaced offsets centered
+ * on it. Self loops are left as they are.
+ *
+ * @param {object} layout - rendering graph with edge points
+ * @param {number} spacing - distance between neighbouring edges, default to 15
+ */
+export const separateParallelEdges = (layout, spacing = 15) => {
+  const groups = new Map();
+  collectEdges(layout).forEach(edge => {
+    if (edge.source === edge.target || !edge.points || edge.points.length < 2) return;
+    const key = edge.source < edge.target ? `${edge.source}\u0000${edge.target}` : `${edge.target}\u0000${edge.source}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(edge);
+  });
+
+  groups.forEach(edges => {
+    if (edges.length < 2) return;
+
+    // Offsets are computed along one reference direction, so reversed edges end up on their own slot
+    const reference = edges[0];
+    const path = reference.points.map(p => ({ x: p.x, y: p.y }));
+    edges.forEach((edge, i) => {
+      const offset = (i - 0.5 * (edges.length - 1)) * spacing;
+      const points = offsetPolyline(path, offset);
+      edge.points = edge.source === reference.source ? points : points.reverse();
+    });
+  });
+};
+
+// Where the segment a -> b crosses the boundary of the box, a and b are on opposite sides
+const boundaryCrossing = (box, a, b) => {
+  const candidates = [];
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  [box.x, box.x + box.width].forEach(x => {
+    if (dx === 0) return;
+    const t = (x - a.x) / dx;
+    const y = a.y + t * dy;
+    if (t >= 0 && t <= 1 && y >= box.y && y <= box.y + box.height) candidates.push({ t, x, y });
+  });
+  [box.y, box.y + box.height].forEach(y => {
+    if (dy === 0) return;
+    const t = (y - a.y) / dy;
+    const x = a.x + t * dx;
+    if (t >= 0 && t <= 1 && x >= box.x && x <= box.x + box.width) candidates.push({ t, x, y });
+  });
+  if (candidates.length === 0) return null;
+  candidates.sort((c1, c2) => c1.t - c2.t);
+  return candidates[0];
+};
+
+// Index of the segment that leaves (or enters) the box
+const findCrossingSegment = (box, points, outgoing) => {
+  for (let i = 0; i < points.length - 1; i++) {
+    const inA = boxContainsPoint(box, points[i]);
+    const inB = boxContainsPoint(box, points[i + 1]);
+    if (outgoing && inA && !inB) return i;
+    if (!outgoing && !inA && inB) return i;
+  }
+  return -1;
+};
+
+// Closest side of the boundary, or the given side, the point on it and its outward normal
+const projectOnBoundary = (box, p, side = null) => {
+  const sides = [
+    { side: 'left', d: Math.abs(p.x - box.x), point: { x: box.x, y: p.y }, normal: { x: -1, y: 0 } },
+    { side: 'right', d: Math.abs(box.x + box.width - p.x), point: { x: box.x + box.width, y: p.y }, normal: { x: 1, y: 0 } },
+    { side: 'top', d: Math.abs(p.y - box.y), point: { x: p.x, y: box.y }, normal: { x: 0, y: -1 } },
+    { side: 'bottom', d: Math.abs(box.y + box.height - p.y), point: { x: p.x, y: box.y + box.height }, normal: { x: 0, y: 1 } }
+  ];
+  if (side) return sides.find(s => s.side === side);
+  sides.sort((a, b) => a.d - b.d);
+  return sides[0];
+};
+
+/**
+ * Bundle edges that cross the boundary of the same compound node in the same direction.
+ * The edges of a bundle converge on a shared point on the boundary and share a short
+ * stretch on either side of it, then split again towards their own endpoints.
+ *
+ * @param {object} layout - rendering graph with edge points
+ * @param {object} options
+ * @param {number} options.length - length of the shared stretch on each side of the boundary, default to 20
+ * @param {Map} options.parentMap - node identifier => parent node, computed if not provided
+ */
+export const bundleEdges = (layout, options = {}) => {
+  const length = options.length || 20;
+  const parentMap = options.parentMap || buildParentMap(layout);
+
+  const compounds = new Map();
+  traverse(layout, node => {
+    if (node !== layout && node.nodes && node.nodes.length > 0) {
+      compounds.set(node.id, node);
+    }
+  });
+
+  // Group by compound and direction
+  const bundles = new Map();
+  collectEdges(layout).forEach(edge => {
+    if (edge.source === edge.target || !edge.points || edge.points.length < 2) return;
+    const sourceAncestors = new Set(getAncestors(parentMap, edge.source).slice(1));
+    const targetAncestors = new Set(getAncestors(parentMap, edge.target).slice(1));
+    sourceAncestors.forEach(id => {
+      if (!targetAncestors.has(id) && compounds.has(id)) {
+        const key = `${id}\u0000out`;
+        if (!bundles.has(key)) bundles.set(key, { compound: compounds.get(id), outgoing: true, edges: [] });
+        bundles.get(key).edges.push(edge);
+      }
+    });
+    targetAncestors.forEach(id => {
+      if (!sourceAncestors.has(id) && compounds.has(id)) {
+        const key = `${id}\u0000in`;
+        if (!bundles.has(key)) bundles.set(key, { compound: compounds.get(id), outgoing: false, edges: [] });
+        bundles.get(key).edges.push(edge);
+      }
+    });
+  });
+
+  bundles.forEach(({ compound, outgoing, edges }) => {
+    if (edges.length < 2) return;
+    const box = getGlobalBox(compound, parentMap);
+
+    // Edges leaving through different sides head in different directions, they are bundled separately
+    const bySide = new Map();
+    edges.forEach(edge => {
+      const i = findCrossingSegment(box, edge.points, outgoing);
+      if (i === -1) return;
+      const c = boundaryCrossing(box, edge.points[i], edge.points[i + 1]);
+      if (!c) return;
+      const side = projectOnBoundary(box, c).side;
+      if (!bySide.has(side)) bySide.set(side, []);
+      bySide.get(side).push({ edge, i, c });
+    });
+
+    bySide.forEach((crossings, side) => {
+      if (crossings.length < 2) return;
+      const mean = {
+        x: crossings.reduce((acc, d) => acc + d.c.x, 0) / crossings.length,
+        y: crossings.reduce((acc, d) => acc + d.c.y, 0) / crossings.length
+      };
+      const { point, normal } = projectOnBoundary(box, mean, side);
+      const inner = { x: point.x - normal.x * length, y: point.y - normal.y * length };
+      const outer = { x: point.x + normal.x * length, y: point.y + normal.y * length };
+      const shared = outgoing ? [inner, point, outer] : [outer, point, inner];
+
+      // Points within the shared stretch would pull the edge back and forth, drop them but keep the endpoints
+      const distance = (p) => Math.abs((p.x - point.x) * normal.x + (p.y - point.y) * normal.y);
+      crossings.forEach(({ edge, i }) => {
+        const points = edge.points;
+        const before = points.slice(0, i + 1).filter((p, j) => j === 0 || distance(p) > length);
+        const after = points.slice(i + 1).filter((p, j, arr) => j === arr.length - 1 || distance(p) > length);
+        edge.points = [
+          ...before,
+          ...shared.map(p => ({ x: p.x, y: p.y })),
+          ...after
+        ];
+      });
+    });
+  });
+};
@@ -0,0 +1,103 @@
+/**
+ * Returns the position of a node in global (chart) coordinates. Node positions are
+ * relative to their parent, so this walks up the parent chain.
+ *
+ * @param {object} node - rendering node
+ * @param {Map} parentMap - node identifier => parent node
+ */
+export const getGlobalPosition = (node, parentMap) => {
+  let x = node.x || 0;
+  let y = node.y || 0;
+  let current = node;
+  while (parentMap.has(current.id)) {
+    current = parentMap.get(current.id);
+    x += current.x || 0;
+    y += current.y || 0;
+  }
+  return { x, y };
+};
+
+/**
+ * Returns the bounding box of a node in global (chart) coordinates
+ *
+ * @param {object} node - rendering node
+ * @param {Map} parentMap - node identifier => parent node
+ */
+export const getGlobalBox = (node, parentMap) => {
+  const { x, y } = getGlobalPosition(node, parentMap);
+  return { x, y, width: node.width, height: node.height };
+};
+
+export const boxContainsPoint = (box, p) => {
+  return p.x >= box.x && p.x <= box.x + box.width && p.y >= box.y && p.y <= box.y + box.height;
+};
+
+export const boxContainsBox = (outer, inner) => {
+  return inner.x >= outer.x && inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height;
+};
+
+export const boxesOverlap = (a, b) => {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+};
+
+/**
+ * Shortest distance between a point and a polyline
+ *
+ * @param {object} p - {x, y}
+ * @param {array} points - polyline
+ */
+export const distanceToPolyline = (p, points) => {
+  if (points.length === 1) return Math.hypot(p.x - points[0].x, p.y - points[0].y);
+  let best = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const lengthSq = (b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y);
+    let t = lengthSq === 0 ? 0 : ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+    best = Math.min(best, Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y))));
+  }
+  return best;
+};
+
+// Cumulative arc length of each point, normalized to [0, 1]
+const arcParameters = (points) => {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  const total = lengths[lengths.length - 1];
+  return lengths.map((l, i) => total === 0 ? i / Math.max(1, points.length - 1) : l / total);
+};
+
+// Point at the normalized arc length s of a polyline
+const pointAtParameter = (points, params, s) => {
+  let i = 1;
+  while (i < points.length - 1 && params[i] < s) i++;
+  const a = points[i - 1];
+  const b = points[i];
+  const span = params[i] - params[i - 1];
+  const t = span === 0 ? 0 : (s - params[i - 1]) / span;
+  return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+};
+
+/**
+ * Interpolator between two polylines. Both are resampled at the union of their vertex
+ * positions along the path, so they have a common point count and the corners of
+ * either polyline are kept.
+ *
+ * @param {array} from - polyline
+ * @param {array} to - polyline
+ * @returns {function} t => points, t from 0 to 1
+ */
+export const interpolatePolyline = (from, to) => {
+  if (from.length < 2 || to.length < 2) return () => to;
+  const fromParams = arcParameters(from);
+  const toParams = arcParameters(to);
+  const params = [...new Set(fromParams.concat(toParams))].sort((a, b) => a - b);
+  const a = params.map(s => pointAtParameter(from, fromParams, s));
+  const b = params.map(s => pointAtParameter(to, toParams, s));
+  return (t) => a.map((p, i) => ({ x: p.x + t * (b[i].x - p.x), y: p.y + t * (b[i].y - p.y) }));
+};
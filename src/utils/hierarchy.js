@@ -0,0 +1,96 @@
+import { traverse } from './traverse';
+
+/**
+ * Build a map of node identifier => parent node
+ *
+ * @param {object} root - recursive graph
+ */
+export const buildParentMap = (root) => {
+  const parentMap = new Map();
+  traverse(root, (node) => {
+    if (node.nodes) {
+      node.nodes.forEach(n => {
+        parentMap.set(n.id, node);
+      });
+    }
+  });
+  return parentMap;
+};
+
+/**
+ * Returns the ancestor chain of a node, starting with the node itself and
+ * ending with the root.
+ *
+ * @param {Map} parentMap - node identifier => parent node
+ * @param {string} nodeId - node identifier
+ */
+export const getAncestors = (parentMap, nodeId) => {
+  const ancestors = [nodeId];
+  let current = nodeId;
+  while (parentMap.has(current)) {
+    current = parentMap.get(current).id;
+    ancestors.push(current);
+  }
+  return ancestors;
+};
+
+/**
+ * Returns the identifier of the lowest node that contains both nodes. If one node is
+ * an ancestor of the other, the ancestor itself is returned. For self-loops this is the
+ * parent of the node.
+ *
+ * @param {Map} parentMap - node identifier => parent node
+ * @param {string} a - node identifier
+ * @param {string} b - node identifier
+ */
+export const lowestCommonAncestor = (parentMap, a, b) => {
+  if (a === b) {
+    return parentMap.has(a) ? parentMap.get(a).id : a;
+  }
+  const ancestorsA = getAncestors(parentMap, a);
+  const ancestorsB = new Set(getAncestors(parentMap, b));
+  return ancestorsA.find(id => ancestorsB.has(id));
+};
+
+/**
+ * Move edges that are declared in a node that does not contain both of their ends to the
+ * lowest common ancestor of the ends. Needed after nodes move to another parent. Edges to
+ * unknown nodes are left where they are.
+ *
+ * @param {object} root - recursive graph
+ * @returns {array} the moved edges, [{ edge, from, to }] with from and to the container nodes
+ */
+export const rehomeEdges = (root) => {
+  const parentMap = buildParentMap(root);
+  const nodeMap = new Map();
+  traverse(root, node => nodeMap.set(node.id, node));
+
+  const moves = [];
+  traverse(root, container => {
+    (container.edges || []).forEach(edge => {
+      if (!nodeMap.has(edge.source) || !nodeMap.has(edge.target)) return;
+      const contained = [edge.source, edge.target].every(id => getAncestors(parentMap, id).includes(container.id));
+      if (contained) return;
+      moves.push({ edge, from: container, to: nodeMap.get(lowestCommonAncestor(parentMap, edge.source, edge.target)) });
+    });
+  });
+  moveEdges(moves);
+  return moves;
+};
+
+/**
+ * Move edges between containers, as returned by rehomeEdges. Moving them backwards puts
+ * them back where they were, for undo.
+ *
+ * @param {array} moves - [{ edge, from, to }] with from and to the container nodes
+ * @param {boolean} backwards - whether to move the edges from "to" back to "from"
+ */
+export const moveEdges = (moves, backwards = false) => {
+  moves.forEach(({ edge, from, to }) => {
+    const source = backwards ? to : from;
+    const target = backwards ? from : to;
+    source.edges = source.edges.filter(e => e !== edge);
+    if (!target.edges) target.edges = [];
+    target.edges.push(edge);
+  });
+};
@@ -0,0 +1,198 @@
+import { traverse } from './traverse';
+import { buildParentMap } from './hierarchy';
+import { getGlobalPosition, getGlobalBox, boxesOverlap } from './geometry';
+import { routeOrthogonalEdges } from './orthogonal-router';
+
+const center = (box) => ({ x: box.x + 0.5 * box.width, y: box.y + 0.5 * box.height });
+
+const sameBox = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+// Free spot closest to the target, searching outwards ring by ring on a grid
+const findFreeSpot = (node, target, placed, options) => {
+  const { padding, spacing } = options;
+  const step = spacing;
+  const collides = (x, y) => {
+    const box = { x: x - spacing, y: y - spacing, width: node.width + 2 * spacing, height: node.height + 2 * spacing };
+    return placed.some(p => boxesOverlap(box, p));
+  };
+  const clamp = (v) => Math.max(padding, v);
+
+  const x0 = clamp(target.x - 0.5 * node.width);
+  const y0 = clamp(target.y - 0.5 * node.height);
+  for (let ring = 0; ring <= options.maxRings; ring++) {
+    const candidates = [];
+    for (let i = -ring; i <= ring; i++) {
+      for (let j = -ring; j <= ring; j++) {
+        if (Math.max(Math.abs(i), Math.abs(j)) !== ring) continue;
+        candidates.push({ x: clamp(x0 + i * step), y: clamp(y0 + j * step) });
+      }
+    }
+    candidates.sort((a, b) => Math.hypot(a.x - x0, a.y - y0) - Math.hypot(b.x - x0, b.y - y0));
+    const free = candidates.find(c => !collides(c.x, c.y));
+    if (free) return free;
+  }
+
+  // Nothing close by, go to the right of everything
+  const right = placed.reduce((acc, p) => Math.max(acc, p.x + p.width), 0);
+  return { x: right + spacing, y: y0 };
+};
+
+/**
+ * Incremental layout. Nodes that were already on screen go back to their previous
+ * positions, new nodes and nodes that moved to another parent are placed close to the
+ * nodes they are connected to without overlapping anything, and parents grow to fit
+ * their children. Siblings a grown parent runs into move to the closest free spot, which
+ * can grow their own parent in turn, and the root is sized to fit. Edges are kept as they
+ * were when both ends stayed in place, the others are rerouted.
+ *
+ * Nodes are processed children first, so the size of a group is final before the group
+ * itself is placed.
+ *
+ * @param {object} layout - rendering graph, as laid out by the adapter
+ * @param {object} previous
+ * @param {Map} previous.nodes - node identifier => { x, y, width, height, parentId, global }, the previous
+ *   position relative to the parent, the parent identifier (null at the top level) and the global box
+ * @param {Map} previous.edges - edge identifier => points
+ * @param {object} options
+ * @param {number} options.padding - Padding between a parent and its children, default to 20
+ * @param {number} options.spacing - Minimum distance between nodes, default to 20
+ * @param {number} options.maxRings - How far around the preferred spot to look for space, in multiples of spacing. Default to 20
+ * @returns {object} { pinned, placed, rerouted } - identifiers of the nodes put back, of the nodes placed
+ *   or moved out of the way, and the rerouted edges
+ */
+export const applyIncrementalLayout = (layout, previous, options = {}) => {
+  const settings = {
+    padding: options.padding === undefined ? 20 : options.padding,
+    spacing: options.spacing === undefined ? 20 : options.spacing,
+    maxRings: options.maxRings || 20
+  };
+  const parentMap = buildParentMap(layout);
+  const parentId = (id) => parentMap.get(id) === layout ? null : parentMap.get(id).id;
+
+  // Where the adapter put things, to move along the edges that cannot be rerouted
+  const adapterPositions = new Map();
+  traverse(layout, node => {
+    if (node !== layout) adapterPositions.set(node.id, getGlobalPosition(node, parentMap));
+  });
+
+  const pinned = new Set();
+  const containers = [];
+  traverse(layout, node => {
+    if (node !== layout) {
+      const before = previous.nodes.get(node.id);
+      if (before && before.parentId === parentId(node.id)) {
+        pinned.add(node.id);
+        node.x = before.x;
+        node.y = before.y;
+        if (node.nodes && node.nodes.length > 0) {
+          node.width = before.width;
+          node.height = before.height;
+        }
+      }
+    }
+    if (node.nodes && node.nodes.length > 0) containers.push(node);
+  });
+
+  const neighbours = new Map();
+  const edges = [];
+  traverse(layout, node => {
+    (node.edges || []).forEach(edge => {
+      edges.push(edge);
+      [[edge.source, edge.target], [edge.target, edge.source]].forEach(([a, b]) => {
+        if (!neighbours.has(a)) neighbours.set(a, []);
+        neighbours.get(a).push(b);
+      });
+    });
+  });
+
+  // Children first, traverse visits parents before their children
+  const placed = [];
+  const grown = new Set();
+  containers.reverse().forEach(container => {
+    const origin = container === layout ? { x: 0, y: 0 } : getGlobalPosition(container, parentMap);
+
+    // Children that grew can run into their siblings, these move to the closest free spot
+    container.nodes.filter(n => grown.has(n.id)).forEach(child => {
+      container.nodes.filter(n => n !== child && pinned.has(n.id) && boxesOverlap(child, n)).forEach(sibling => {
+        const others = container.nodes.filter(n => n !== sibling && pinned.has(n.id));
+        const spot = findFreeSpot(sibling, center(sibling), others, settings);
+        sibling.x = spot.x;
+        sibling.y = spot.y;
+        placed.push(sibling.id);
+      });
+    });
+    const boxes = container.nodes.filter(n => pinned.has(n.id)).map(n => ({ x: n.x, y: n.y, width: n.width, height: n.height }));
+
+    // A new group with only new children keeps the layout the adapter gave it
+    if (container !== layout && !pinned.has(container.id) && boxes.length === 0) {
+      return;
+    }
+
+    container.nodes.filter(n => !pinned.has(n.id)).forEach(node => {
+      // Around the nodes it is connected to, otherwise next to its siblings
+      const anchors = (neighbours.get(node.id) || [])
+        .filter(id => id !== node.id && pinned.has(id))
+        .map(id => {
+          const c = center(getGlobalBox(parentMap.get(id).nodes.find(n => n.id === id), parentMap));
+          return { x: c.x - origin.x, y: c.y - origin.y };
+        });
+      let target;
+      if (anchors.length > 0) {
+        target = {
+          x: anchors.reduce((acc, p) => acc + p.x, 0) / anchors.length,
+          y: anchors.reduce((acc, p) => acc + p.y, 0) / anchors.length
+        };
+      } else {
+        const right = boxes.reduce((acc, b) => Math.max(acc, b.x + b.width), settings.padding);
+        target = { x: right + settings.spacing + 0.5 * node.width, y: settings.padding + 0.5 * node.height };
+      }
+
+      const spot = findFreeSpot(node, target, boxes, settings);
+      node.x = spot.x;
+      node.y = spot.y;
+      boxes.push({ x: node.x, y: node.y, width: node.width, height: node.height });
+      pinned.add(node.id);
+      placed.push(node.id);
+    });
+
+    // Grow to fit the children, the root fits them exactly
+    const right = boxes.reduce((acc, b) => Math.max(acc, b.x + b.width), 0) + settings.padding;
+    const bottom = boxes.reduce((acc, b) => Math.max(acc, b.y + b.height), 0) + settings.padding;
+    if (container === layout) {
+      layout.width = right;
+      layout.height = bottom;
+    } else if (right > container.width || bottom > container.height) {
+      container.width = Math.max(container.width, right);
+      container.height = Math.max(container.height, bottom);
+      grown.add(container.id);
+    }
+  });
+  placed.forEach(id => pinned.delete(id));
+
+  // Keep the edges whose ends did not move, reroute the others
+  const moved = (id) => {
+    const before = previous.nodes.get(id);
+    const node = parentMap.get(id) && parentMap.get(id).nodes.find(n => n.id === id);
+    return !before || !node || !sameBox(before.global, getGlobalBox(node, parentMap));
+  };
+  const affected = [];
+  edges.forEach(edge => {
+    if (previous.edges.has(edge.id) && !moved(edge.source) && !moved(edge.target)) {
+      edge.points = previous.edges.get(edge.id).map(p => ({ x: p.x, y: p.y }));
+    } else {
+      affected.push(edge);
+    }
+  });
+  const rerouted = routeOrthogonalEdges(layout, affected, { parentMap });
+
+  // Self loops and edges to an ancestor are not routed, they move along with their source
+  const routedIds = new Set(rerouted.map(e => e.id));
+  affected.filter(edge => !routedIds.has(edge.id) && edge.points && adapterPositions.has(edge.source)).forEach(edge => {
+    const node = parentMap.get(edge.source).nodes.find(n => n.id === edge.source);
+    const now = getGlobalPosition(node, parentMap);
+    const before = adapterPositions.get(edge.source);
+    edge.points = edge.points.map(p => ({ x: p.x + now.x - before.x, y: p.y + now.y - before.y }));
+  });
+
+  return { pinned: [...pinned], placed, rerouted: [...routedIds] };
+};
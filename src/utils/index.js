@@ -1,7 +1,13 @@
 import { removeChildren } from './removeChildren';
 import { traverse, flatten } from './traverse';
+import { buildParentMap, getAncestors, lowestCommonAncestor, rehomeEdges, moveEdges } from './hierarchy';
+import { makeRenderingGraph, makeRenderingEdge } from './rendering-graph';
+import { getGlobalPosition, getGlobalBox } from './geometry';
 
 export {
-  removeChildren, traverse, flatten
+  removeChildren, traverse, flatten,
+  buildParentMap, getAncestors, lowestCommonAncestor, rehomeEdges, moveEdges,
+  makeRenderingGraph, makeRenderingEdge,
+  getGlobalPosition, getGlobalBox
 };
 
@@ -0,0 +1,318 @@
+import _ from 'lodash';
+import { traverse } from './traverse';
+import { buildParentMap, getAncestors, lowestCommonAncestor } from './hierarchy';
+import { getGlobalBox } from './geometry';
+import { IndexedPriorityQueue } from './priority-queue';
+import { findPort, getPortPosition } from './ports';
+
+// Directions of travel, indexed so that (d + 2) % 4 is the opposite direction
+const DIRECTIONS = [
+  { x: 1, y: 0 }, // right
+  { x: 0, y: 1 }, // down
+  { x: -1, y: 0 }, // left
+  { x: 0, y: -1 } // up
+];
+const SIDES = { right: 0, bottom: 1, left: 2, top: 3 };
+const ALL_SIDES = ['right', 'bottom', 'left', 'top'];
+
+const inflate = (box, margin) => ({
+  x: box.x - margin,
+  y: box.y - margin,
+  width: box.width + 2 * margin,
+  height: box.height + 2 * margin
+});
+
+// Strictly inside, running along the boundary of an obstacle is fine
+const pointInside = (box, p) => {
+  return p.x > box.x && p.x < box.x + box.width && p.y > box.y && p.y < box.y + box.height;
+};
+
+const segmentCrosses = (box, p1, p2) => {
+  if (p1.y === p2.y) {
+    return p1.y > box.y && p1.y < box.y + box.height &&
+      Math.max(p1.x, p2.x) > box.x && Math.min(p1.x, p2.x) < box.x + box.width;
+  }
+  return p1.x > box.x && p1.x < box.x + box.width &&
+    Math.max(p1.y, p2.y) > box.y && Math.min(p1.y, p2.y) < box.y + box.height;
+};
+
+const sortedUnique = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+// Where an edge leaves/enters a box on the given side, and the stub point just outside of it.
+// The anchor, if given, is a fixed point on that side, e.g. a node port.
+const makePort = (box, side, margin, anchor = null) => {
+  const d = DIRECTIONS[SIDES[side]];
+  const cx = box.x + 0.5 * box.width;
+  const cy = box.y + 0.5 * box.height;
+  const point = anchor ? { x: anchor.x, y: anchor.y } : { x: cx + d.x * 0.5 * box.width, y: cy + d.y * 0.5 * box.height };
+  return {
+    side,
+    direction: SIDES[side],
+    point,
+    stub: { x: point.x + d.x * margin, y: point.y + d.y * margin }
+  };
+};
+
+// Drop points that do not change direction
+const removeCollinear = (points) => {
+  return points.filter((p, i) => {
+    if (i === 0 || i === points.length - 1) return true;
+    const a = points[i - 1];
+    const b = points[i + 1];
+    if (p.x === a.x && p.y === a.y) return false;
+    return !((a.x === p.x && p.x === b.x) || (a.y === p.y && p.y === b.y));
+  });
+};
+
+/**
+ * Simple three segment route between the facing sides of the two boxes, used when the
+ * search fails.
+ */
+const fallbackPath = (sourceBox, targetBox) => {
+  const sc = { x: sourceBox.x + 0.5 * sourceBox.width, y: sourceBox.y + 0.5 * sourceBox.height };
+  const tc = { x: targetBox.x + 0.5 * targetBox.width, y: targetBox.y + 0.5 * targetBox.height };
+  const horizontal = Math.abs(tc.x - sc.x) > Math.abs(tc.y - sc.y);
+  if (horizontal) {
+    const sign = tc.x > sc.x ? 1 : -1;
+    const start = { x: sc.x + sign * 0.5 * sourceBox.width, y: sc.y };
+    const end = { x: tc.x - sign * 0.5 * targetBox.width, y: tc.y };
+    const midX = 0.5 * (start.x + end.x);
+    return removeCollinear([start, { x: midX, y: start.y }, { x: midX, y: end.y }, end]);
+  }
+  const sign = tc.y > sc.y ? 1 : -1;
+  const start = { x: sc.x, y: sc.y + sign * 0.5 * sourceBox.height };
+  const end = { x: tc.x, y: tc.y - sign * 0.5 * targetBox.height };
+  const midY = 0.5 * (start.y + end.y);
+  return removeCollinear([start, { x: start.x, y: midY }, { x: end.x, y: midY }, end]);
+};
+
+/**
+ * Route an edge between two boxes with horizontal and vertical segments only. The edge
+ * leaves and enters the boxes perpendicular to one of their sides, goes around the
+ * obstacles, and prefers routes with few bends.
+ *
+ * The search runs on a sparse grid made of the lines running along the (inflated)
+ * obstacle boundaries and the ports, so its size depends on the number of obstacles
+ * rather than the size of the canvas.
+ *
+ * @param {object} sourceBox - {x, y, width, height}
+ * @param {object} targetBox - {x, y, width, height}
+ * @param {array} obstacles - boxes to route around, in the same coordinate system
+ * @param {object} options
+ * @param {number} options.margin - Clearance kept around obstacles, default to 10
+ * @param {number} options.bendPenalty - Cost of a bend, in the same unit as the distance. Default to 40
+ * @param {array} options.sourceSides - Sides the edge may leave from, default to all of "top", "right", "bottom", "left"
+ * @param {array} options.targetSides - Sides the edge may enter from, default to all
+ * @param {object} options.sourceAnchor - Optional {side, x, y} fixed point the edge leaves from, e.g. a port. Overrides sourceSides
+ * @param {object} options.targetAnchor - Optional {side, x, y} fixed point the edge enters at. Overrides targetSides
+ * @param {object} options.bounds - Optional box the route has to stay within, e.g. the enclosing group
+ * @param {number} options.searchLimit - Maximum number of expanded states, default to 20000
+ * @returns {array} points
+ */
+export const getOrthogonalPath = (sourceBox, targetBox, obstacles = [], options = {}) => {
+  const margin = options.margin === undefined ? 10 : options.margin;
+  const bendPenalty = options.bendPenalty === undefined ? 40 : options.bendPenalty;
+  const sourceSides = options.sourceSides || ALL_SIDES;
+  const targetSides = options.targetSides || ALL_SIDES;
+  const bounds = options.bounds || null;
+  const searchLimit = options.searchLimit || 20000;
+
+  const sourceAnchor = options.sourceAnchor || null;
+  const targetAnchor = options.targetAnchor || null;
+
+  const sourcePorts = sourceAnchor
+    ? [makePort(sourceBox, sourceAnchor.side, margin, sourceAnchor)]
+    : sourceSides.map(side => makePort(sourceBox, side, margin));
+  const targetPorts = targetAnchor
+    ? [makePort(targetBox, targetAnchor.side, margin, targetAnchor)]
+    : targetSides.map(side => makePort(targetBox, side, margin));
+
+  // The endpoints themselves are obstacles, edges should not cut through them
+  const blocked = obstacles.concat([sourceBox, targetBox]).map(b => inflate(b, margin));
+
+  // Lines along the obstacles, limited to the bounds, and the lines through the ports
+  const inside = (v, min, size) => !bounds || (v >= min && v <= min + size);
+  const xs = [];
+  const ys = [];
+  blocked.forEach(b => {
+    [b.x, b.x + b.width].forEach(x => { if (inside(x, bounds && bounds.x, bounds && bounds.width)) xs.push(x); });
+    [b.y, b.y + b.height].forEach(y => { if (inside(y, bounds && bounds.y, bounds && bounds.height)) ys.push(y); });
+  });
+  sourcePorts.concat(targetPorts).forEach(port => {
+    xs.push(port.stub.x);
+    ys.push(port.stub.y);
+  });
+  const gridX = sortedUnique(xs);
+  const gridY = sortedUnique(ys);
+
+  const indexX = new Map(gridX.map((x, i) => [x, i]));
+  const indexY = new Map(gridY.map((y, i) => [y, i]));
+
+  const pointAt = (i, j) => ({ x: gridX[i], y: gridY[j] });
+  const stateKey = (i, j, d) => (j * gridX.length + i) * 4 + d;
+
+  const goals = new Map();
+  targetPorts.forEach(port => {
+    if (!indexX.has(port.stub.x) || !indexY.has(port.stub.y)) return;
+    const key = indexY.get(port.stub.y) * gridX.length + indexX.get(port.stub.x);
+    if (!goals.has(key)) goals.set(key, []);
+    goals.get(key).push(port);
+  });
+
+  const heuristic = (p) => {
+    let best = Infinity;
+    targetPorts.forEach(port => {
+      best = Math.min(best, Math.abs(p.x - port.stub.x) + Math.abs(p.y - port.stub.y));
+    });
+    return best + margin;
+  };
+
+  const cost = new Map();
+  const cameFrom = new Map();
+  const queue = new IndexedPriorityQueue();
+  const GOAL = -1;
+  let goalPort = null;
+  let goalFrom = null;
+  let goalCost = Infinity;
+
+  sourcePorts.forEach(port => {
+    if (!indexX.has(port.stub.x) || !indexY.has(port.stub.y)) return;
+    const i = indexX.get(port.stub.x);
+    const j = indexY.get(port.stub.y);
+    const key = stateKey(i, j, port.direction);
+    cost.set(key, margin);
+    cameFrom.set(key, { port });
+    queue.push(key, margin + heuristic(port.stub));
+  });
+
+  let expanded = 0;
+  while (queue.size > 0 && expanded < searchLimit) {
+    const key = queue.pop();
+    if (key === GOAL) break;
+    expanded++;
+
+    const d = key % 4;
+    const cell = Math.floor(key / 4);
+    const i = cell % gridX.length;
+    const j = Math.floor(cell / gridX.length);
+    const g = cost.get(key);
+    const p = pointAt(i, j);
+
+    // Reaching a target stub, the last segment goes straight into the target side
+    if (goals.has(cell)) {
+      goals.get(cell).forEach(port => {
+        const inward = (port.direction + 2) % 4;
+        const total = g + margin + (d === inward ? 0 : bendPenalty);
+        if (total < goalCost) {
+          goalCost = total;
+          goalPort = port;
+          goalFrom = key;
+          queue.push(GOAL, total);
+        }
+      });
+    }
+
+    for (let nd = 0; nd < 4; nd++) {
+      if (nd === (d + 2) % 4) continue; // No going back
+      const ni = i + DIRECTIONS[nd].x;
+      const nj = j + DIRECTIONS[nd].y;
+      if (ni < 0 || nj < 0 || ni >= gridX.length || nj >= gridY.length) continue;
+
+      const np = pointAt(ni, nj);
+      if (blocked.some(b => pointInside(b, np) || segmentCrosses(b, p, np))) continue;
+
+      const nkey = stateKey(ni, nj, nd);
+      const ng = g + Math.abs(np.x - p.x) + Math.abs(np.y - p.y) + (nd === d ? 0 : bendPenalty);
+      if (cost.has(nkey) && cost.get(nkey) <= ng) continue;
+      cost.set(nkey, ng);
+      cameFrom.set(nkey, { key });
+      queue.push(nkey, ng + heuristic(np));
+    }
+  }
+
+  if (goalPort === null) {
+    const points = fallbackPath(sourceBox, targetBox);
+    if (sourceAnchor) points[0] = { x: sourceAnchor.x, y: sourceAnchor.y };
+    if (targetAnchor) points[points.length - 1] = { x: targetAnchor.x, y: targetAnchor.y };
+    return points;
+  }
+
+  const points = [goalPort.point];
+  let current = goalFrom;
+  for (;;) {
+    const cell = Math.floor(current / 4);
+    points.push({ x: gridX[cell % gridX.length], y: gridY[Math.floor(cell / gridX.length)] });
+    const from = cameFrom.get(current);
+    if (from.port) {
+      points.push(from.port.point);
+      break;
+    }
+    current = from.key;
+  }
+  return removeCollinear(points.reverse());
+};
+
+/**
+ * Route edges of a nested graph orthogonally, working in global coordinates. Nodes
+ * that are not the endpoints, or ancestors of the endpoints, are obstacles, so edges
+ * go around unrelated groups and only cross the boundaries of the groups their
+ * endpoints are in. Edges between nodes of the same group stay inside that group.
+ *
+ * Edges attached to ports leave and enter at the port, perpendicular to its side.
+ *
+ * The points of the edges are replaced, edges between a node and its own ancestor and
+ * self loops are left as they are.
+ *
+ * @param {object} layout - rendering graph with positions
+ * @param {array} edges - edges to route, default to all edges
+ * @param {object} options - same as getOrthogonalPath, plus
+ * @param {Map} options.parentMap - node identifier => parent node, computed if not provided
+ * @param {function} options.sides - Optional (edge, end) => [...sides] to restrict the sides used, end is "source" or "target"
+ * @returns {array} the routed edges
+ */
+export const routeOrthogonalEdges = (layout, edges = null, options = {}) => {
+  const parentMap = options.parentMap || buildParentMap(layout);
+  const nodes = [];
+  const allEdges = [];
+  traverse(layout, node => {
+    if (node !== layout) nodes.push(node);
+    if (node.edges) allEdges.push(...node.edges);
+  });
+  const boxes = new Map(nodes.map(n => [n.id, getGlobalBox(n, parentMap)]));
+  const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+  const routed = [];
+  (edges || allEdges).forEach(edge => {
+    if (edge.source === edge.target) return;
+    if (!boxes.has(edge.source) || !boxes.has(edge.target)) return;
+
+    const sourceAncestors = getAncestors(parentMap, edge.source);
+    const targetAncestors = getAncestors(parentMap, edge.target);
+    if (sourceAncestors.includes(edge.target) || targetAncestors.includes(edge.source)) return;
+
+    const exclude = new Set(sourceAncestors.concat(targetAncestors));
+    const obstacles = nodes.filter(n => !exclude.has(n.id)).map(n => boxes.get(n.id));
+
+    const lca = lowestCommonAncestor(parentMap, edge.source, edge.target);
+    const bounds = boxes.has(lca) ? boxes.get(lca) : null;
+
+    const anchor = (nodeId, portId) => {
+      const port = findPort(nodeMap.get(nodeId), portId);
+      if (!port) return null;
+      const box = boxes.get(nodeId);
+      const position = getPortPosition(nodeMap.get(nodeId), port);
+      return { side: port.side || 'right', x: box.x + position.x, y: box.y + position.y };
+    };
+
+    edge.points = getOrthogonalPath(boxes.get(edge.source), boxes.get(edge.target), obstacles, {
+      ...options,
+      bounds,
+      sourceAnchor: _.isNil(edge.sourcePort) ? null : anchor(edge.source, edge.sourcePort),
+      targetAnchor: _.isNil(edge.targetPort) ? null : anchor(edge.target, edge.targetPort),
+      sourceSides: options.sides ? options.sides(edge, 'source') : options.sourceSides,
+      targetSides: options.sides ? options.sides(edge, 'target') : options.targetSides
+    });
+    routed.push(edge);
+  });
+  return routed;
+};
@@ -0,0 +1,80 @@
+import _ from 'lodash';
+import { traverse } from './traverse';
+import { buildParentMap } from './hierarchy';
+import { getGlobalPosition } from './geometry';
+
+export const PORT_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Position of a port relative to its node. Ports sit on the given side of the node, the
+ * offset is the distance from the top-left end of that side. Ports without an offset are
+ * spread evenly over their side.
+ *
+ * @param {object} node - rendering node with width and height
+ * @param {object} port - { id, side, offset }
+ */
+export const getPortPosition = (node, port) => {
+  const side = port.side || 'right';
+  const horizontal = side === 'top' || side === 'bottom';
+  const length = horizontal ? node.width : node.height;
+
+  let offset = port.offset;
+  if (_.isNil(offset)) {
+    const siblings = (node.ports || []).filter(p => (p.side || 'right') === side);
+    const index = Math.max(0, siblings.indexOf(port));
+    offset = (index + 1) * length / (siblings.length + 1);
+  }
+
+  if (side === 'top') return { x: offset, y: 0 };
+  if (side === 'bottom') return { x: offset, y: node.height };
+  if (side === 'left') return { x: 0, y: offset };
+  return { x: node.width, y: offset };
+};
+
+/**
+ * Returns the port of a node, or null
+ */
+export const findPort = (node, portId) => {
+  if (!node || !node.ports) return null;
+  return node.ports.find(p => p.id === portId) || null;
+};
+
+/**
+ * Give every port an x/y relative to its node, and move the end points of edges that
+ * reference ports onto their ports.
+ *
+ * @param {object} layout - rendering graph with positions
+ * @param {Map} parentMap - node identifier => parent node, computed if not provided
+ */
+export const attachEdgesToPorts = (layout, parentMap = null) => {
+  parentMap = parentMap || buildParentMap(layout);
+  const nodeMap = new Map();
+  traverse(layout, node => {
+    nodeMap.set(node.id, node);
+    (node.ports || []).forEach(port => {
+      Object.assign(port, getPortPosition(node, port));
+    });
+  });
+
+  const globalPort = (nodeId, portId) => {
+    const node = nodeMap.get(nodeId);
+    const port = findPort(node, portId);
+    if (!port) return null;
+    const position = getGlobalPosition(node, parentMap);
+    return { x: position.x + port.x, y: position.y + port.y };
+  };
+
+  traverse(layout, node => {
+    (node.edges || []).forEach(edge => {
+      if (!edge.points || edge.points.length < 2) return;
+      if (!_.isNil(edge.sourcePort)) {
+        const p = globalPort(edge.source, edge.sourcePort);
+        if (p) edge.points[0] = p;
+      }
+      if (!_.isNil(edge.targetPort)) {
+        const p = globalPort(edge.target, edge.targetPort);
+        if (p) edge.points[edge.points.length - 1] = p;
+      }
+    });
+  });
+};
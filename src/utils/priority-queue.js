@@ -0,0 +1,97 @@
+/**
+ * Binary min-heap of keys, with an index from key to heap position so that the priority
+ * of a queued key can be looked up and lowered in O(log n).
+ */
+export class IndexedPriorityQueue {
+  constructor() {
+    this.heap = [];
+    this.index = new Map();
+    this.priorities = new Map();
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  has(key) {
+    return this.index.has(key);
+  }
+
+  priority(key) {
+    return this.priorities.get(key);
+  }
+
+  /**
+   * Add a key, or update its priority if it is already queued
+   */
+  push(key, priority) {
+    if (this.index.has(key)) {
+      const previous = this.priorities.get(key);
+      this.priorities.set(key, priority);
+      if (priority < previous) {
+        this._up(this.index.get(key));
+      } else {
+        this._down(this.index.get(key));
+      }
+      return;
+    }
+    this.heap.push(key);
+    this.index.set(key, this.heap.length - 1);
+    this.priorities.set(key, priority);
+    this._up(this.heap.length - 1);
+  }
+
+  /**
+   * Remove and return the key with the lowest priority
+   */
+  pop() {
+    const heap = this.heap;
+    if (heap.length === 0) return undefined;
+    const top = heap[0];
+    const last = heap.pop();
+    this.index.delete(top);
+    this.priorities.delete(top);
+    if (heap.length > 0) {
+      heap[0] = last;
+      this.index.set(last, 0);
+      this._down(0);
+    }
+    return top;
+  }
+
+  _less(a, b) {
+    return this.priorities.get(this.heap[a]) < this.priorities.get(this.heap[b]);
+  }
+
+  _swap(a, b) {
+    const heap = this.heap;
+    const tmp = heap[a];
+    heap[a] = heap[b];
+    heap[b] = tmp;
+    this.index.set(heap[a], a);
+    this.index.set(heap[b], b);
+  }
+
+  _up(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this._less(i, parent)) break;
+      this._swap(i, parent);
+      i = parent;
+    }
+  }
+
+  _down(i) {
+    const n = this.heap.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < n && this._less(left, smallest)) smallest = left;
+      if (right < n && this._less(right, smallest)) smallest = right;
+      if (smallest === i) break;
+      this._swap(i, smallest);
+      i = smallest;
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import _ from 'lodash';
+
+/**
+ * Builds a rendering edge out of an input edge
+ *
+ * @param {object} edge - edge data
+ */
+export const makeRenderingEdge = (edge) => {
+  const renderEdge = {
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    data: edge
+  };
+  if (!_.isNil(edge.label)) {
+    renderEdge.label = edge.label;
+  }
+  if (!_.isNil(edge.sourcePort)) {
+    renderEdge.sourcePort = edge.sourcePort;
+  }
+  if (!_.isNil(edge.targetPort)) {
+    renderEdge.targetPort = edge.targetPort;
+  }
+  return renderEdge;
+};
+
+/**
+ * Builds a rendering graph out of the recursive nodes/edges input data. The rendering graph
+ * mirrors the input hierarchy, with each node, port and edge keeping a reference to its original
+ * object under "data". Leaf nodes are given a default size if one is not provided.
+ *
+ * @param {object} graphData - recursive graph data
+ * @param {object} options
+ * @param {number} options.nodeWidth - default leaf node width
+ * @param {number} options.nodeHeight - default leaf node height
+ */
+export const makeRenderingGraph = (graphData, options) => {
+  const build = (node) => {
+    const renderNode = {
+      id: node.id,
+      label: node.label,
+      data: node
+    };
+    if (!_.isNil(node.layoutOptions)) {
+      renderNode.layoutOptions = node.layoutOptions;
+    }
+    if (!_.isEmpty(node.ports)) {
+      renderNode.ports = node.ports.map(port => ({
+        id: port.id,
+        side: port.side || 'right',
+        offset: port.offset,
+        nodeId: node.id,
+        data: port
+      }));
+    }
+
+    if (node.nodes && node.nodes.length > 0) {
+      renderNode.nodes = node.nodes.map(build);
+    } else {
+      renderNode.width = node.width || options.nodeWidth;
+      renderNode.height = node.height || options.nodeHeight;
+    }
+
+    renderNode.edges = (node.edges || []).map(makeRenderingEdge);
+    return renderNode;
+  };
+  return build(graphData);
+};
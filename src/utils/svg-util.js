@@ -32,6 +32,9 @@ export const pathFn = d3.line()
 export const MARKER_VIEWBOX = '-5 -5 10 10';
 export const ARROW = 'M 0,-3.25 L 5 ,0 L 0,3.25';
 export const ARROW_SHARP = 'M 0,-3 L 5 ,0 L 0,3 L 1 0';
+export const CIRCLE = 'M -3,0 A 3,3 0 1,0 3,0 A 3,3 0 1,0 -3,0';
+export const DIAMOND = 'M -4,0 L 0,-3 L 4,0 L 0,3 Z';
+export const TEE = 'M -0.75,-4 L 0.75,-4 L 0.75,4 L -0.75,4 Z';
 
 export default {
   createChart,
@@ -41,5 +44,8 @@ export default {
 
   MARKER_VIEWBOX,
   ARROW,
-  ARROW_SHARP
+  ARROW_SHARP,
+  CIRCLE,
+  DIAMOND,
+  TEE
 };
@@ -0,0 +1,164 @@
+import _ from 'lodash';
+import { PORT_SIDES } from './ports';
+
+/**
+ * Error thrown in strict validation mode, carries the list of all problems found.
+ *
+ * Each issue has the form
+ * {
+ *   code: 'duplicate-id' | 'missing-id' | 'missing-field' | 'invalid-field' | 'unknown-node' | 'unknown-port' |
+ *     'invalid-geometry' | 'invalid-points',
+ *   kind: 'node' | 'edge' | 'port',
+ *   id: node or edge identifier, if any,
+ *   field: the offending attribute,
+ *   path: identifiers of the containing nodes, from the root down,
+ *   message: human readable description
+ * }
+ */
+export class GraphValidationError extends Error {
+  constructor(issues) {
+    const more = issues.length > 1 ? ` (and ${issues.length - 1} more)` : '';
+    super(`Graph validation failed: ${issues[0].message}${more}`);
+    this.name = 'GraphValidationError';
+    this.issues = issues;
+  }
+}
+
+const isFiniteNumber = (v) => _.isNumber(v) && Number.isFinite(v);
+
+const makeIssue = (code, kind, id, field, path, message) => {
+  return { code, kind, id, field, path, message };
+};
+
+/**
+ * Walk the recursive graph, keeping track of the path to the current node
+ */
+const walk = (root, callbackFn) => {
+  const visit = (node, path) => {
+    callbackFn(node, path);
+    if (Array.isArray(node.nodes)) {
+      const childPath = [...path, node.id];
+      node.nodes.forEach(child => visit(child, childPath));
+    }
+  };
+  visit(root, []);
+};
+
+/**
+ * Check graph data before it is handed to an adapter: identifiers must be present and
+ * unique, and edges must refer to existing nodes.
+ *
+ * @param {object} data - recursive graph data
+ * @returns {array} list of issues, empty if the data is valid
+ */
+export const validateGraphData = (data) => {
+  const issues = [];
+  if (!_.isObject(data)) {
+    return [makeIssue('invalid-field', 'node', null, 'data', [], 'Graph data must be an object')];
+  }
+
+  const nodeIds = new Set();
+  const edgeIds = new Set();
+  const edges = [];
+  const portIds = new Map(); // node identifier => port identifiers
+
+  walk(data, (node, path) => {
+    if (!_.isNil(node.nodes) && !Array.isArray(node.nodes)) {
+      issues.push(makeIssue('invalid-field', 'node', node.id, 'nodes', path, `Node ${node.id} has non-array nodes`));
+    }
+    if (!_.isNil(node.edges) && !Array.isArray(node.edges)) {
+      issues.push(makeIssue('invalid-field', 'node', node.id, 'edges', path, `Node ${node.id} has non-array edges`));
+    } else if (Array.isArray(node.edges)) {
+      node.edges.forEach(edge => edges.push({ edge, path: [...path, node.id] }));
+    }
+
+    if (node === data) return; // Root does not need an identifier
+    if (_.isNil(node.id)) {
+      issues.push(makeIssue('missing-id', 'node', null, 'id', path, 'Node is missing an id'));
+    } else if (nodeIds.has(node.id)) {
+      issues.push(makeIssue('duplicate-id', 'node', node.id, 'id', path, `Duplicate node id ${node.id}`));
+    } else {
+      nodeIds.add(node.id);
+    }
+
+    if (!_.isNil(node.ports) && !Array.isArray(node.ports)) {
+      issues.push(makeIssue('invalid-field', 'node', node.id, 'ports', path, `Node ${node.id} has non-array ports`));
+    } else if (Array.isArray(node.ports)) {
+      const ids = new Set();
+      node.ports.forEach(port => {
+        if (_.isNil(port.id)) {
+          issues.push(makeIssue('missing-id', 'port', null, 'id', path, `Node ${node.id} has a port without an id`));
+        } else if (ids.has(port.id)) {
+          issues.push(makeIssue('duplicate-id', 'port', port.id, 'id', path, `Node ${node.id} has duplicate port id ${port.id}`));
+        } else {
+          ids.add(port.id);
+        }
+        if (!_.isNil(port.side) && !PORT_SIDES.includes(port.side)) {
+          issues.push(makeIssue('invalid-field', 'port', port.id, 'side', path, `Port ${port.id} of node ${node.id} has invalid side ${port.side}`));
+        }
+      });
+      portIds.set(node.id, ids);
+    }
+  });
+
+  edges.forEach(({ edge, path }) => {
+    if (_.isNil(edge.id)) {
+      issues.push(makeIssue('missing-id', 'edge', null, 'id', path, 'Edge is missing an id'));
+    } else if (edgeIds.has(edge.id)) {
+      issues.push(makeIssue('duplicate-id', 'edge', edge.id, 'id', path, `Duplicate edge id ${edge.id}`));
+    } else {
+      edgeIds.add(edge.id);
+    }
+
+    ['source', 'target'].forEach(field => {
+      if (_.isNil(edge[field])) {
+        issues.push(makeIssue('missing-field', 'edge', edge.id, field, path, `Edge ${edge.id} is missing ${field}`));
+      } else if (!nodeIds.has(edge[field])) {
+        issues.push(makeIssue('unknown-node', 'edge', edge.id, field, path, `Edge ${edge.id} ${field} refers to unknown node ${edge[field]}`));
+      }
+    });
+
+    [['sourcePort', 'source'], ['targetPort', 'target']].forEach(([field, nodeField]) => {
+      if (_.isNil(edge[field]) || !nodeIds.has(edge[nodeField])) return;
+      const ids = portIds.get(edge[nodeField]);
+      if (!ids || !ids.has(edge[field])) {
+        issues.push(makeIssue('unknown-port', 'edge', edge.id, field, path, `Edge ${edge.id} ${field} refers to unknown port ${edge[field]} of node ${edge[nodeField]}`));
+      }
+    });
+  });
+  return issues;
+};
+
+/**
+ * Check the rendering graph returned by an adapter: every node needs finite x, y, width
+ * and height, and every edge needs at least two points.
+ *
+ * @param {object} layout - rendering graph returned by adapter.run
+ * @returns {array} list of issues, empty if the layout is valid
+ */
+export const validateLayout = (layout) => {
+  const issues = [];
+  if (!_.isObject(layout)) {
+    return [makeIssue('invalid-field', 'node', null, 'layout', [], 'Adapter did not return a layout')];
+  }
+
+  walk(layout, (node, path) => {
+    const fields = node === layout ? ['width', 'height'] : ['x', 'y', 'width', 'height'];
+    const name = node === layout ? 'Root' : `Node ${node.id}`;
+    fields.forEach(field => {
+      if (!isFiniteNumber(node[field])) {
+        issues.push(makeIssue('invalid-geometry', 'node', node.id, field, path, `${name} has invalid ${field}: ${node[field]}`));
+      }
+    });
+
+    (node.edges || []).forEach(edge => {
+      const edgePath = [...path, node.id];
+      if (!Array.isArray(edge.points) || edge.points.length < 2) {
+        issues.push(makeIssue('invalid-points', 'edge', edge.id, 'points', edgePath, `Edge ${edge.id} needs at least 2 points`));
+      } else if (!edge.points.every(p => p && isFiniteNumber(p.x) && isFiniteNumber(p.y))) {
+        issues.push(makeIssue('invalid-points', 'edge', edge.id, 'points', edgePath, `Edge ${edge.id} has non-numeric points`));
+      }
+    });
+  });
+  return issues;
+};
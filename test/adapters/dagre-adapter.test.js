@@ -0,0 +1,47 @@
+import dagre from 'dagre';
+import DagreAdapter from '../../src/adapters/dagre-adapter';
+
+const graph = () => ({
+  id: 'root',
+  nodes: [
+    { id: 'P', nodes: [{ id: 'a' }, { id: 'b' }], edges: [{ id: 'ab', source: 'a', target: 'b' }] },
+    { id: 'c' }
+  ],
+  edges: [{ id: 'Pc', source: 'P', target: 'c' }]
+});
+
+describe('DagreAdapter', () => {
+  test('sizes compound nodes to fit their children', async () => {
+    const adapter = new DagreAdapter({ dagre });
+    const layout = await adapter.run(adapter.makeRenderingGraph(graph()));
+    const [P, c] = layout.nodes;
+    const [a, b] = P.nodes;
+    [a, b].forEach(child => {
+      expect(child.x).toBeGreaterThanOrEqual(0);
+      expect(child.y).toBeGreaterThanOrEqual(0);
+      expect(child.x + child.width).toBeLessThanOrEqual(P.width);
+      expect(child.y + child.height).toBeLessThanOrEqual(P.height);
+    });
+    expect(P.nodes[0].edges).toEqual([]);
+    expect(c.width).toBe(100);
+  });
+
+  test('lays out collapsed nodes as leaves', async () => {
+    const adapter = new DagreAdapter({ dagre, nodeWidth: 40, nodeHeight: 30 });
+    const renderGraph = adapter.makeRenderingGraph(graph());
+
+    // As collapsed by the expandCollapse addon, minus the removal of the children
+    renderGraph.nodes[0].collapsed = true;
+    renderGraph.nodes[0].width = 40;
+    renderGraph.nodes[0].height = 30;
+    const layout = await adapter.run(renderGraph);
+    const P = layout.nodes[0];
+    expect(P.width).toBe(40);
+    expect(P.height).toBe(30);
+
+    // Hidden children and their edges are not laid out
+    expect(P.nodes[0].x).toBeUndefined();
+    expect(P.edges[0].points).toBeUndefined();
+    expect(layout.edges[0].points.length).toBeGreaterThanOrEqual(2);
+  });
+});
@@ -0,0 +1,193 @@
+import ELK from 'elkjs';
+import ElkAdapter from '../../src/adapters/elk-adapter';
+import { buildParentMap } from '../../src/utils';
+import { getGlobalBox, getGlobalPosition } from '../../src/utils/geometry';
+import { portGraph } from '../helpers/graphs';
+
+// Two chains inside a group, the layered algorithm puts a -> b above c -> d by default
+const graph = () => ({
+  id: 'root',
+  nodes: [
+    {
+      id: 'G',
+      nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }],
+      edges: [{ id: 'ab', source: 'a', target: 'b' }, { id: 'cd', source: 'c', target: 'd' }]
+    },
+    { id: 'e' }
+  ]
+});
+
+// Edges declared away from where ELK wants them, with labels
+const labelled = () => ({
+  id: 'root',
+  nodes: [
+    { id: 'G', label: 'group', nodes: [{ id: 'a', label: 'A' }, { id: 'b' }], edges: [{ id: 'ae', source: 'a', target: 'e' }] },
+    { id: 'e' }
+  ],
+  edges: [{ id: 'ab', source: 'a', target: 'b', label: 'inside' }]
+});
+
+// Whether the point lies on the border of the box
+const onBorder = (box, p) => {
+  const within = p.x >= box.x - 1 && p.x <= box.x + box.width + 1 && p.y >= box.y - 1 && p.y <= box.y + box.height + 1;
+  const edge = [p.x - box.x, box.x + box.width - p.x, p.y - box.y, box.y + box.height - p.y].some(d => Math.abs(d) <= 1);
+  return within && edge;
+};
+
+const pin = (x, y, parentId = 'G') => ({ x, y, width: 30, height: 30, parentId });
+
+describe('ElkAdapter', () => {
+  let adapter;
+  beforeEach(() => {
+    adapter = new ElkAdapter({ elk: new ELK(), nodeWidth: 30, nodeHeight: 30 });
+  });
+
+  test('lays out from scratch without pinned nodes', async () => {
+    const layout = await adapter.run(adapter.makeRenderingGraph(graph()));
+    const [a, , c] = layout.nodes[0].nodes;
+    expect(a.y).toBeLessThan(c.y);
+  });
+
+  test('keeps the order of pinned nodes', async () => {
+    const pinned = new Map([
+      ['a', pin(0, 100)],
+      ['b', pin(100, 100)],
+      ['c', pin(0, 0)],
+      ['d', pin(100, 0)]
+    ]);
+    const layout = await adapter.run(adapter.makeRenderingGraph(graph()), { pinned });
+    const [a, b, c, d] = layout.nodes[0].nodes;
+    expect(c.y).toBeLessThan(a.y);
+    expect(d.y).toBeLessThan(b.y);
+  });
+
+  test('only seeds nodes that kept their parent', () => {
+    const pinned = new Map([['a', pin(0, 100, null)], ['e', pin(50, 60, null)]]);
+    const elkGraph = adapter._toElkGraph(adapter.makeRenderingGraph(graph()), pinned);
+    const [G, e] = elkGraph.children;
+    expect(e).toMatchObject({ x: 50, y: 60 });
+    expect(G.children[0].x).toBeUndefined();
+    expect(G.layoutOptions['elk.layered.layering.strategy']).toBe('INTERACTIVE');
+  });
+
+  test('leaves strategies set by the caller alone', () => {
+    adapter = new ElkAdapter({ elk: new ELK(), layoutOptions: { 'elk.layered.layering.strategy': 'LONGEST_PATH' } });
+    const pinned = new Map([['e', pin(50, 60, null)]]);
+    const elkGraph = adapter._toElkGraph(adapter.makeRenderingGraph(graph()), pinned);
+    expect(elkGraph.layoutOptions['elk.layered.layering.strategy']).toBe('LONGEST_PATH');
+    expect(elkGraph.children[0].layoutOptions['elk.layered.crossingMinimization.strategy']).toBeUndefined();
+  });
+
+  test('declares edges in the lowest common ancestor of their ends', () => {
+    const elkGraph = adapter._toElkGraph(adapter.makeRenderingGraph(labelled()));
+    const [G] = elkGraph.children;
+    expect(G.edges.map(e => e.id)).toEqual(['ab']);
+    expect(elkGraph.edges.map(e => e.id)).toEqual(['ae']);
+    expect(G.edges[0]).toMatchObject({ sources: ['a'], targets: ['b'] });
+  });
+
+  test('converts edge points and edge labels to global coordinates', () => {
+    const renderGraph = adapter.makeRenderingGraph(labelled());
+    adapter._applyLayout(renderGraph, {
+      id: 'root',
+      width: 300,
+      height: 200,
+      children: [
+        {
+          id: 'G',
+          x: 100,
+          y: 50,
+          width: 120,
+          height: 80,
+          children: [
+            { id: 'a', x: 10, y: 20, width: 30, height: 30, labels: [{ x: 1, y: 2, width: 7, height: 14 }] },
+            { id: 'b', x: 80, y: 20, width: 30, height: 30 }
+          ],
+          edges: [{
+            id: 'ab',
+            sections: [{ startPoint: { x: 40, y: 35 }, bendPoints: [{ x: 60, y: 35 }], endPoint: { x: 80, y: 35 } }],
+            labels: [{ x: 50, y: 20, width: 42, height: 14 }]
+          }]
+        },
+        { id: 'e', x: 250, y: 50, width: 30, height: 30 }
+      ],
+      edges: [{
+        id: 'ae',
+        container: 'G',
+        sections: [{ startPoint: { x: 40, y: 30 }, endPoint: { x: 150, y: 15 } }]
+      }]
+    });
+    const [G] = renderGraph.nodes;
+    const [a] = G.nodes;
+    const [ab] = renderGraph.edges;
+    expect(ab.points).toEqual([{ x: 140, y: 85 }, { x: 160, y: 85 }, { x: 180, y: 85 }]);
+    expect(ab.labelPosition).toEqual({ x: 150, y: 70, width: 42, height: 14 });
+    expect(G.edges[0].points).toEqual([{ x: 140, y: 80 }, { x: 250, y: 65 }]);
+
+    // Nodes stay relative to their parent, and so do their labels
+    expect(a).toMatchObject({ x: 10, y: 20, labelPosition: { x: 1, y: 2, width: 7, height: 14 } });
+  });
+
+  test('attaches nested edges to the global boxes of their ends', async () => {
+    adapter = new ElkAdapter({ elk: new ELK(), nodeWidth: 30, nodeHeight: 30, useNodeLabels: true });
+    const layout = await adapter.run(adapter.makeRenderingGraph(labelled()));
+    const parentMap = buildParentMap(layout);
+    const boxOf = (node) => getGlobalBox(node, parentMap);
+    const [G, e] = layout.nodes;
+    const [a, b] = G.nodes;
+    const [ab] = layout.edges;
+    const [ae] = G.edges;
+
+    expect(onBorder(boxOf(a), ab.points[0])).toBe(true);
+    expect(onBorder(boxOf(b), ab.points[ab.points.length - 1])).toBe(true);
+    expect(onBorder(boxOf(a), ae.points[0])).toBe(true);
+    expect(onBorder(boxOf(e), ae.points[ae.points.length - 1])).toBe(true);
+
+    const g = boxOf(G);
+    expect(ab.labelPosition).toMatchObject({ width: 6 * 7, height: 14 });
+    expect(ab.labelPosition.x).toBeGreaterThanOrEqual(g.x);
+    expect(ab.labelPosition.x + ab.labelPosition.width).toBeLessThanOrEqual(g.x + g.width);
+    expect(ab.labelPosition.y).toBeGreaterThanOrEqual(g.y);
+    expect(a.labelPosition).toMatchObject({ width: 7, height: 14 });
+  });
+
+  test('passes ports on with their side, pinned on leaf nodes', () => {
+    const data = portGraph();
+    data.nodes[0].ports = [{ id: 'in', side: 'top' }];
+    const elkGraph = adapter._toElkGraph(adapter.makeRenderingGraph(data));
+    const [P, b] = elkGraph.children;
+    const [a] = P.children;
+
+    expect(a.ports.map(port => [port.id, port.layoutOptions['elk.port.side'], port.x, port.y])).toEqual([
+      ['a::out1', 'EAST', 30, 10],
+      ['a::out2', 'EAST', 30, 20],
+      ['a::down', 'SOUTH', 5, 30]
+    ]);
+    expect(a.layoutOptions['elk.portConstraints']).toBe('FIXED_POS');
+    expect(b.ports.map(port => port.layoutOptions['elk.port.side'])).toEqual(['WEST', 'WEST']);
+
+    // The size of compound nodes is up to ELK
+    expect(P.ports).toEqual([{ id: 'P::in', width: 0, height: 0, layoutOptions: { 'elk.port.side': 'NORTH' } }]);
+    expect(P.layoutOptions['elk.portConstraints']).toBe('FIXED_SIDE');
+
+    const [e1] = elkGraph.edges;
+    expect(e1).toMatchObject({ sources: ['a::out1'], targets: ['b::in2'] });
+  });
+
+  test('routes edges to their ports', async () => {
+    const layout = await adapter.run(adapter.makeRenderingGraph(portGraph()));
+    const parentMap = buildParentMap(layout);
+    const [P, b] = layout.nodes;
+    const [a] = P.nodes;
+    const portAt = (node, x, y) => {
+      const position = getGlobalPosition(node, parentMap);
+      return [position.x + x, position.y + y];
+    };
+    const [e1, e2] = layout.edges;
+    const ends = (edge) => [edge.points[0], edge.points[edge.points.length - 1]].map(p => [p.x, p.y]);
+
+    // out1 and out2 down the right side of a, in1 and in2 down the left side of b
+    expect(ends(e1)).toEqual([portAt(a, 30, 10), portAt(b, 0, 20)].map(p => p.map(v => expect.closeTo(v))));
+    expect(ends(e2)).toEqual([portAt(a, 30, 20), portAt(b, 0, 10)].map(p => p.map(v => expect.closeTo(v))));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { containerGraph } from '../helpers/graphs';
+import { mouse, elementOf, centerOf, drag } from '../helpers/dom';
+import { connect } from '../../src/addons/connect';
+
+const targetHandleOf = (id) => {
+  return [...elementOf(id, '.edge').querySelectorAll('.edge-endpoint')].find(el => el.__data__.end === 'target');
+};
+
+describe('connect', () => {
+  let G;
+  let data;
+  beforeEach(async () => {
+    data = containerGraph();
+    G = await renderGraph(data, { addons: [connect] });
+    G.enableConnect();
+  });
+
+  test('draws the preview with the renderer path generator', () => {
+    const paths = [];
+    G.pathFn = (points) => {
+      paths.push(points);
+      return 'M0,0';
+    };
+    const ui = elementOf('a', '.node-ui');
+    const [x, y] = centerOf(G, 'c');
+    mouse('mousedown', ui, 0, 0);
+    mouse('mousemove', window, x, y);
+    expect(paths.length).toBe(1);
+    expect(document.querySelector('.connect-preview').getAttribute('d')).toBe('M0,0');
+    mouse('mouseup', window, x, y);
+    expect(document.querySelector('.connect-preview')).toBeNull();
+  });
+
+  test('reconnects the edge and its data, undo puts both back', () => {
+    const declared = data.nodes[0].edges[0];
+    const events = [];
+    G.setCallback('edgeReconnected', (evt) => events.push(evt));
+    drag(targetHandleOf('ab'), centerOf(G, 'c'));
+
+    expect(events.map(e => e.to)).toEqual([{ id: 'c', port: null }]);
+    const edge = G.getEdge('ab');
+    expect(edge.target).toBe('c');
+    expect(edge.data).toBe(declared);
+    expect(declared.target).toBe('c');
+
+    G.undo();
+    expect(edge.target).toBe('b');
+    expect(declared.target).toBe('b');
+  });
+
+  test('moves the edge between containers, undo and redo follow', () => {
+    drag(targetHandleOf('ab'), centerOf(G, 'c'));
+    const edge = G.getEdge('ab');
+    expect(G.layout.edges).toContain(edge);
+    expect(G.getNode('P').edges).not.toContain(edge);
+
+    G.undo();
+    expect(edge.target).toBe('b');
+    expect(G.getNode('P').edges).toContain(edge);
+    expect(G.layout.edges).not.toContain(edge);
+
+    G.redo();
+    expect(edge.target).toBe('c');
+    expect(G.layout.edges).toContain(edge);
+    expect(G.getNode('P').edges).not.toContain(edge);
+  });
+});
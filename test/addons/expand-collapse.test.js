@@ -0,0 +1,77 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { nestedGraph, ids, edgeLists } from '../helpers/graphs';
+import { expandCollapse } from '../../src/addons/expand-collapse';
+
+describe('expandCollapse', () => {
+  let G;
+  beforeEach(async () => {
+    G = await renderGraph(nestedGraph(), { addons: [expandCollapse] });
+  });
+
+  test('aggregates the edges of a collapsed node per pair of visible ends', async () => {
+    G.collapse('C');
+    await G.render();
+
+    const out = G.getEdge('aggregate:["C","X"]');
+    expect(out).toMatchObject({ source: 'C', target: 'X', aggregated: true, count: 2, label: '2' });
+    expect(ids(out.edges)).toEqual(['c1X', 'c2X']);
+    expect(out.data).toMatchObject({ aggregated: true, count: 2 });
+
+    const back = G.getEdge('aggregate:["X","C"]');
+    expect(back.count).toBe(1);
+    expect(back.label).toBeUndefined();
+    expect(G.getEdge('aggregate:["p1","C"]').count).toBe(1);
+  });
+
+  test('hides the edges inside a collapsed node', async () => {
+    G.collapse('C');
+    await G.render();
+    expect(G.getEdge('cc')).toBeNull();
+    expect(G.getEdge('c1X')).toBeNull();
+    expect(G.getEdge('p1X')).not.toBeNull();
+  });
+
+  test('attaches edges to the outermost collapsed ancestor', async () => {
+    G.collapse('C');
+    G.collapse('P');
+    await G.render();
+    expect(edgeLists(G)).toEqual({ root: ['aggregate:["P","X"]', 'aggregate:["X","P"]'] });
+    expect(ids(G.getEdge('aggregate:["P","X"]').edges)).toEqual(['c1X', 'c2X', 'p1X']);
+  });
+
+  test('puts the declared edges back on expand', async () => {
+    const before = edgeLists(G);
+    G.collapse('C');
+    G.collapse('P');
+    await G.render();
+    G.expand('P');
+    await G.render();
+    expect(G.getNode('C').collapsed).toBe(true);
+    G.expand('C');
+    await G.render();
+    expect(edgeLists(G)).toEqual(before);
+  });
+
+  test('undoes a collapse', async () => {
+    const before = edgeLists(G);
+    G.collapse('C');
+    await G.render();
+    G.undo();
+    await G.render();
+    expect(G.getCollapsedIds()).toEqual([]);
+    expect(edgeLists(G)).toEqual(before);
+  });
+
+  test('keeps edges added while collapsed', async () => {
+    G.collapse('C');
+    await G.render();
+    G.addEdge({ id: 'p1X2', source: 'p1', target: 'X' });
+    G.expand('C');
+    await G.render();
+    expect(G.getEdge('p1X2')).not.toBeNull();
+    expect(G.getEdge('cc')).not.toBeNull();
+  });
+});
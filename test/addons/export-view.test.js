@@ -0,0 +1,109 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { containerGraph } from '../helpers/graphs';
+import { exportView } from '../../src/addons/export-view';
+
+const parse = (svg) => new window.DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+
+// jsdom does not load images, this one loads as soon as it has a source
+class LoadingImage {
+  get src() { return this.url; }
+  set src(url) {
+    this.url = url;
+    setTimeout(() => this.onload());
+  }
+}
+
+describe('exportView', () => {
+  let G;
+  beforeEach(async () => {
+    G = await renderGraph(containerGraph(), { addons: [exportView] });
+    const style = document.createElement('style');
+    style.textContent = '.edge path { stroke: rgb(255, 0, 0); stroke-width: 3px; }';
+    document.head.appendChild(style);
+  });
+
+  afterEach(() => {
+    document.head.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  test('fits the view box to the layout and padding', () => {
+    const svg = parse(G.exportSVG({ padding: 10 }));
+    const width = G.layout.width + 20;
+    const height = G.layout.height + 20;
+    expect(svg.getAttribute('viewBox')).toBe(`0 0 ${width} ${height}`);
+    expect(svg.getAttribute('width')).toBe(String(width));
+    expect(svg.getAttribute('height')).toBe(String(height));
+    expect(svg.querySelector('.data-layer').getAttribute('transform')).toBe('translate(10, 10)');
+  });
+
+  test('keeps the chart size without fit', () => {
+    const svg = parse(G.exportSVG({ fit: false }));
+    const { width, height } = G.chartSize;
+    expect(svg.getAttribute('viewBox')).toBe(`0 0 ${width} ${height}`);
+  });
+
+  test('inlines styles and keeps the marker definitions', () => {
+    const svg = parse(G.exportSVG());
+    const path = svg.querySelector('.edge path');
+    expect(path.getAttribute('style')).toContain('stroke:rgb(255, 0, 0)');
+    expect(path.getAttribute('style')).toContain('stroke-width:3px');
+
+    const markers = [...svg.querySelectorAll('defs marker')];
+    expect(markers.length).toBeGreaterThan(0);
+    const used = G.getEdge('ab').markerEnd;
+    expect(markers.map(m => `url(#${m.id})`)).toContain(used);
+  });
+
+  test('leaves out the overlays, and the background unless asked', () => {
+    G.svgEl.querySelector('.background-layer').appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'rect'));
+    expect(parse(G.exportSVG()).querySelector('.foreground-layer')).toBeNull();
+    expect(parse(G.exportSVG()).querySelector('.background-layer')).toBeNull();
+    expect(parse(G.exportSVG({ background: true })).querySelector('.background-layer rect')).not.toBeNull();
+    expect(parse(G.exportSVG({ inlineStyles: false })).querySelector('.edge path').getAttribute('style')).toBeNull();
+  });
+
+  describe('exportPNG', () => {
+    const { Image } = window;
+    const { createObjectURL, revokeObjectURL } = URL;
+    afterEach(() => {
+      Object.assign(window, { Image });
+      Object.assign(URL, { createObjectURL, revokeObjectURL });
+    });
+
+    beforeEach(() => {
+      window.Image = LoadingImage;
+      URL.createObjectURL = jest.fn(() => 'blob:svg');
+      URL.revokeObjectURL = jest.fn();
+    });
+
+    test('draws the export on a scaled canvas', async () => {
+      const ctx = { scale: jest.fn(), drawImage: jest.fn() };
+      jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+      jest.spyOn(window.HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,');
+
+      const url = await G.exportPNG({ scale: 2, format: 'dataURL' });
+      expect(url).toBe('data:image/png;base64,');
+      expect(ctx.scale).toHaveBeenCalledWith(2, 2);
+      expect(ctx.drawImage).toHaveBeenCalledWith(expect.any(LoadingImage), 0, 0, G.layout.width + 40, G.layout.height + 40);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:svg');
+    });
+
+    test('rejects when there is no canvas to draw on', async () => {
+      jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+      await expect(G.exportPNG()).rejects.toThrow('no canvas 2d context');
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:svg');
+    });
+
+    test('rejects when the image does not load', async () => {
+      window.Image = class extends LoadingImage {
+        set src(url) { setTimeout(() => this.onerror(new Error('broken'))); }
+        get src() { return null; }
+      };
+      await expect(G.exportPNG()).rejects.toThrow('broken');
+    });
+  });
+});
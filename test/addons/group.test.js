@@ -0,0 +1,64 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { flatGraph, ids } from '../helpers/graphs';
+import { drawn } from '../helpers/dom';
+import { group } from '../../src/addons/group';
+
+describe('group', () => {
+  let G;
+  beforeEach(async () => {
+    G = await renderGraph(flatGraph(), { addons: [group] });
+  });
+
+  test('puts the group where the first grouped node was', () => {
+    G.group('G', ['b', 'c']);
+    expect(ids(G.layout.nodes)).toEqual(['a', 'G', 'P']);
+    expect(ids(G.getNode('G').nodes)).toEqual(['b', 'c']);
+  });
+
+  test('groups across levels into the lowest common ancestor', () => {
+    G.group('G', ['p1', 'c']);
+    expect(ids(G.layout.nodes)).toEqual(['a', 'b', 'G', 'P']);
+    expect(ids(G.getNode('P').nodes)).toEqual(['p2']);
+    expect(ids(G.getNode('G').nodes)).toEqual(['p1', 'c']);
+    expect(G.edgeContainerMap.get('p1p2')).toBe(G.layout);
+  });
+
+  test('copies the nodes it moves, along with the nodes inside them', () => {
+    const P = G.getNode('P');
+    const p1 = G.getNode('p1');
+    G.group('G', ['a', 'P']);
+    expect(G.getNode('P')).not.toBe(P);
+    expect(G.getNode('p1')).not.toBe(p1);
+    expect(G.getNode('p1')).toEqual(p1);
+    expect(G.getNode('P').edges).toEqual(P.edges);
+  });
+
+  test('draws grouped nodes once, inside the group', async () => {
+    G.group('G', ['a', 'b']);
+    await G.render();
+    expect(drawn()).toEqual(['G/a', 'G/b', 'P/p1', 'P/p2', 'root/G', 'root/P', 'root/c']);
+  });
+
+  test('undoes and redoes grouping', async () => {
+    G.group('G', ['a', 'b']);
+    await G.render();
+    G.undo();
+    expect(ids(G.layout.nodes)).toEqual(['a', 'b', 'P', 'c']);
+    expect(G.getGroups()).toEqual([]);
+    G.redo();
+    expect(ids(G.layout.nodes)).toEqual(['G', 'P', 'c']);
+    expect(G.getGroups()).toEqual([{ id: 'G', nodeIds: ['a', 'b'], label: 'G', style: undefined }]);
+  });
+
+  test('ungroups into the parent of the group', async () => {
+    G.group('G', ['a', 'b']);
+    await G.render();
+    G.ungroup('G');
+    await G.render();
+    expect(ids(G.layout.nodes)).toEqual(['a', 'b', 'P', 'c']);
+    expect(drawn()).toEqual(['P/p1', 'P/p2', 'root/P', 'root/a', 'root/b', 'root/c']);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { containerGraph } from '../helpers/graphs';
+import { key, elementOf } from '../helpers/dom';
+import { keyboard } from '../../src/addons/keyboard';
+import { expandCollapse } from '../../src/addons/expand-collapse';
+
+const focused = () => document.activeElement.__data__ && document.activeElement.__data__.id;
+const press = (name) => key(document.activeElement, name);
+const tabbable = () => [...document.querySelectorAll('[tabindex="0"]')].map(el => el.__data__.id);
+
+// Resolves once the render started by the last key press is done
+const rendered = async (render) => {
+  await render.mock.results[render.mock.results.length - 1].value.catch(() => {});
+  await new Promise(resolve => setTimeout(resolve, 0));
+};
+
+describe('keyboard', () => {
+  let G;
+  beforeEach(async () => {
+    G = await renderGraph(containerGraph(), { addons: [keyboard, expandCollapse] });
+    G.enableKeyboard();
+  });
+
+  test('annotates nodes and edges for assistive technology', () => {
+    expect(G.svgEl.getAttribute('role')).toBe('graphics-document');
+    const P = elementOf('P');
+    expect(P.getAttribute('role')).toBe('graphics-object');
+    expect(P.getAttribute('aria-label')).toBe('P');
+    expect(P.getAttribute('aria-expanded')).toBe('true');
+    expect(elementOf('c').getAttribute('aria-expanded')).toBeNull();
+    expect(elementOf('ac', '.edge').getAttribute('aria-label')).toBe('from a to c');
+  });
+
+  test('keeps one element in the tab sequence, the focused one', () => {
+    expect(tabbable()).toEqual(['P']);
+    G.focusNode('c');
+    expect(focused()).toBe('c');
+    expect(tabbable()).toEqual(['c']);
+    G.focusEdge('cd');
+    expect(tabbable()).toEqual(['cd']);
+
+    // Still there after the next render
+    G.enableKeyboard();
+    expect(tabbable()).toEqual(['cd']);
+  });
+
+  test('arrow keys move along edges in that direction', () => {
+    G.focusNode('c');
+    press('ArrowRight');
+    expect(focused()).toBe('d');
+    press('ArrowLeft');
+    expect(focused()).toBe('c');
+    press('ArrowLeft');
+    expect(focused()).toBe('a');
+
+    // Nothing that way
+    press('ArrowLeft');
+    expect(focused()).toBe('a');
+  });
+
+  test('e walks through the edges of a node, escape goes back', () => {
+    G.focusNode('c');
+    press('e');
+    expect(focused()).toBe('ac');
+    press('e');
+    expect(focused()).toBe('cd');
+    press('e');
+    expect(focused()).toBe('ac');
+    press('Escape');
+    expect(focused()).toBe('c');
+
+    press('e');
+    press('ArrowLeft');
+    expect(focused()).toBe('a');
+    press('e');
+    expect(focused()).toBe('ac');
+    press('e');
+    press('ArrowRight');
+    expect(focused()).toBe('b');
+  });
+
+  test('enter clicks the focused node or edge', () => {
+    const clicks = [];
+    G.setCallback('nodeClick', (evt, selection, renderer) => clicks.push([selection.datum().id, renderer === G]));
+    G.setCallback('edgeClick', (evt, selection) => clicks.push([selection.datum().id]));
+    G.focusNode('a');
+    press('Enter');
+    press('e');
+    press('Enter');
+    expect(clicks).toEqual([['a', true], ['ac']]);
+  });
+
+  test('minus collapses, plus expands, focus stays on the node', async () => {
+    const render = jest.spyOn(G, 'render');
+    G.focusNode('P');
+    press('-');
+    await rendered(render);
+    expect(G.getNode('P').collapsed).toBe(true);
+    expect(focused()).toBe('P');
+    expect(elementOf('P').getAttribute('aria-expanded')).toBe('false');
+
+    press('+');
+    await rendered(render);
+    expect(G.getNode('P').collapsed).not.toBe(true);
+    expect(focused()).toBe('P');
+    expect(render).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports a failed render after expand/collapse', async () => {
+    const error = new Error('failed');
+    const render = jest.spyOn(G, 'render').mockRejectedValue(error);
+    const reports = [];
+    G.setCallback('renderError', (report) => reports.push(report));
+    G.focusNode('P');
+    press('-');
+    await rendered(render);
+    expect(reports).toEqual([{ error, action: 'collapse', id: 'P' }]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @jest-environment jsdom
+ */
+import _ from 'lodash';
+import { renderGraph } from '../helpers/renderer';
+import { containerGraph, ids } from '../helpers/graphs';
+import * as dom from '../helpers/dom';
+import { nodeDrag } from '../../src/addons/node-drag';
+
+// Press on the node, move by the given steps and release
+const drag = (id, ...steps) => dom.drag(dom.elementOf(id), ...steps);
+
+const box = (G, id) => _.pick(G.getNode(id), ['x', 'y', 'width', 'height']);
+const points = (G, id) => _.cloneDeep(G.getEdge(id).points);
+
+describe('nodeDrag', () => {
+  let G;
+  beforeEach(async () => {
+    G = await renderGraph(containerGraph(), { addons: [nodeDrag] });
+  });
+
+  test('a click moves nothing and records nothing', () => {
+    const events = [];
+    G.setCallback('nodeDragStart', () => events.push('start'));
+    G.enableDrag();
+    drag('c');
+    expect(events).toEqual([]);
+    expect(G.canUndo()).toBe(false);
+  });
+
+  test('moves the node and the ends of its edges, undo puts them back', () => {
+    const before = { c: box(G, 'c'), ac: points(G, 'ac'), cd: points(G, 'cd'), ab: points(G, 'ab') };
+    G.enableDrag();
+    drag('c', [10, 20]);
+
+    expect(box(G, 'c')).toEqual({ ...before.c, x: before.c.x + 10, y: before.c.y + 20 });
+    expect(_.last(points(G, 'ac'))).toEqual({ x: _.last(before.ac).x + 10, y: _.last(before.ac).y + 20 });
+    expect(points(G, 'cd')[0]).toEqual({ x: before.cd[0].x + 10, y: before.cd[0].y + 20 });
+    expect(points(G, 'ab')).toEqual(before.ab);
+
+    G.undo();
+    expect(box(G, 'c')).toEqual(before.c);
+    expect(points(G, 'ac')).toEqual(before.ac);
+    expect(points(G, 'cd')).toEqual(before.cd);
+  });
+
+  test('undoes growing the parents', () => {
+    const before = { P: box(G, 'P'), a: box(G, 'a'), b: box(G, 'b') };
+    G.enableDrag({ growParents: true });
+    drag('a', [-100, 0]);
+    expect(box(G, 'P').x).toBeLessThan(before.P.x);
+    expect(box(G, 'b').x).toBeGreaterThan(before.b.x);
+
+    G.undo();
+    expect(box(G, 'P')).toEqual(before.P);
+    expect(box(G, 'a')).toEqual(before.a);
+    expect(box(G, 'b')).toEqual(before.b);
+  });
+
+  test('moves the edges of a reparented node back on undo, also at the top level', async () => {
+    G.enableDrag({ reparent: true });
+
+    // Out of P, below everything else
+    drag('a', [0, 1000]);
+    expect(G.parentMap.get('a')).toBe(G.layout);
+    expect(G.edgeContainerMap.get('ab')).toBe(G.layout);
+
+    G.undo();
+    expect(G.parentMap.get('a')).toBe(G.getNode('P'));
+    expect(G.edgeContainerMap.get('ab')).toBe(G.getNode('P'));
+    expect(ids(G.layout.edges)).toEqual(['ac', 'cd']);
+
+    G.redo();
+    expect(G.edgeContainerMap.get('ab')).toBe(G.layout);
+  });
+
+  test('drops each node of a multi-node drag into the group under it', () => {
+    const moves = [];
+    G.setCallback('nodeReparented', (evt) => moves.push([evt.id, evt.to]));
+    G.enableDrag({ reparent: true, nodeIds: ['c', 'd'] });
+
+    // c ends up in Q, d to the right of Q, still at the top level
+    const c = G.getNode('c');
+    const q = G.getNode('Q');
+    const [cx, cy] = [c.x + 0.5 * c.width, c.y + 0.5 * c.height];
+    const [qx, qy] = [q.x + 0.5 * q.width, q.y + 0.5 * q.height];
+    drag('c', [qx - cx, qy - cy]);
+
+    expect(G.parentMap.get('c')).toBe(q);
+    expect(G.parentMap.get('d')).toBe(G.layout);
+    expect(moves).toEqual([['c', 'Q']]);
+
+    G.undo();
+    expect(G.parentMap.get('c')).toBe(G.layout);
+    expect(ids(G.layout.nodes)).toEqual(['P', 'Q', 'c', 'd']);
+  });
+
+  test('a vetoed drop leaves the edges as they were, not moved nor rerouted', () => {
+    const before = { a: box(G, 'a'), ab: points(G, 'ab'), ac: points(G, 'ac') };
+    const validateDrop = jest.fn(() => false);
+    G.enableDrag({ reparent: true, routing: 'orthogonal', validateDrop });
+    drag('a', [0, 1000]);
+
+    expect(validateDrop).toHaveBeenCalledWith(G.getNode('a'), G.layout, G.getNode('P'));
+    expect(G.parentMap.get('a')).toBe(G.getNode('P'));
+    expect(box(G, 'a')).toEqual(before.a);
+    expect(points(G, 'ab')).toEqual(before.ab);
+    expect(points(G, 'ac')).toEqual(before.ac);
+    expect(G.getDragState()).toEqual({ nodes: [], edges: [] });
+    expect(G.canUndo()).toBe(false);
+
+    // Accepted, the edges are rerouted and remembered as moved
+    validateDrop.mockReturnValue(true);
+    drag('a', [0, 1000]);
+    expect(G.parentMap.get('a')).toBe(G.layout);
+    const { nodes, edges } = G.getDragState();
+    expect(nodes).toEqual(['a']);
+    expect(edges.sort()).toEqual(['ab', 'ac']);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { nestedGraph, ids } from '../helpers/graphs';
+import { expandCollapse } from '../../src/addons/expand-collapse';
+import { search } from '../../src/addons/search';
+
+describe('search', () => {
+  let G;
+  beforeEach(async () => {
+    G = await renderGraph(nestedGraph(), { addons: [expandCollapse, search] });
+  });
+
+  test('finds edges hidden inside a collapsed node', async () => {
+    G.collapse('C');
+    G.collapse('P');
+    await G.render();
+
+    const matches = G.search('inside');
+    expect(ids(matches)).toEqual(['cc']);
+    expect(matches[0].type).toBe('edge');
+    expect(matches[0].hiddenBy).toEqual(['P', 'C']);
+  });
+
+  test('finds the edges folded into an aggregated edge', async () => {
+    G.collapse('P');
+    await G.render();
+    expect(ids(G.layout.edges)).toEqual(['aggregate:["P","X"]', 'aggregate:["X","P"]']);
+
+    const matches = G.search('crossing');
+    expect(ids(matches)).toEqual(['c1X', 'c2X']);
+    expect(matches[0].hiddenBy).toEqual(['P']);
+    expect(G.search(item => item.aggregated === true)).toEqual([]);
+  });
+
+  test('expands the collapsed nodes a match is hidden by', async () => {
+    G.collapse('C');
+    G.collapse('P');
+    await G.render();
+    G.search('inside');
+    await G.searchNext(0);
+    expect(G.getCollapsedIds()).toEqual([]);
+    expect(G.getEdge('cc')).not.toBeNull();
+  });
+
+  test('lists every declared edge once', async () => {
+    G.collapse('C');
+    G.collapse('P');
+    await G.render();
+    expect(ids(G.getAllEdges()).sort()).toEqual(['Xc2', 'c1X', 'c2X', 'cc', 'p1X', 'pc']);
+  });
+});
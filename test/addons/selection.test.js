@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import { renderGraph } from '../helpers/renderer';
+import { containerGraph } from '../helpers/graphs';
+import { mouse, elementOf } from '../helpers/dom';
+import { selection } from '../../src/addons/selection';
+import { getGlobalBox } from '../../src/utils/geometry';
+
+const click = (el, init) => mouse('click', el, 0, 0, init);
+const clickNode = (id, init) => click(elementOf(id, '.node-ui'), init);
+
+const selected = () => [...document.querySelectorAll('.selected')].map(el => el.__data__.id).sort();
+
+// Shift-drag on the background between two chart positions, the click that follows does not clear
+const lasso = (G, from, to) => {
+  const t = d3.zoomTransform(G.svgEl);
+  const [x1, y1] = t.apply([from.x, from.y]);
+  const [x2, y2] = t.apply([to.x, to.y]);
+  mouse('mousedown', G.svgEl, x1, y1, { shiftKey: true });
+  mouse('mousemove', window, x2, y2, { shiftKey: true });
+  mouse('mouseup', window, x2, y2, { shiftKey: true });
+  click(G.svgEl);
+};
+
+describe('selection', () => {
+  let G;
+  let events;
+  beforeEach(async () => {
+    G = await renderGraph(containerGraph(), { addons: [selection] });
+    events = [];
+    G.setCallback('selectionChanged', (evt) => events.push(evt));
+    G.enableSelection();
+  });
+
+  test('a click selects the node alone', () => {
+    clickNode('a');
+    clickNode('c');
+    expect(events).toEqual([{ nodes: ['a'], edges: [] }, { nodes: ['c'], edges: [] }]);
+    expect(selected()).toEqual(['c']);
+  });
+
+  test('shift-click adds, ctrl-click and cmd-click toggle', () => {
+    clickNode('a');
+    clickNode('c', { shiftKey: true });
+    click(elementOf('cd', '.edge'), { shiftKey: true });
+    expect(G.getSelection()).toEqual({ nodes: ['a', 'c'], edges: ['cd'] });
+
+    clickNode('a', { ctrlKey: true });
+    clickNode('d', { metaKey: true });
+    expect(G.getSelection()).toEqual({ nodes: ['c', 'd'], edges: ['cd'] });
+    expect(selected()).toEqual(['c', 'cd', 'd']);
+  });
+
+  test('a click on the background clears the selection, unless a modifier is held', () => {
+    clickNode('a');
+    click(G.svgEl, { shiftKey: true });
+    expect(G.getSelection().nodes).toEqual(['a']);
+    click(G.svgEl);
+    expect(events[events.length - 1]).toEqual({ nodes: [], edges: [] });
+    expect(selected()).toEqual([]);
+
+    // Nothing to clear, nothing to tell
+    click(G.svgEl);
+    expect(events.length).toBe(2);
+  });
+
+  test('shift-drag adds what is fully inside the rectangle', () => {
+    clickNode('d');
+    const box = getGlobalBox(G.getNode('P'), G.parentMap);
+    lasso(G, { x: box.x - 1, y: box.y - 1 }, { x: box.x + box.width + 1, y: box.y + box.height + 1 });
+
+    expect(document.querySelector('.selection-lasso')).toBeNull();
+    const { nodes, edges } = G.getSelection();
+    expect(nodes.sort()).toEqual(['P', 'a', 'b', 'd']);
+    expect(edges).toEqual(['ab']);
+  });
+
+  test('shift-drag is left to the rectangle, not to zooming', () => {
+    const filter = G.zoom.filter();
+    expect(filter({ type: 'mousedown', shiftKey: true, button: 0 })).toBe(false);
+    expect(filter({ type: 'mousedown', button: 0 })).toBe(true);
+    expect(filter({ type: 'mousedown', ctrlKey: true, button: 0 })).toBe(false);
+    expect(filter({ type: 'wheel', ctrlKey: true, button: 0 })).toBe(true);
+  });
+
+  test('leaves zooming alone without the rectangle', async () => {
+    G = await renderGraph(containerGraph(), { addons: [selection] });
+    const filter = G.zoom.filter();
+    G.enableSelection({ useLasso: false });
+    expect(G.zoom.filter()).toBe(filter);
+
+    const box = getGlobalBox(G.getNode('P'), G.parentMap);
+    lasso(G, { x: box.x - 1, y: box.y - 1 }, { x: box.x + box.width + 1, y: box.y + box.height + 1 });
+    expect(G.getSelection()).toEqual({ nodes: [], edges: [] });
+  });
+
+  test('selectAll, setSelection and clearSelection', () => {
+    G.selectAll();
+    expect(G.getSelection().nodes.sort()).toEqual(['P', 'Q', 'a', 'b', 'c', 'd', 'q']);
+    expect(G.getSelection().edges.sort()).toEqual(['ab', 'ac', 'cd']);
+
+    G.setSelection({ nodes: ['q'] });
+    expect(events[events.length - 1]).toEqual({ nodes: ['q'], edges: [] });
+    expect(selected()).toEqual(['q']);
+
+    G.clearSelection();
+    expect(G.getSelection()).toEqual({ nodes: [], edges: [] });
+  });
+});
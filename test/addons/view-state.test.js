@@ -0,0 +1,52 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderGraph } from '../helpers/renderer';
+import { nestedGraph, ids } from '../helpers/graphs';
+import { expandCollapse } from '../../src/addons/expand-collapse';
+import { viewState } from '../../src/addons/view-state';
+
+const setup = () => renderGraph(nestedGraph(), { addons: [expandCollapse, viewState] });
+
+const restore = async (state) => {
+  const G = await setup();
+  const result = await G.setViewState(state);
+  return { G, result };
+};
+
+describe('viewState', () => {
+  test('round-trips nested collapsed nodes', async () => {
+    const G = await setup();
+    G.collapse('C');
+    G.collapse('P');
+    await G.render();
+    const state = G.getViewState();
+    expect(state.collapsed).toEqual(['P', 'C']);
+
+    const { G: restored, result } = await restore(state);
+    expect(result.missing).toEqual([]);
+    expect(restored.getCollapsedIds()).toEqual(['P', 'C']);
+
+    restored.expand('P');
+    await restored.render();
+    expect(restored.getNode('C').collapsed).toBe(true);
+  });
+
+  test.each([[['P', 'C']], [['C', 'P']]])('restores collapsed nodes listed as %j', async (collapsed) => {
+    const G = await setup();
+    const state = { ...G.getViewState(), collapsed };
+
+    const { G: restored } = await restore(state);
+    expect(restored.getCollapsedIds()).toEqual(['P', 'C']);
+    expect(ids(restored.layout.edges)).toEqual(['aggregate:["P","X"]', 'aggregate:["X","P"]']);
+  });
+
+  test('reports nodes that no longer exist', async () => {
+    const G = await setup();
+    const state = { ...G.getViewState(), collapsed: ['gone', 'C'] };
+
+    const { G: restored, result } = await restore(state);
+    expect(result.missing).toEqual(['gone']);
+    expect(restored.getCollapsedIds()).toEqual(['C']);
+  });
+});
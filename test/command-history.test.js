@@ -0,0 +1,120 @@
+import CommandHistory from '../src/command-history';
+
+// Command that appends to a log, so the order of undo/redo can be followed
+const command = (name, log, rerender = false) => ({
+  name,
+  rerender,
+  undo: () => log.push(`undo ${name}`),
+  redo: () => log.push(`redo ${name}`)
+});
+
+describe('CommandHistory', () => {
+  let history;
+  let changes;
+  let log;
+  beforeEach(() => {
+    changes = 0;
+    log = [];
+    history = new CommandHistory(() => changes++);
+  });
+
+  test('undoes and redoes commands in order', () => {
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    history.record(command('a', log));
+    history.record(command('b', log));
+    expect(history.canUndo()).toBe(true);
+
+    expect(history.undo().name).toBe('b');
+    expect(history.undo().name).toBe('a');
+    expect(history.undo()).toBeNull();
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(true);
+
+    expect(history.redo().name).toBe('a');
+    expect(history.canRedo()).toBe(true);
+    expect(history.redo().name).toBe('b');
+    expect(history.redo()).toBeNull();
+    expect(history.canRedo()).toBe(false);
+    expect(log).toEqual(['undo b', 'undo a', 'redo a', 'redo b']);
+    expect(changes).toBe(6);
+  });
+
+  test('a new command clears what could be redone', () => {
+    history.record(command('a', log));
+    history.record(command('b', log));
+    history.undo();
+    expect(history.canRedo()).toBe(true);
+    history.record(command('c', log));
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo().name).toBe('c');
+    expect(history.undo().name).toBe('a');
+  });
+
+  test('groups the commands of a transaction, undone in reverse', () => {
+    history.beginTransaction('both');
+    history.record(command('a', log));
+    history.record(command('b', log, true));
+    expect(history.canUndo()).toBe(false);
+    history.commitTransaction();
+
+    const undone = history.undo();
+    expect(undone).toMatchObject({ name: 'both', rerender: true });
+    expect(history.canUndo()).toBe(false);
+    history.redo();
+    expect(log).toEqual(['undo b', 'undo a', 'redo a', 'redo b']);
+  });
+
+  test('nested transactions are part of the outer one', () => {
+    history.beginTransaction('outer');
+    history.record(command('a', log));
+    history.beginTransaction('inner');
+    history.record(command('b', log));
+    history.record(command('c', log));
+    history.commitTransaction();
+    history.record(command('d', log));
+    history.commitTransaction();
+
+    expect(history.undo().name).toBe('outer');
+    expect(history.canUndo()).toBe(false);
+    expect(log).toEqual(['undo d', 'undo c', 'undo b', 'undo a']);
+  });
+
+  test('empty transactions are not recorded', () => {
+    history.beginTransaction('nothing');
+    history.commitTransaction();
+    expect(history.canUndo()).toBe(false);
+    expect(changes).toBe(0);
+  });
+
+  test('does not record while undoing or redoing', () => {
+    history.record({
+      name: 'a',
+      undo: () => history.record(command('undo side effect', log)),
+      redo: () => history.record(command('redo side effect', log))
+    });
+    history.undo();
+    history.redo();
+    expect(history.undo().name).toBe('a');
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('keeps the last commands up to the limit', () => {
+    history = new CommandHistory(null, 2);
+    ['a', 'b', 'c'].forEach(name => history.record(command(name, log)));
+    expect(history.undo().name).toBe('c');
+    expect(history.undo().name).toBe('b');
+    expect(history.undo()).toBeNull();
+  });
+
+  test('clear forgets everything', () => {
+    history.record(command('a', log));
+    history.undo();
+    history.beginTransaction('open');
+    history.clear();
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    history.record(command('b', log));
+    expect(history.canUndo()).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+import _ from 'lodash';
+import * as d3 from 'd3';
+import { getGlobalBox } from '../../src/utils/geometry';
+
+const mouse = (type, target, x, y, init = {}) => {
+  target.dispatchEvent(new window.MouseEvent(type, { bubbles: true, view: window, button: 0, clientX: x, clientY: y, ...init }));
+};
+
+const key = (target, name) => {
+  target.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true, key: name }));
+};
+
+// Element drawn for the item with the identifier
+const elementOf = (id, selector = '.node') => [...document.querySelectorAll(selector)].find(el => el.__data__.id === id);
+
+// Screen position of the center of a node
+const centerOf = (G, id) => {
+  const box = getGlobalBox(G.getNode(id), G.parentMap);
+  return d3.zoomTransform(G.svgEl).apply([box.x + 0.5 * box.width, box.y + 0.5 * box.height]);
+};
+
+// Press on the element, move through the screen positions and release
+const drag = (el, ...steps) => {
+  mouse('mousedown', el, 0, 0);
+  steps.forEach(([x, y]) => mouse('mousemove', window, x, y));
+  const [x, y] = _.last(steps) || [0, 0];
+  mouse('mouseup', window, x, y);
+};
+
+// Identifiers of the nodes drawn on screen, with the node they are drawn in
+const drawn = () => [...document.querySelectorAll('.node-ui')].map(el => {
+  const parent = el.parentNode.parentNode.closest('.node');
+  return `${parent ? parent.__data__.id : 'root'}/${el.__data__.id}`;
+}).sort();
+
+export { mouse, key, elementOf, centerOf, drag, drawn };
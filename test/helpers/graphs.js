@@ -0,0 +1,81 @@
+import _ from 'lodash';
+import { traverse } from '../../src/utils';
+
+/**
+ * P holds the collapsible C and p1, edges cross every level
+ */
+const nestedGraph = () => ({
+  id: 'root',
+  nodes: [
+    {
+      id: 'P',
+      nodes: [
+        { id: 'C', nodes: [{ id: 'c1', label: 'first' }, { id: 'c2' }], edges: [{ id: 'cc', source: 'c1', target: 'c2', label: 'inside' }] },
+        { id: 'p1' }
+      ],
+      edges: [{ id: 'pc', source: 'p1', target: 'c1' }]
+    },
+    { id: 'X' }
+  ],
+  edges: [
+    { id: 'c1X', source: 'c1', target: 'X', label: 'crossing' },
+    { id: 'c2X', source: 'c2', target: 'X', label: 'crossing' },
+    { id: 'Xc2', source: 'X', target: 'c2' },
+    { id: 'p1X', source: 'p1', target: 'X' }
+  ]
+});
+
+/**
+ * Two containers next to top level nodes, without a root identifier
+ */
+const containerGraph = () => ({
+  nodes: [
+    { id: 'P', nodes: [{ id: 'a' }, { id: 'b' }], edges: [{ id: 'ab', source: 'a', target: 'b' }] },
+    { id: 'Q', nodes: [{ id: 'q' }] },
+    { id: 'c' },
+    { id: 'd' }
+  ],
+  edges: [{ id: 'ac', source: 'a', target: 'c' }, { id: 'cd', source: 'c', target: 'd' }]
+});
+
+/**
+ * Mostly top level nodes, with one container in between
+ */
+const flatGraph = () => ({
+  id: 'root',
+  nodes: [
+    { id: 'a' },
+    { id: 'b' },
+    { id: 'P', nodes: [{ id: 'p1' }, { id: 'p2' }], edges: [{ id: 'p1p2', source: 'p1', target: 'p2' }] },
+    { id: 'c' }
+  ],
+  edges: [{ id: 'ab', source: 'a', target: 'b' }, { id: 'bc', source: 'b', target: 'c' }]
+});
+
+/**
+ * a, nested in P, and b connect through ports, the edges cross over
+ */
+const portGraph = () => ({
+  id: 'root',
+  nodes: [
+    { id: 'P', nodes: [{ id: 'a', ports: [{ id: 'out1', side: 'right' }, { id: 'out2', side: 'right' }, { id: 'down', side: 'bottom', offset: 5 }] }] },
+    { id: 'b', ports: [{ id: 'in1', side: 'left' }, { id: 'in2', side: 'left' }] }
+  ],
+  edges: [
+    { id: 'e1', source: 'a', sourcePort: 'out1', target: 'b', targetPort: 'in2' },
+    { id: 'e2', source: 'a', sourcePort: 'out2', target: 'b', targetPort: 'in1' }
+  ]
+});
+
+const ids = (items) => items.map(item => item.id);
+
+// Container identifier => edge identifiers
+const edgeLists = (G) => {
+  const lists = {};
+  traverse(G.layout, node => {
+    if (!_.isEmpty(node.edges)) lists[node.id] = ids(node.edges);
+  });
+  return lists;
+};
+
+export { nestedGraph, containerGraph, flatGraph, portGraph, ids, edgeLists };
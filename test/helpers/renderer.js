@@ -0,0 +1,78 @@
+import ELK from 'elkjs';
+import SVGRenderer from '../../src/svg-renderer';
+import ElkAdapter from '../../src/adapters/elk-adapter';
+
+// jsdom does not do SVG layout, fill in what the renderer reads
+const patchSVG = () => {
+  const svgProto = window.SVGSVGElement.prototype;
+  if (svgProto.__patched) return;
+  svgProto.__patched = true;
+
+  const length = (attr) => function() {
+    const el = this;
+    return { baseVal: { get value() { return parseFloat(el.getAttribute(attr)) || 600; } } };
+  };
+  Object.defineProperty(svgProto, 'width', { get: length('width') });
+  Object.defineProperty(svgProto, 'height', { get: length('height') });
+  Object.defineProperty(svgProto, 'viewBox', { get() { return { baseVal: null }; } });
+  Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get() { return 600; } });
+  Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get() { return 600; } });
+
+  // Paths are measured along the points of their datum
+  const pointsOf = (el) => (el.__data__ && el.__data__.points) || [{ x: 0, y: 0 }];
+  const elProto = window.SVGElement.prototype;
+  elProto.getBBox = () => ({ x: 0, y: 0, width: 30, height: 12 });
+  elProto.getTotalLength = function() {
+    const p = pointsOf(this);
+    let total = 0;
+    for (let i = 1; i < p.length; i++) total += Math.hypot(p[i].x - p[i - 1].x, p[i].y - p[i - 1].y);
+    return total;
+  };
+  elProto.getPointAtLength = function(length) {
+    const p = pointsOf(this);
+    for (let i = 1; i < p.length; i++) {
+      const step = Math.hypot(p[i].x - p[i - 1].x, p[i].y - p[i - 1].y);
+      if (length <= step) {
+        const t = step ? length / step : 0;
+        return { x: p[i - 1].x + t * (p[i].x - p[i - 1].x), y: p[i - 1].y + t * (p[i].y - p[i - 1].y) };
+      }
+      length -= step;
+    }
+    return p[p.length - 1];
+  };
+};
+
+class TestRenderer extends SVGRenderer {
+  renderNodeAdded(selection) { selection.append('rect'); }
+  renderNodeUpdated() {}
+  renderNodeRemoved(selection) { selection.remove(); }
+  renderEdgeAdded(selection) { selection.append('path'); }
+  renderEdgeUpdated() {}
+  renderEdgeRemoved(selection) { selection.remove(); }
+}
+
+/**
+ * Delta mode renderer on a fresh element, laid out by ELK
+ */
+const createRenderer = (options = {}) => {
+  patchSVG();
+  document.body.innerHTML = '<div id="test"></div>';
+  return new TestRenderer({
+    el: document.getElementById('test'),
+    adapter: new ElkAdapter({ elk: new ELK() }),
+    renderMode: 'delta',
+    ...options
+  });
+};
+
+/**
+ * Renderer with the graph set and rendered once
+ */
+const renderGraph = async (graph, options) => {
+  const G = createRenderer(options);
+  G.setData(graph);
+  await G.render();
+  return G;
+};
+
+export { createRenderer, renderGraph };
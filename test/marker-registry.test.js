@@ -0,0 +1,148 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import MarkerRegistry from '../src/marker-registry';
+import { renderGraph } from './helpers/renderer';
+import { containerGraph } from './helpers/graphs';
+
+const newDefs = () => {
+  document.body.innerHTML = '<svg><defs></defs></svg>';
+  return d3.select('defs');
+};
+
+const defined = (defs) => [...defs.node().querySelectorAll('marker')];
+const fillOf = (marker) => marker.querySelector('path').style.fill;
+
+describe('MarkerRegistry', () => {
+  let defs;
+  beforeEach(() => {
+    defs = newDefs();
+  });
+
+  test('defines a marker once per type and color', () => {
+    const registry = new MarkerRegistry();
+    registry.attach(defs);
+    const arrow = registry.id('arrow');
+    expect(registry.id('arrow')).toBe(arrow);
+    expect(registry.id('arrow', '#000')).toBe(arrow);
+    expect(registry.id('arrow', 'red')).not.toBe(arrow);
+    expect(registry.id('circle', 'red')).not.toBe(registry.id('arrow', 'red'));
+
+    const markers = defined(defs);
+    expect(markers.length).toBe(3);
+    expect(markers.map(fillOf)).toEqual(['#000', 'red', 'red']);
+    expect(markers[0].getAttribute('orient')).toBe('auto-start-reverse');
+    expect(registry.url('arrow')).toBe(`url(#${arrow})`);
+  });
+
+  test('context-stroke mode defines one marker per type, filled with the edge stroke', () => {
+    const registry = new MarkerRegistry({ colorMode: 'context-stroke' });
+    registry.attach(defs);
+    expect(registry.id('arrow', 'red')).toBe(registry.id('arrow', 'blue'));
+    expect(registry.id('arrow')).toBe(registry.id('arrow', 'red'));
+    expect(defined(defs).map(fillOf)).toEqual(['context-stroke']);
+  });
+
+  test('uses the default color in variants mode', () => {
+    const registry = new MarkerRegistry({ color: 'green' });
+    registry.attach(defs);
+    expect(registry.id('arrow')).toBe(registry.id('arrow', 'green'));
+    expect(defined(defs).map(fillOf)).toEqual(['green']);
+  });
+
+  test('returns no marker for empty or unknown types', () => {
+    const registry = new MarkerRegistry();
+    registry.attach(defs);
+    expect(registry.id(null)).toBeNull();
+    expect(registry.url(undefined)).toBeNull();
+    expect(registry.url('nothing')).toBeNull();
+    expect(defined(defs)).toEqual([]);
+  });
+
+  test('sanitizes type names into usable ids, unique per registry', () => {
+    const first = new MarkerRegistry({ types: { 'my arrow/v2': { path: 'M0,0L1,1' }, 'my:arrow.v2': { path: 'M0,0' } } });
+    const second = new MarkerRegistry({ types: { 'my arrow/v2': { path: 'M0,0L1,1' } } });
+    first.attach(defs);
+    second.attach(defs);
+
+    const id = first.id('my arrow/v2');
+    expect(id).toMatch(/^marker-\d+-my_arrow_v2-\d+$/);
+    expect(first.id('my:arrow.v2')).not.toBe(id);
+    expect(second.id('my arrow/v2')).not.toBe(id);
+    expect(defs.select(`#${id}`).select('path').attr('d')).toBe('M0,0L1,1');
+  });
+
+  test('defines markers requested before attaching, and again once the defs are rebuilt', () => {
+    const registry = new MarkerRegistry();
+    const arrow = registry.id('arrow');
+    registry.attach(defs);
+    expect(defined(defs).map(m => m.id)).toEqual([arrow]);
+
+    defs = newDefs();
+    registry.attach(defs);
+    expect(defined(defs).map(m => m.id)).toEqual([arrow]);
+    registry.attach(defs);
+    expect(defined(defs).length).toBe(1);
+  });
+
+  test('registering a type again drops the markers built from the old definition', () => {
+    const registry = new MarkerRegistry();
+    registry.attach(defs);
+    const before = registry.id('arrow', 'red');
+    registry.id('circle');
+    registry.register('arrow', { path: 'M0,0L2,2', refX: 1 });
+
+    const after = registry.id('arrow', 'red');
+    expect(after).not.toBe(before);
+    expect(defined(defs).map(m => m.id)).toEqual([registry.id('circle'), after]);
+    expect(defs.select(`#${after}`).attr('refX')).toBe('1');
+  });
+});
+
+describe('edge markers', () => {
+  const markerIds = () => [...document.querySelectorAll('defs marker')].map(m => `url(#${m.id})`);
+
+  test('edges share the markers they have in common', async () => {
+    const G = await renderGraph(containerGraph(), {
+      markers: { start: 'circle', byType: { flow: { end: 'diamond', color: 'blue' } } }
+    });
+    const [ac, cd] = G.layout.edges;
+    const ab = G.getEdge('ab');
+    expect(ac.markerEnd).toBe(cd.markerEnd);
+    expect(ac.markerEnd).toBe(ab.markerEnd);
+    expect(ac.markerStart).toBe(ab.markerStart);
+    expect(markerIds()).toEqual([ac.markerStart, ac.markerEnd]);
+  });
+
+  test('by edge data type and from the edgeMarkers callback, re-rendered without duplicates', async () => {
+    const data = containerGraph();
+    data.edges[0].data = { type: 'flow' };
+    const G = await renderGraph(data, {
+      markers: {
+        byType: { flow: { end: 'diamond', color: 'blue' } },
+        edgeMarkers: (edge) => edge.id === 'cd' ? { start: 'tee', color: 'red' } : {}
+      }
+    });
+    const [ac, cd] = G.layout.edges;
+    const ab = G.getEdge('ab');
+
+    // edgeMarkers takes precedence over byType
+    expect(ac.markerEnd).toBe(ab.markerEnd);
+    expect(cd.markerStart).not.toBeNull();
+    expect(cd.markerEnd).not.toBe(ab.markerEnd);
+    expect(ab.markerStart).toBeNull();
+
+    await G.render();
+    expect(markerIds().sort()).toEqual([ab.markerEnd, cd.markerStart, cd.markerEnd].sort());
+  });
+
+  test('context-stroke edges share a marker whatever their color', async () => {
+    const G = await renderGraph(containerGraph(), {
+      markers: { colorMode: 'context-stroke', edgeMarkers: (edge) => ({ color: edge.id === 'ab' ? 'red' : 'blue' }) }
+    });
+    const ends = [...new Set(['ab', 'ac', 'cd'].map(id => G.getEdge(id).markerEnd))];
+    expect(ends.length).toBe(1);
+    expect(markerIds()).toEqual(ends);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import { renderGraph } from './helpers/renderer';
+import { containerGraph } from './helpers/graphs';
+import { mouse } from './helpers/dom';
+
+// jsdom has no screen transforms, so pointer positions within the minimap are chart coordinates
+const press = (el, x, y) => mouse('mousedown', el, x, y);
+
+const viewCenter = (G) => {
+  const { x1, y1, x2, y2 } = G.getBoundary();
+  return { x: x1 + 0.5 * x2, y: y1 + 0.5 * y2 };
+};
+
+const rectOf = (el) => ['x', 'y', 'width', 'height'].map(attr => +el.getAttribute(attr));
+
+describe('Minimap', () => {
+  let G;
+  let minimap;
+  beforeEach(async () => {
+    G = await renderGraph(containerGraph(), { useMinimap: true, minimap: { position: 'bottom-right', width: 100, height: 80 } });
+    minimap = G.svgEl.querySelector('.foreground-layer .minimap');
+  });
+
+  test('draws every node and edge in the corner, fitted to the layout', () => {
+    expect(minimap.getAttribute('transform')).toBe(`translate(${600 - 100 - 10}, ${600 - 80 - 10})`);
+    expect(minimap.querySelectorAll('.minimap-node').length).toBe(7);
+    expect(minimap.querySelectorAll('.minimap-edges path').length).toBe(3);
+
+    const scale = Math.min(100 / G.layout.width, 80 / G.layout.height);
+    expect(G.minimap.scale).toBeCloseTo(scale);
+    expect(minimap.querySelector('.minimap-content').getAttribute('transform')).toContain(`scale(${G.minimap.scale})`);
+  });
+
+  test('redraws in place on render', async () => {
+    G.removeNode('Q');
+    await G.render();
+    expect(G.svgEl.querySelectorAll('.minimap').length).toBe(1);
+    expect(minimap.querySelectorAll('.minimap-node').length).toBe(5);
+  });
+
+  test('keeps the view rectangle on the part in view as the view zooms and pans', () => {
+    const view = minimap.querySelector('.current-view');
+    const matches = () => {
+      const { x1, y1, x2, y2 } = G.getBoundary();
+      rectOf(view).forEach((value, i) => expect(value).toBeCloseTo([x1, y1, x2, y2][i]));
+    };
+    matches();
+
+    d3.select(G.svgEl).call(G.zoom.transform, d3.zoomIdentity.translate(-40, 25).scale(2));
+    matches();
+    expect(rectOf(view).slice(2)).toEqual([300, 300]);
+
+    d3.select(G.svgEl).call(G.zoom.scaleBy, 0.5);
+    matches();
+    expect(rectOf(view).slice(2)).toEqual([600, 600]);
+  });
+
+  test('a click centers the view on that spot, keeping the zoom', () => {
+    const k = d3.zoomTransform(G.svgEl).k;
+    press(minimap.querySelector('.minimap-background'), 20, 30);
+    mouse('mouseup', window, 20, 30);
+
+    expect(viewCenter(G).x).toBeCloseTo(20);
+    expect(viewCenter(G).y).toBeCloseTo(30);
+    expect(d3.zoomTransform(G.svgEl).k).toBe(k);
+    const [x, y] = rectOf(minimap.querySelector('.current-view'));
+    expect(x).toBeCloseTo(G.getBoundary().x1);
+    expect(y).toBeCloseTo(G.getBoundary().y1);
+  });
+
+  test('dragging the view rectangle pans along from where it was grabbed', () => {
+    const start = viewCenter(G);
+    press(minimap.querySelector('.current-view'), start.x + 5, start.y + 5);
+    expect(viewCenter(G).x).toBeCloseTo(start.x);
+
+    mouse('mousemove', window, start.x + 15, start.y - 5);
+    mouse('mouseup', window, start.x + 15, start.y - 5);
+    expect(viewCenter(G).x).toBeCloseTo(start.x + 10);
+    expect(viewCenter(G).y).toBeCloseTo(start.y - 10);
+  });
+
+  test('keeps clicks from reaching the background', () => {
+    const clicks = jest.fn();
+    G.setCallback('backgroundClick', clicks);
+    mouse('click', minimap.querySelector('.minimap-background'), 0, 0);
+    expect(clicks).not.toHaveBeenCalled();
+    mouse('click', G.svgEl, 0, 0);
+    expect(clicks).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,596 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import ELK from 'elkjs';
+import dagre from 'dagre';
+import { createRenderer, renderGraph } from './helpers/renderer';
+import { containerGraph, nestedGraph, portGraph, ids } from './helpers/graphs';
+import { drawn, mouse, elementOf } from './helpers/dom';
+import { makeRenderingGraph } from '../src/utils';
+import { GraphValidationError } from '../src/utils/validate';
+import { getGlobalBox, getGlobalPosition } from '../src/utils/geometry';
+import ElkAdapter from '../src/adapters/elk-adapter';
+import DagreAdapter from '../src/adapters/dagre-adapter';
+import { expandCollapse } from '../src/addons/expand-collapse';
+
+const graph = () => ({
+  id: 'root',
+  nodes: [{ id: 'a' }, { id: 'b' }],
+  edges: [
+    { id: 'ab1', source: 'a', target: 'b' },
+    { id: 'ab2', source: 'a', target: 'b' }
+  ]
+});
+
+const pointsOf = (G) => G.layout.edges.map(e => e.points.map(p => ({ x: p.x, y: p.y })));
+
+const duplicates = () => ({ nodes: [{ id: 'a' }, { id: 'a' }], edges: [{ id: 'ab', source: 'a', target: 'b' }] });
+
+// Leaves everything where it is, which is nowhere
+const noLayoutAdapter = {
+  makeRenderingGraph: (data) => makeRenderingGraph(data, { nodeWidth: 30, nodeHeight: 30 }),
+  run: async (layout) => layout
+};
+
+describe('SVGRenderer', () => {
+  describe('graph mutation', () => {
+    let G;
+    beforeEach(async () => {
+      G = await renderGraph(containerGraph());
+    });
+
+    test('adds nodes with what they contain, drawn on the next render', async () => {
+      const node = G.addNode({ id: 'R', nodes: [{ id: 'r1' }, { id: 'r2' }], edges: [{ id: 'r12', source: 'r1', target: 'r2' }] }, 'Q');
+      expect(G.getNode('R')).toBe(node);
+      expect(G.parentMap.get('R')).toBe(G.getNode('Q'));
+      expect(G.parentMap.get('r1')).toBe(node);
+      expect(G.edgeContainerMap.get('r12')).toBe(node);
+      expect(G.getNode('r1').width).toBeGreaterThan(0);
+
+      await G.render();
+      expect(drawn()).toEqual(expect.arrayContaining(['Q/R', 'R/r1', 'R/r2']));
+    });
+
+    test('rejects nodes that clash or have nowhere to go', () => {
+      expect(() => G.addNode({ id: 'a' })).toThrow('duplicate node id a');
+      expect(() => G.addNode({ id: 'S', nodes: [{ id: 's' }, { id: 's' }] })).toThrow('duplicate node id s');
+      expect(() => G.addNode({ id: 'S', nodes: [{ id: 's' }], edges: [{ id: 'ab', source: 's', target: 's' }] })).toThrow('duplicate edge id ab');
+      expect(() => G.addNode({ id: 'S' }, 'nowhere')).toThrow('unknown parent nowhere');
+      expect(G.getNode('S')).toBeNull();
+    });
+
+    test('removes nodes with what they contain and every edge connected to them', () => {
+      G.removeNode('P');
+      expect(ids(G.layout.nodes)).toEqual(['Q', 'c', 'd']);
+      expect(G.getNode('a')).toBeNull();
+      expect(G.getEdge('ab')).toBeNull();
+      expect(G.getEdge('ac')).toBeNull();
+      expect(ids(G.layout.edges)).toEqual(['cd']);
+      expect(() => G.removeNode('P')).toThrow('unknown node P');
+    });
+
+    test('updates attributes and data, not the structure', () => {
+      const a = G.getNode('a');
+      G.updateNode('a', { label: 'A', id: 'z', nodes: [] });
+      expect(a).toMatchObject({ id: 'a', label: 'A' });
+      expect(a.nodes).toBeUndefined();
+      expect(a.data).toMatchObject({ id: 'a', label: 'A' });
+      expect(() => G.updateNode('z', {})).toThrow('unknown node z');
+    });
+
+    test('adds and removes edges', () => {
+      const edge = G.addEdge({ id: 'ba', source: 'b', target: 'a' }, 'P');
+      expect(G.getEdge('ba')).toBe(edge);
+      expect(G.edgeContainerMap.get('ba')).toBe(G.getNode('P'));
+      expect(G.addEdge({ id: 'qd', source: 'q', target: 'd' })).toBe(G.getEdge('qd'));
+      expect(G.edgeContainerMap.get('qd')).toBe(G.layout);
+
+      expect(() => G.addEdge({ id: 'ab', source: 'a', target: 'b' })).toThrow('duplicate edge id ab');
+      expect(() => G.addEdge({ id: 'ax', source: 'a', target: 'x' })).toThrow('unknown source or target');
+      expect(() => G.addEdge({ id: 'aq', source: 'a', target: 'q' }, 'nowhere')).toThrow('unknown container nowhere');
+
+      G.removeEdge('ba');
+      expect(G.getEdge('ba')).toBeNull();
+      expect(ids(G.getNode('P').edges)).toEqual(['ab']);
+      expect(() => G.removeEdge('ba')).toThrow('unknown edge ba');
+    });
+
+    test('moves nodes in place, along with the edges that no longer fit', () => {
+      const before = getGlobalBox(G.getNode('a'), G.parentMap);
+      G.moveNode('a', 'Q');
+      const a = G.getNode('a');
+      expect(G.parentMap.get('a')).toBe(G.getNode('Q'));
+      expect(ids(G.getNode('P').nodes)).toEqual(['b']);
+      expect(getGlobalBox(a, G.parentMap)).toEqual(before);
+      expect(G.edgeContainerMap.get('ab')).toBe(G.layout);
+      expect(ids(G.layout.edges)).toEqual(['ac', 'cd', 'ab']);
+    });
+
+    test('undoes and redoes moving a node', async () => {
+      G.moveNode('a', 'Q');
+
+      await G.undo();
+      expect(G.parentMap.get('a')).toBe(G.getNode('P'));
+      expect(ids(G.getNode('P').nodes)).toEqual(['a', 'b']);
+      expect(G.edgeContainerMap.get('ab')).toBe(G.getNode('P'));
+      expect(ids(G.layout.edges)).toEqual(['ac', 'cd']);
+
+      await G.redo();
+      expect(G.parentMap.get('a')).toBe(G.getNode('Q'));
+      expect(G.edgeContainerMap.get('ab')).toBe(G.layout);
+    });
+
+    test('draws moved nodes in their new parent', async () => {
+      G.moveNode('a', 'Q');
+      await G.render();
+      expect(drawn()).toContain('Q/a');
+      expect(drawn()).not.toContain('P/a');
+    });
+
+    test('rejects moves into the node itself or unknown nodes', () => {
+      expect(() => G.moveNode('P', 'a')).toThrow('into itself or its descendants');
+      expect(() => G.moveNode('P', 'P')).toThrow('into itself or its descendants');
+      expect(() => G.moveNode('x', 'P')).toThrow('unknown node x');
+      expect(() => G.moveNode('a', 'x')).toThrow('unknown parent x');
+      expect(G.canUndo()).toBe(false);
+    });
+
+    test('batch applies the changes and renders once', async () => {
+      const render = jest.spyOn(G, 'render');
+      await G.batch(r => {
+        r.addNode({ id: 'e' });
+        r.addEdge({ id: 'de', source: 'd', target: 'e' });
+      });
+      expect(render).toHaveBeenCalledTimes(1);
+      expect(G.getEdge('de').points.length).toBeGreaterThanOrEqual(2);
+      expect(drawn()).toContain('root/e');
+    });
+  });
+
+  describe('history', () => {
+    let G;
+    let states;
+    beforeEach(async () => {
+      G = await renderGraph(containerGraph());
+      states = [];
+      G.setCallback('historyChanged', (state) => states.push(state));
+    });
+
+    // Sets a value on the renderer, undo puts the previous one back
+    const setValue = (value, rerender = false) => {
+      const previous = G.value;
+      G.value = value;
+      G.recordCommand({ name: 'setValue', rerender, undo: () => { G.value = previous; }, redo: () => { G.value = value; } });
+    };
+
+    test('undoes and redoes recorded commands, rendering again only when asked', async () => {
+      const render = jest.spyOn(G, 'render');
+      setValue(1);
+      setValue(2, true);
+      expect(states).toEqual([{ canUndo: true, canRedo: false }, { canUndo: true, canRedo: false }]);
+
+      expect(await G.undo()).toBe(true);
+      expect(G.value).toBe(1);
+      expect(render).toHaveBeenCalledTimes(1);
+      expect(await G.undo()).toBe(true);
+      expect(G.value).toBeUndefined();
+      expect(render).toHaveBeenCalledTimes(1);
+      expect(await G.undo()).toBe(false);
+      expect(G.canUndo()).toBe(false);
+      expect(G.canRedo()).toBe(true);
+
+      expect(await G.redo()).toBe(true);
+      expect(await G.redo()).toBe(true);
+      expect(G.value).toBe(2);
+      expect(render).toHaveBeenCalledTimes(2);
+      expect(await G.redo()).toBe(false);
+      expect(states[states.length - 1]).toEqual({ canUndo: true, canRedo: false });
+    });
+
+    test('a new command clears redo', async () => {
+      setValue(1);
+      setValue(2);
+      await G.undo();
+      expect(G.canRedo()).toBe(true);
+      setValue(3);
+      expect(G.canRedo()).toBe(false);
+      await G.undo();
+      expect(G.value).toBe(1);
+    });
+
+    test('transactions undo and redo as one, nested ones included', async () => {
+      G.transaction('moves', (r) => {
+        r.moveNode('a', 'Q');
+        r.transaction('more', () => {
+          r.moveNode('b', 'Q');
+          setValue(1);
+        });
+      });
+      expect(states.length).toBe(1);
+
+      await G.undo();
+      expect(G.canUndo()).toBe(false);
+      expect(G.value).toBeUndefined();
+      expect(ids(G.getNode('P').nodes)).toEqual(['a', 'b']);
+
+      await G.redo();
+      expect(ids(G.getNode('Q').nodes)).toEqual(['q', 'a', 'b']);
+      expect(G.value).toBe(1);
+    });
+
+    test('commits what was recorded when the transaction throws', () => {
+      expect(() => G.transaction('fails', () => {
+        setValue(1);
+        throw new Error('failed');
+      })).toThrow('failed');
+      expect(G.canUndo()).toBe(true);
+      setValue(2);
+      expect(G.history.transactions).toEqual([]);
+    });
+
+    test('new data clears the history', () => {
+      setValue(1);
+      G.setData(containerGraph());
+      expect(G.canUndo()).toBe(false);
+      expect(states[states.length - 1]).toEqual({ canUndo: false, canRedo: false });
+    });
+  });
+
+  describe('trace', () => {
+    let G;
+    beforeEach(async () => {
+      G = await renderGraph(nestedGraph(), { addons: [expandCollapse] });
+    });
+
+    const traced = (result) => ({ nodes: result.nodes.sort(), edges: ids(result.edges).sort(), distances: result.distances });
+
+    test('follows edges upstream by default, returning the layout edges', () => {
+      const result = G.trace('X');
+      expect(traced(result)).toEqual({
+        nodes: ['X', 'c1', 'c2', 'p1'],
+        edges: ['Xc2', 'c1X', 'c2X', 'cc', 'p1X', 'pc'],
+        distances: { X: 0, c1: 1, c2: 1, p1: 1 }
+      });
+      result.edges.forEach(edge => expect(edge).toBe(G.getEdge(edge.id)));
+    });
+
+    test('follows edges downstream, or both ways with the shortest distance', () => {
+      expect(traced(G.trace('p1', { direction: 'downstream' }))).toEqual({
+        nodes: ['X', 'c1', 'c2', 'p1'],
+        edges: ['Xc2', 'c1X', 'c2X', 'cc', 'p1X', 'pc'],
+        distances: { p1: 0, X: 1, c1: 1, c2: 2 }
+      });
+      expect(traced(G.trace('c1', { direction: 'both', maxDepth: 1 }))).toEqual({
+        nodes: ['X', 'c1', 'c2', 'p1'],
+        edges: ['c1X', 'cc', 'pc'],
+        distances: { c1: 0, p1: 1, c2: 1, X: 1 }
+      });
+    });
+
+    test('stops at the maximum depth', () => {
+      expect(traced(G.trace('p1', { direction: 'downstream', maxDepth: 1 }))).toEqual({
+        nodes: ['X', 'c1', 'p1'],
+        edges: ['p1X', 'pc'],
+        distances: { p1: 0, X: 1, c1: 1 }
+      });
+      expect(traced(G.trace('p1', { direction: 'downstream', maxDepth: 0 }))).toEqual({ nodes: ['p1'], edges: [], distances: { p1: 0 } });
+    });
+
+    test('follows only the edges that pass the filter', () => {
+      expect(traced(G.trace('c1', { edgeFilter: edge => edge.id !== 'pc' }))).toEqual({ nodes: ['c1'], edges: [], distances: { c1: 0 } });
+      expect(ids(G.trace('X', { edgeFilter: edge => edge.id !== 'Xc2' }).edges).sort()).toEqual(['c1X', 'c2X', 'cc', 'p1X', 'pc']);
+    });
+
+    test('follows the edges of nested nodes with includeDescendants', () => {
+      expect(traced(G.trace('C', { direction: 'downstream' }))).toEqual({ nodes: ['C'], edges: [], distances: { C: 0 } });
+      expect(traced(G.trace('C', { direction: 'downstream', maxDepth: 1, includeDescendants: true }))).toEqual({
+        nodes: ['C', 'X', 'c2'],
+        edges: ['c1X', 'c2X', 'cc'],
+        distances: { C: 0, X: 1, c2: 1 }
+      });
+    });
+
+    test('follows aggregated edges of collapsed nodes', async () => {
+      G.collapse('C');
+      await G.render();
+      const result = G.trace('X');
+      expect(traced(result)).toEqual({
+        nodes: ['C', 'X', 'p1'],
+        edges: ['aggregate:["C","X"]', 'aggregate:["X","C"]', 'aggregate:["p1","C"]', 'p1X'],
+        distances: { X: 0, C: 1, p1: 1 }
+      });
+      const aggregate = result.edges.find(edge => edge.id === 'aggregate:["C","X"]');
+      expect(aggregate).toBe(G.getEdge('aggregate:["C","X"]'));
+      expect(ids(aggregate.edges)).toEqual(['c1X', 'c2X']);
+    });
+  });
+
+  describe('validation', () => {
+    let warn;
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => warn.mockRestore());
+
+    test('strict mode throws on bad data, with every issue', () => {
+      const G = createRenderer({ validation: 'strict' });
+      let error = null;
+      try {
+        G.setData(duplicates());
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(GraphValidationError);
+      expect(error.issues.map(issue => issue.code)).toEqual(['duplicate-id', 'unknown-node']);
+    });
+
+    test('strict mode rejects bad adapter output', async () => {
+      const G = createRenderer({ validation: 'strict', adapter: noLayoutAdapter });
+      G.setData({ nodes: [{ id: 'a' }] });
+      await expect(G.render()).rejects.toThrow(GraphValidationError);
+    });
+
+    test('lenient mode passes the issues to validationIssues', async () => {
+      const reports = [];
+      const G = createRenderer({ adapter: noLayoutAdapter });
+      G.setCallback('validationIssues', (report) => reports.push(report));
+      G.setData(duplicates());
+      expect(reports.map(r => r.source)).toEqual(['data']);
+      expect(reports[0].issues.map(issue => issue.id)).toEqual(['a', 'ab']);
+
+      G.setData({ nodes: [{ id: 'a' }] });
+      await G.render().catch(() => {});
+      expect(reports.map(r => r.source)).toEqual(['data', 'layout']);
+      expect(reports[1].issues[0]).toMatchObject({ code: 'invalid-geometry', kind: 'node' });
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('lenient mode warns once per check without a callback', () => {
+      const G = createRenderer();
+      G.setData(duplicates());
+      expect(warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('none skips validation', () => {
+      const G = createRenderer({ validation: 'none' });
+      G.setCallback('validationIssues', () => { throw new Error('not expected'); });
+      G.setData(duplicates());
+      expect(warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('edge labels', () => {
+    // a and b side by side with three labelled edges between them, c and d on either side of m
+    const labelled = () => ({
+      id: 'root',
+      nodes: ['a', 'b', 'c', 'd', 'm'].map(id => ({ id })),
+      edges: [
+        { id: 'ab', source: 'a', target: 'b', label: 'first' },
+        { id: 'ab2', source: 'a', target: 'b', label: 'second' },
+        { id: 'ab3', source: 'a', target: 'b', label: 'third' },
+        { id: 'ba', source: 'b', target: 'a' },
+        { id: 'cd', source: 'c', target: 'd', label: 'behind m' }
+      ]
+    });
+    const positions = { a: [0, 0], b: [200, 0], c: [-30, 285], d: [200, 285], m: [85, 285] };
+    const placingAdapter = {
+      makeRenderingGraph: (data) => makeRenderingGraph(data, { nodeWidth: 30, nodeHeight: 30 }),
+      run: async (layout) => {
+        layout.nodes.forEach(node => Object.assign(node, { x: positions[node.id][0], y: positions[node.id][1] }));
+        layout.edges.forEach(edge => {
+          edge.points = edge.id === 'cd' ? [{ x: 0, y: 300 }, { x: 200, y: 300 }] : [{ x: 30, y: 15 }, { x: 200, y: 15 }];
+        });
+        // On the edge, to the right of the middle
+        layout.edges[0].labelPosition = { x: 140, y: 9, width: 30, height: 12 };
+        return Object.assign(layout, { width: 260, height: 320 });
+      }
+    };
+
+    const labelAt = (id) => {
+      const label = [...document.querySelectorAll('.edge-label')].find(el => el.__data__.id === id);
+      return label.getAttribute('transform');
+    };
+
+    let G;
+    beforeEach(async () => {
+      G = createRenderer({ adapter: placingAdapter, useEdgeLabels: true });
+      G.setData(labelled());
+      await G.render();
+    });
+
+    test('draws a label with a halo for the edges that have one', () => {
+      const labels = [...document.querySelectorAll('.edge-label')];
+      expect(labels.map(el => el.__data__.id)).toEqual(['ab', 'ab2', 'ab3', 'cd']);
+      expect(labels[0].querySelector('text').textContent).toBe('first');
+      const halo = labels[0].querySelector('.edge-label-halo');
+      expect(['x', 'y', 'width', 'height'].map(attr => +halo.getAttribute(attr))).toEqual([-2, -2, 34, 16]);
+    });
+
+    test('uses the adapter position while it lies on the edge', () => {
+      expect(labelAt('ab')).toBe('translate(155, 15)');
+    });
+
+    test('goes to the middle, then along the path, past other labels and nodes', () => {
+      expect(labelAt('ab2')).toBe('translate(115, 15)');
+      // 0.4 and 0.6 overlap the label of ab2
+      expect(labelAt('ab3')).toBe('translate(81, 15)');
+      // The middle, 0.4 and 0.6 are all on m
+      expect(labelAt('cd')).toBe('translate(60, 300)');
+    });
+
+    test('moves along once the edge moves away from the adapter position', () => {
+      const edge = G.getEdge('ab');
+      edge.points = [{ x: 30, y: 15 }, { x: 30, y: 215 }];
+      G.updateEdgePoints();
+      expect(labelAt('ab')).toBe('translate(30, 115)');
+      expect(labelAt('ab2')).toBe('translate(115, 15)');
+
+      // Small moves keep the adapter position
+      edge.points = [{ x: 30, y: 20 }, { x: 200, y: 20 }];
+      G.updateEdgePoints();
+      expect(labelAt('ab')).toBe('translate(155, 15)');
+    });
+
+    test('draws labels once across renders', async () => {
+      await G.render();
+      expect(document.querySelectorAll('.edge-label').length).toBe(4);
+    });
+  });
+
+  describe.each([
+    ['ELK', () => new ElkAdapter({ elk: new ELK(), nodeWidth: 30, nodeHeight: 30 })],
+    ['Dagre', () => new DagreAdapter({ dagre, nodeWidth: 30, nodeHeight: 30 })]
+  ])('ports with %s', (name, makeAdapter) => {
+    let G;
+    beforeEach(async () => {
+      G = await renderGraph(portGraph(), { adapter: makeAdapter() });
+    });
+
+    const portsOf = (id) => [...elementOf(id).querySelectorAll(':scope > .node-ports > .node-port')];
+    const globalPort = (nodeId, portId) => {
+      const node = G.getNode(nodeId);
+      const port = node.ports.find(p => p.id === portId);
+      const position = getGlobalPosition(node, G.parentMap);
+      return { x: position.x + port.x, y: position.y + port.y };
+    };
+
+    test('draws ports on their side of the node, in order', () => {
+      expect(portsOf('a').map(el => [el.__data__.id, el.getAttribute('transform')])).toEqual([
+        ['out1', 'translate(30, 10)'],
+        ['out2', 'translate(30, 20)'],
+        ['down', 'translate(5, 30)']
+      ]);
+      expect(portsOf('b').map(el => el.getAttribute('transform'))).toEqual(['translate(0, 10)', 'translate(0, 20)']);
+      expect(portsOf('P')).toEqual([]);
+    });
+
+    test('attaches edges at the port coordinates', () => {
+      const [e1, e2] = G.layout.edges;
+      expect(e1.points[0]).toEqual(globalPort('a', 'out1'));
+      expect(e1.points[e1.points.length - 1]).toEqual(globalPort('b', 'in2'));
+      expect(e2.points[0]).toEqual(globalPort('a', 'out2'));
+      expect(e2.points[e2.points.length - 1]).toEqual(globalPort('b', 'in1'));
+    });
+
+    test('fires portClick', () => {
+      const clicks = [];
+      G.setCallback('portClick', (evt, selection) => clicks.push(selection.datum().id));
+      mouse('click', portsOf('b')[1], 0, 0);
+      expect(clicks).toEqual(['in2']);
+    });
+  });
+
+  describe('transitions', () => {
+    // Positions and routes handed out by the adapter, changed between renders
+    let positions;
+    let route;
+    const movingAdapter = {
+      makeRenderingGraph: (data) => makeRenderingGraph(data, { nodeWidth: 30, nodeHeight: 30 }),
+      run: async (layout) => {
+        layout.nodes.forEach(node => Object.assign(node, { x: positions[node.id][0], y: positions[node.id][1] }));
+        layout.edges[0].points = route.map(([x, y]) => ({ x, y }));
+        return Object.assign(layout, { width: 300, height: 300 });
+      }
+    };
+    const twoNodes = () => ({ id: 'root', nodes: [{ id: 'a' }, { id: 'b' }], edges: [{ id: 'ab', source: 'a', target: 'b' }] });
+
+    const transformOf = (id) => elementOf(id).getAttribute('transform');
+    const drawnPoints = (id) => elementOf(id, '.edge').querySelector('path').__data__.points.map(p => [Math.round(p.x), Math.round(p.y)]);
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    // What is drawn when each animation starts
+    let starts;
+    let G;
+    beforeEach(async () => {
+      positions = { a: [0, 0], b: [100, 0] };
+      route = [[30, 15], [100, 15]];
+      G = createRenderer({ adapter: movingAdapter, useTransitions: true, transitionDuration: 100 });
+      G.setData(twoNodes());
+      await G.render();
+
+      starts = [];
+      const animate = G._animateLayout;
+      jest.spyOn(G, '_animateLayout').mockImplementation(function() {
+        const done = animate.call(this);
+        starts.push({ b: transformOf('b'), ab: drawnPoints('ab') });
+        return done;
+      });
+      positions.b = [200, 100];
+      route = [[30, 15], [150, 15], [150, 115], [200, 115]];
+    });
+
+    test('start from the displayed positions and end at the new layout', async () => {
+      await G.render();
+      expect(starts.length).toBe(1);
+      expect(starts[0].b).toBe('translate(100, 0)');
+      // The old route, resampled to match the new one
+      expect(starts[0].ab).toEqual([[30, 15], [61, 15], [87, 15], [100, 15]]);
+
+      expect(transformOf('b')).toBe('translate(200, 100)');
+      expect(drawnPoints('ab')).toEqual(route);
+      expect(G.getNode('b')).toMatchObject({ x: 200, y: 100 });
+      expect(G.transition).toBeNull();
+    });
+
+    test('an interrupted transition settles at the final layout', async () => {
+      Object.assign(G.options, { transitionDuration: 10000, transitionEase: d3.easeLinear });
+      const first = G.render();
+      await wait(100);
+      expect(starts.length).toBe(1);
+      const halfway = transformOf('b');
+      expect(halfway).not.toBe('translate(100, 0)');
+      expect(halfway).not.toBe('translate(200, 100)');
+
+      G.options.transitionDuration = 50;
+      const second = G.render();
+
+      // The layout data is final, the drawing is left where it was
+      expect(G.getNode('b')).toMatchObject({ x: 200, y: 100 });
+      expect(G.getEdge('ab').points.map(p => [p.x, p.y])).toEqual(route);
+      expect(transformOf('b')).toBe(halfway);
+      await first;
+
+      // The next one starts from there
+      await second;
+      expect(starts.length).toBe(2);
+      expect(starts[1].b).toBe(halfway);
+      expect(transformOf('b')).toBe('translate(200, 100)');
+      expect(drawnPoints('ab')).toEqual(route);
+      expect(G.transition).toBeNull();
+    });
+  });
+
+  describe('incremental layout', () => {
+    test('processes the edges that stay in place only once', async () => {
+      const G = await renderGraph(graph(), { useIncrementalLayout: true, useParallelEdgeSeparation: true, parallelEdgeSpacing: 10 });
+      const before = pointsOf(G);
+      expect(before[0]).not.toEqual(before[1]);
+
+      await G.render();
+      await G.render();
+      expect(pointsOf(G)).toEqual(before);
+    });
+
+    test('keeps edges changed since the last render as drawn', async () => {
+      const G = await renderGraph(graph(), { useIncrementalLayout: true });
+      G.layout.edges[0].points.forEach(p => { p.y += 5; });
+      const changed = pointsOf(G);
+
+      await G.render();
+      expect(pointsOf(G)).toEqual(changed);
+    });
+
+    test('puts nodes back after the adapter runs', async () => {
+      const G = await renderGraph(graph(), { useIncrementalLayout: true });
+      const a = G.getNode('a');
+      a.x += 300;
+      const moved = { x: a.x, y: a.y };
+
+      G.addNode({ id: 'c' });
+      G.addEdge({ id: 'ac', source: 'a', target: 'c' });
+      await G.render();
+      expect(G.getNode('a')).toMatchObject(moved);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { searchPath, getAStarPath } from '../../src/utils/a-star';
+
+// A wall at x = 50, from y = -100 to y = 100
+const wall = (p) => p.x === 50 && p.y >= -100 && p.y <= 100;
+
+// Grid cells on the path are one step apart, horizontally, vertically or diagonally
+const isDiagonalStep = (a, b) => a.x !== b.x && a.y !== b.y;
+
+describe('searchPath', () => {
+  test('finds a straight path', () => {
+    const result = searchPath({ x: 0, y: 0 }, { x: 100, y: 0 });
+    expect(result.status).toBe('found');
+    expect(result.found).toBe(true);
+    expect(result.points[0]).toEqual({ x: 0, y: 0 });
+    expect(result.points[result.points.length - 1]).toEqual({ x: 100, y: 0 });
+    expect(result.points.every(p => p.y === 0)).toBe(true);
+  });
+
+  test('routes around obstacles', () => {
+    const result = searchPath({ x: 0, y: 0 }, { x: 100, y: 0 }, wall);
+    expect(result.status).toBe('found');
+    expect(result.points.some(p => wall(p))).toBe(false);
+  });
+
+  test('gives up after searchLimit cells', () => {
+    const result = searchPath({ x: 0, y: 0 }, { x: 100, y: 0 }, wall, { searchLimit: 5 });
+    expect(result.status).toBe('limit');
+    expect(result.found).toBe(false);
+    expect(result.expanded).toBe(5);
+    expect(result.points).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+  });
+
+  test('reports unreachable goals', () => {
+    // A closed box around the start
+    const box = (p) => Math.max(Math.abs(p.x), Math.abs(p.y)) === 30;
+    const result = searchPath({ x: 0, y: 0 }, { x: 100, y: 0 }, box);
+    expect(result.status).toBe('unreachable');
+    expect(result.found).toBe(false);
+  });
+
+  test('takes no diagonal steps with diagonal "never"', () => {
+    const result = searchPath({ x: 0, y: 0 }, { x: 50, y: 50 }, undefined, { diagonal: 'never' });
+    expect(result.status).toBe('found');
+    const points = result.points;
+    expect(points.slice(1).some((p, i) => isDiagonalStep(points[i], p))).toBe(false);
+  });
+
+  test('takes diagonal steps with diagonal "always"', () => {
+    const result = searchPath({ x: 0, y: 0 }, { x: 50, y: 50 }, undefined, { diagonal: 'always' });
+    expect(result.status).toBe('found');
+    const points = result.points;
+    expect(points).toHaveLength(6);
+    expect(points.slice(1).every((p, i) => isDiagonalStep(points[i], p))).toBe(true);
+  });
+
+  test('does not cut corners with diagonal "noCornerCutting"', () => {
+    // Single blocked cell right of the start, the diagonal step past it cuts its corner
+    const block = (p) => p.x === 10 && p.y === 0;
+    const start = { x: 0, y: 0 };
+    const goal = { x: 20, y: 10 };
+    const cutting = searchPath(start, goal, block, { diagonal: 'always' });
+    const careful = searchPath(start, goal, block, { diagonal: 'noCornerCutting' });
+    expect(cutting.points[1]).toEqual({ x: 10, y: 10 });
+    expect(careful.points[1]).toEqual({ x: 0, y: 10 });
+  });
+
+  test.each(['manhattan', 'euclidean', 'octile', 'chebyshev'])('finds a path with the %s heuristic', (heuristic) => {
+    const result = searchPath({ x: 0, y: 0 }, { x: 100, y: 0 }, wall, { heuristic });
+    expect(result.status).toBe('found');
+    expect(result.points.some(p => wall(p))).toBe(false);
+  });
+
+  test('accepts a heuristic function', () => {
+    const heuristic = jest.fn(() => 0);
+    const result = searchPath({ x: 0, y: 0 }, { x: 30, y: 0 }, undefined, { heuristic });
+    expect(result.status).toBe('found');
+    expect(heuristic).toHaveBeenCalled();
+  });
+
+  test('rejects unknown heuristics', () => {
+    expect(() => searchPath({ x: 0, y: 0 }, { x: 30, y: 0 }, undefined, { heuristic: 'nope' })).toThrow('Unknown heuristic nope');
+  });
+});
+
+describe('getAStarPath', () => {
+  test('cuts corners like it always did', () => {
+    const block = (p) => p.x === 10 && p.y === 0;
+    const points = getAStarPath({ x: 0, y: 0 }, { x: 20, y: 10 }, block);
+    expect(points[1]).toEqual({ x: 10, y: 10 });
+  });
+});
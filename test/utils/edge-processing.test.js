@@ -0,0 +1,154 @@
+import { offsetPolyline, separateParallelEdges, bundleEdges } from '../../src/utils/edge-processing';
+
+const line = (x1, y1, x2, y2) => [{ x: x1, y: y1 }, { x: x2, y: y2 }];
+
+describe('offsetPolyline', () => {
+  test('offsets along the left-hand normal', () => {
+    expect(offsetPolyline(line(0, 0, 100, 0), 10)).toEqual(line(0, 10, 100, 10));
+    expect(offsetPolyline(line(0, 0, 100, 0), -10)).toEqual(line(0, -10, 100, -10));
+  });
+
+  test('miters the corners', () => {
+    const points = offsetPolyline([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }], 10);
+    expect(points[1].x).toBeCloseTo(90);
+    expect(points[1].y).toBeCloseTo(10);
+  });
+
+  test('copies the points when there is nothing to do', () => {
+    const points = line(0, 0, 100, 0);
+    const result = offsetPolyline(points, 0);
+    expect(result).toEqual(points);
+    expect(result[0]).not.toBe(points[0]);
+  });
+});
+
+describe('separateParallelEdges', () => {
+  const layout = (edges) => ({ id: 'root', nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }], edges });
+
+  test('fans out edges between the same nodes around the first one', () => {
+    const graph = layout([
+      { id: 'e1', source: 'a', target: 'b', points: line(0, 0, 100, 0) },
+      { id: 'e2', source: 'a', target: 'b', points: line(0, 5, 100, 5) },
+      { id: 'e3', source: 'a', target: 'b', points: line(0, 9, 100, 9) }
+    ]);
+    separateParallelEdges(graph, 10);
+    expect(graph.edges.map(e => e.points)).toEqual([
+      line(0, -10, 100, -10),
+      line(0, 0, 100, 0),
+      line(0, 10, 100, 10)
+    ]);
+  });
+
+  test('keeps reversed edges pointing their own way', () => {
+    const graph = layout([
+      { id: 'e1', source: 'a', target: 'b', points: line(0, 0, 100, 0) },
+      { id: 'e2', source: 'b', target: 'a', points: line(100, 0, 0, 0) }
+    ]);
+    separateParallelEdges(graph, 10);
+    const [e1, e2] = graph.edges;
+    expect(e1.points).toEqual(line(0, -5, 100, -5));
+    expect(e2.points).toEqual(line(100, 5, 0, 5));
+  });
+
+  test('leaves single edges, self loops and edges without points alone', () => {
+    const graph = layout([
+      { id: 'ab', source: 'a', target: 'b', points: line(0, 0, 100, 0) },
+      { id: 'bc', source: 'b', target: 'c', points: line(100, 0, 200, 0) },
+      { id: 'cc1', source: 'c', target: 'c', points: line(200, 0, 200, 10) },
+      { id: 'cc2', source: 'c', target: 'c', points: line(200, 0, 200, 20) },
+      { id: 'ac1', source: 'a', target: 'c', points: [] },
+      { id: 'ac2', source: 'a', target: 'c' }
+    ]);
+    const before = JSON.parse(JSON.stringify(graph.edges));
+    separateParallelEdges(graph);
+    expect(graph.edges).toEqual(before);
+  });
+
+  test('groups edges across containers', () => {
+    const graph = {
+      id: 'root',
+      nodes: [{ id: 'a' }, { id: 'G', nodes: [{ id: 'b' }], edges: [{ id: 'e2', source: 'b', target: 'a', points: line(100, 0, 0, 0) }] }],
+      edges: [{ id: 'e1', source: 'a', target: 'b', points: line(0, 0, 100, 0) }]
+    };
+    separateParallelEdges(graph, 20);
+    expect(graph.edges[0].points).toEqual(line(0, -10, 100, -10));
+    expect(graph.nodes[1].edges[0].points).toEqual(line(100, 10, 0, 10));
+  });
+});
+
+describe('bundleEdges', () => {
+  // G spans 0..100 horizontally, a and b sit inside it, x and y to its right
+  const layout = () => ({
+    id: 'root',
+    x: 0,
+    y: 0,
+    nodes: [
+      {
+        id: 'G',
+        x: 0,
+        y: 0,
+        width: 100,
+        height: 100,
+        nodes: [
+          { id: 'a', x: 10, y: 10, width: 20, height: 20 },
+          { id: 'b', x: 10, y: 70, width: 20, height: 20 }
+        ]
+      },
+      { id: 'x', x: 200, y: 0, width: 20, height: 20 },
+      { id: 'y', x: 200, y: 80, width: 20, height: 20 }
+    ],
+    edges: [
+      { id: 'ax', source: 'a', target: 'x', points: line(30, 20, 200, 10) },
+      { id: 'by', source: 'b', target: 'y', points: line(30, 80, 200, 90) }
+    ]
+  });
+
+  test('converges edges leaving a compound node on a shared point', () => {
+    const graph = layout();
+    bundleEdges(graph, { length: 20 });
+    const [ax, by] = graph.edges;
+    const shared = [{ x: 80, y: 50 }, { x: 100, y: 50 }, { x: 120, y: 50 }];
+    expect(ax.points).toEqual([{ x: 30, y: 20 }, ...shared, { x: 200, y: 10 }]);
+    expect(by.points).toEqual([{ x: 30, y: 80 }, ...shared, { x: 200, y: 90 }]);
+  });
+
+  test('bundles incoming edges in the reverse order', () => {
+    const graph = layout();
+    graph.edges.forEach(edge => {
+      [edge.source, edge.target] = [edge.target, edge.source];
+      edge.points.reverse();
+    });
+    bundleEdges(graph, { length: 20 });
+    expect(graph.edges[0].points).toEqual([{ x: 200, y: 10 }, { x: 120, y: 50 }, { x: 100, y: 50 }, { x: 80, y: 50 }, { x: 30, y: 20 }]);
+  });
+
+  test('bundles per side of the boundary', () => {
+    const graph = layout();
+    graph.nodes.push({ id: 'z', x: 10, y: 200, width: 20, height: 20 });
+    graph.edges[1] = { id: 'bz', source: 'b', target: 'z', points: line(20, 90, 20, 200) };
+    const before = JSON.parse(JSON.stringify(graph.edges));
+    bundleEdges(graph);
+    expect(graph.edges).toEqual(before);
+  });
+
+  test('drops the points within the shared stretch', () => {
+    const graph = layout();
+    graph.edges[0].points = [{ x: 30, y: 20 }, { x: 90, y: 20 }, { x: 110, y: 20 }, { x: 200, y: 10 }];
+    bundleEdges(graph, { length: 20 });
+    const [ax, by] = graph.edges;
+    expect(ax.points.map(p => p.x)).toEqual([30, 80, 100, 120, 200]);
+    expect(ax.points.slice(1, 4)).toEqual(by.points.slice(1, 4));
+  });
+
+  test('leaves edges within the same compound node alone', () => {
+    const graph = layout();
+    graph.edges = [];
+    graph.nodes[0].edges = [
+      { id: 'ab', source: 'a', target: 'b', points: line(20, 30, 20, 70) },
+      { id: 'ba', source: 'b', target: 'a', points: line(25, 70, 25, 30) }
+    ];
+    const before = JSON.parse(JSON.stringify(graph.nodes[0].edges));
+    bundleEdges(graph);
+    expect(graph.nodes[0].edges).toEqual(before);
+  });
+});
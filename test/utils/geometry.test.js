@@ -0,0 +1,45 @@
+import { interpolatePolyline } from '../../src/utils/geometry';
+
+const round = (points) => points.map(p => [Math.round(p.x * 100) / 100, Math.round(p.y * 100) / 100]);
+
+describe('interpolatePolyline', () => {
+  // A straight segment into an elbow of three points
+  const from = [{ x: 0, y: 0 }, { x: 10, y: 0 }];
+  const to = [{ x: 0, y: 0 }, { x: 0, y: 5 }, { x: 10, y: 5 }];
+
+  test('starts on the first polyline and ends on the second, with a common point count', () => {
+    const interpolate = interpolatePolyline(from, to);
+    expect(round(interpolate(0))).toEqual([[0, 0], [3.33, 0], [10, 0]]);
+    expect(round(interpolate(1))).toEqual([[0, 0], [0, 5], [10, 5]]);
+    expect(round(interpolate(0.5))).toEqual([[0, 0], [1.67, 2.5], [10, 2.5]]);
+  });
+
+  test('keeps the corners of both polylines', () => {
+    const longer = [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 10 }, { x: 10, y: 10 }];
+    const interpolate = interpolatePolyline(to, longer);
+    const start = round(interpolate(0));
+    const end = round(interpolate(1));
+    expect(start.length).toBe(5);
+    expect(end.length).toBe(5);
+    expect(start).toEqual(expect.arrayContaining([[0, 5]]));
+    expect(end).toEqual(expect.arrayContaining([[5, 0], [5, 10]]));
+    expect(start[0]).toEqual([0, 0]);
+    expect(end[4]).toEqual([10, 10]);
+  });
+
+  test('goes the other way, from more points to fewer', () => {
+    const interpolate = interpolatePolyline(to, from);
+    expect(round(interpolate(0))).toEqual([[0, 0], [0, 5], [10, 5]]);
+    expect(round(interpolate(1))).toEqual([[0, 0], [3.33, 0], [10, 0]]);
+  });
+
+  test('handles degenerate polylines', () => {
+    const point = [{ x: 3, y: 3 }, { x: 3, y: 3 }];
+    expect(round(interpolatePolyline(point, from)(1))).toEqual([[0, 0], [10, 0]]);
+    expect(round(interpolatePolyline(point, from)(0))).toEqual([[3, 3], [3, 3]]);
+
+    // Nothing to interpolate from
+    expect(interpolatePolyline([{ x: 3, y: 3 }], to)(0)).toBe(to);
+    expect(interpolatePolyline([], to)(0.5)).toBe(to);
+  });
+});
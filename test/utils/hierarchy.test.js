@@ -0,0 +1,31 @@
+import { rehomeEdges, moveEdges } from '../../src/utils/hierarchy';
+
+// a moved out of P, its edges are left behind
+const graph = () => {
+  const P = { id: 'P', nodes: [{ id: 'b' }], edges: [{ id: 'ab', source: 'a', target: 'b' }, { id: 'bx', source: 'b', target: 'x' }] };
+  return { nodes: [P, { id: 'a' }], edges: [{ id: 'aa', source: 'a', target: 'a' }] };
+};
+
+describe('rehomeEdges', () => {
+  test('moves edges to the lowest common ancestor of their ends, returns the containers', () => {
+    const root = graph();
+    const [P] = root.nodes;
+    const moves = rehomeEdges(root);
+    expect(moves).toEqual([{ edge: expect.objectContaining({ id: 'ab' }), from: P, to: root }]);
+    expect(root.edges.map(e => e.id)).toEqual(['aa', 'ab']);
+
+    // Edges to unknown nodes stay
+    expect(P.edges.map(e => e.id)).toEqual(['bx']);
+  });
+
+  test('moves the edges back with moveEdges', () => {
+    const root = graph();
+    const [P] = root.nodes;
+    const moves = rehomeEdges(root);
+    moveEdges(moves, true);
+    expect(root.edges.map(e => e.id)).toEqual(['aa']);
+    expect(P.edges.map(e => e.id)).toEqual(['bx', 'ab']);
+    moveEdges(moves);
+    expect(root.edges.map(e => e.id)).toEqual(['aa', 'ab']);
+  });
+});
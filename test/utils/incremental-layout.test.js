@@ -0,0 +1,192 @@
+import { applyIncrementalLayout } from '../../src/utils/incremental-layout';
+import { boxesOverlap } from '../../src/utils/geometry';
+
+const line = (x1, y1, x2, y2) => [{ x: x1, y: y1 }, { x: x2, y: y2 }];
+
+// What the renderer captures from the screen
+const previousOf = (nodes, edges = {}) => ({
+  nodes: new Map(Object.entries(nodes).map(([id, n]) => [id, {
+    parentId: null,
+    ...n,
+    global: n.global || { x: n.x, y: n.y, width: n.width, height: n.height }
+  }])),
+  edges: new Map(Object.entries(edges))
+});
+
+describe('applyIncrementalLayout', () => {
+  test('puts nodes back where they were', () => {
+    const layout = {
+      id: 'root',
+      nodes: [{ id: 'a', x: 500, y: 500, width: 40, height: 40 }],
+      edges: []
+    };
+    const result = applyIncrementalLayout(layout, previousOf({ a: { x: 10, y: 20, width: 40, height: 40 } }));
+    expect(layout.nodes[0]).toMatchObject({ x: 10, y: 20 });
+    expect(result.pinned).toEqual(['a']);
+    expect(result.placed).toEqual([]);
+  });
+
+  test('places new nodes next to their neighbours without overlapping', () => {
+    const layout = {
+      id: 'root',
+      nodes: [
+        { id: 'a', x: 0, y: 0, width: 40, height: 40 },
+        { id: 'b', x: 0, y: 0, width: 40, height: 40 },
+        { id: 'c', x: 0, y: 0, width: 40, height: 40 }
+      ],
+      edges: [{ id: 'ac', source: 'a', target: 'c', points: [] }]
+    };
+    const previous = previousOf({
+      a: { x: 100, y: 100, width: 40, height: 40 },
+      b: { x: 300, y: 100, width: 40, height: 40 }
+    });
+    const result = applyIncrementalLayout(layout, previous, { spacing: 10 });
+    const [a, b, c] = layout.nodes;
+    expect(result.placed).toEqual(['c']);
+    expect(boxesOverlap(a, c)).toBe(false);
+    expect(boxesOverlap(b, c)).toBe(false);
+    expect(Math.hypot(c.x - a.x, c.y - a.y)).toBeLessThan(Math.hypot(c.x - b.x, c.y - b.y));
+  });
+
+  test('grows groups to fit new children', () => {
+    const layout = {
+      id: 'root',
+      nodes: [{
+        id: 'G',
+        x: 0,
+        y: 0,
+        width: 0,
+        height: 0,
+        nodes: [
+          { id: 'a', x: 0, y: 0, width: 40, height: 40 },
+          { id: 'b', x: 0, y: 0, width: 40, height: 40 }
+        ]
+      }],
+      edges: []
+    };
+    const previous = previousOf({
+      G: { x: 0, y: 0, width: 80, height: 80 },
+      a: { x: 20, y: 20, width: 40, height: 40, parentId: 'G' }
+    });
+    applyIncrementalLayout(layout, previous, { padding: 20, spacing: 20 });
+    const G = layout.nodes[0];
+    const b = G.nodes[1];
+    expect(boxesOverlap(G.nodes[0], b)).toBe(false);
+    expect(G.width).toBeGreaterThanOrEqual(b.x + b.width + 20);
+    expect(G.height).toBeGreaterThanOrEqual(b.y + b.height + 20);
+  });
+
+  test('places nodes that moved to another parent', () => {
+    const layout = {
+      id: 'root',
+      nodes: [
+        { id: 'G', x: 0, y: 0, width: 100, height: 100, nodes: [{ id: 'a', x: 30, y: 30, width: 40, height: 40 }] },
+        { id: 'b', x: 0, y: 0, width: 40, height: 40 }
+      ],
+      edges: []
+    };
+    const previous = previousOf({
+      G: { x: 0, y: 0, width: 100, height: 100 },
+      a: { x: 200, y: 0, width: 40, height: 40 },
+      b: { x: 300, y: 0, width: 40, height: 40 }
+    });
+    const result = applyIncrementalLayout(layout, previous);
+    expect(result.placed).toEqual(['a']);
+    expect(result.pinned.sort()).toEqual(['G', 'b']);
+  });
+
+  test('keeps the edges whose ends stayed in place, reroutes the others', () => {
+    const layout = {
+      id: 'root',
+      nodes: [
+        { id: 'a', x: 0, y: 0, width: 40, height: 40 },
+        { id: 'b', x: 0, y: 0, width: 40, height: 40 },
+        { id: 'c', x: 0, y: 0, width: 40, height: 40 }
+      ],
+      edges: [
+        { id: 'ab', source: 'a', target: 'b', points: line(0, 0, 1, 1) },
+        { id: 'bc', source: 'b', target: 'c', points: line(0, 0, 1, 1) }
+      ]
+    };
+    const previous = previousOf({
+      a: { x: 0, y: 0, width: 40, height: 40 },
+      b: { x: 200, y: 0, width: 40, height: 40 }
+    }, { ab: line(40, 20, 200, 20) });
+    const result = applyIncrementalLayout(layout, previous);
+    const [ab, bc] = layout.edges;
+    expect(ab.points).toEqual(line(40, 20, 200, 20));
+    expect(ab.points).not.toBe(previous.edges.get('ab'));
+    expect(result.rerouted).toEqual(['bc']);
+    expect(bc.points.length).toBeGreaterThanOrEqual(2);
+    expect(bc.points).not.toEqual(line(0, 0, 1, 1));
+  });
+
+  test('moves self loops along with their node', () => {
+    const layout = {
+      id: 'root',
+      nodes: [{ id: 'a', x: 100, y: 100, width: 40, height: 40 }],
+      edges: [{ id: 'aa', source: 'a', target: 'a', points: line(140, 110, 140, 130) }]
+    };
+    applyIncrementalLayout(layout, previousOf({ a: { x: 0, y: 0, width: 40, height: 40 } }));
+    expect(layout.edges[0].points).toEqual(line(40, 10, 40, 30));
+  });
+
+  test('moves siblings out of the way of a grown group, up the tree', () => {
+    // H holds G and b, d is next to H. G grows to fit the new c and runs into b, H grows in turn and runs into d
+    const layout = {
+      id: 'root',
+      nodes: [
+        {
+          id: 'H',
+          x: 0,
+          y: 0,
+          width: 0,
+          height: 0,
+          nodes: [
+            { id: 'G', x: 0, y: 0, width: 0, height: 0, nodes: [{ id: 'a', x: 0, y: 0, width: 40, height: 20 }, { id: 'c', x: 0, y: 0, width: 40, height: 20 }] },
+            { id: 'b', x: 0, y: 0, width: 40, height: 40 }
+          ]
+        },
+        { id: 'd', x: 0, y: 0, width: 40, height: 40 }
+      ],
+      edges: [{ id: 'bd', source: 'b', target: 'd', points: line(0, 0, 1, 1) }]
+    };
+    const previous = previousOf({
+      H: { x: 0, y: 0, width: 200, height: 100 },
+      G: { x: 20, y: 20, width: 80, height: 60, parentId: 'H' },
+      a: { x: 20, y: 20, width: 40, height: 20, parentId: 'G' },
+      b: { x: 120, y: 20, width: 40, height: 40, parentId: 'H' },
+      d: { x: 220, y: 0, width: 40, height: 40 }
+    }, { bd: line(160, 40, 220, 20) });
+    const result = applyIncrementalLayout(layout, previous, { padding: 20, spacing: 20 });
+    const [H, d] = layout.nodes;
+    const [G, b] = H.nodes;
+
+    expect(G.width).toBeGreaterThan(80);
+    expect(boxesOverlap(G, b)).toBe(false);
+    expect(H.width).toBeGreaterThan(200);
+    expect(H.width).toBeGreaterThanOrEqual(b.x + b.width + 20);
+    expect(boxesOverlap(H, d)).toBe(false);
+
+    expect(result.placed.sort()).toEqual(['b', 'c', 'd']);
+    expect(result.pinned.sort()).toEqual(['G', 'H', 'a']);
+    expect(result.rerouted).toEqual(['bd']);
+  });
+
+  test('sizes the root to fit the nodes', () => {
+    const layout = {
+      id: 'root',
+      width: 1000,
+      height: 1000,
+      nodes: [
+        { id: 'a', x: 500, y: 500, width: 40, height: 40 },
+        { id: 'b', x: 0, y: 0, width: 40, height: 40 }
+      ],
+      edges: []
+    };
+    applyIncrementalLayout(layout, previousOf({ a: { x: 10, y: 20, width: 40, height: 40 } }), { padding: 20, spacing: 20 });
+    const b = layout.nodes[1];
+    expect(layout.width).toBe(Math.max(50, b.x + 40) + 20);
+    expect(layout.height).toBe(Math.max(60, b.y + 40) + 20);
+  });
+});
@@ -0,0 +1,189 @@
+import { getOrthogonalPath, routeOrthogonalEdges } from '../../src/utils/orthogonal-router';
+
+const box = (x, y, width = 40, height = 40) => ({ x, y, width, height });
+
+const isOrthogonal = (points) => points.every((p, i) => i === 0 || p.x === points[i - 1].x || p.y === points[i - 1].y);
+
+const bends = (points) => points.length - 2;
+
+// Whether an axis aligned segment goes through the inside of the box
+const crosses = (b, p1, p2) => {
+  const minX = Math.min(p1.x, p2.x);
+  const maxX = Math.max(p1.x, p2.x);
+  const minY = Math.min(p1.y, p2.y);
+  const maxY = Math.max(p1.y, p2.y);
+  return maxX > b.x && minX < b.x + b.width && maxY > b.y && minY < b.y + b.height;
+};
+const avoids = (points, b) => points.every((p, i) => i === 0 || !crosses(b, points[i - 1], p));
+
+const onSide = (b, side, p) => {
+  switch (side) {
+    case 'left': return p.x === b.x;
+    case 'right': return p.x === b.x + b.width;
+    case 'top': return p.y === b.y;
+    default: return p.y === b.y + b.height;
+  }
+};
+
+describe('getOrthogonalPath', () => {
+  test('connects facing sides with a straight line', () => {
+    const source = box(0, 0);
+    const target = box(200, 0);
+    const points = getOrthogonalPath(source, target);
+    expect(points).toEqual([{ x: 40, y: 20 }, { x: 200, y: 20 }]);
+  });
+
+  test('goes around obstacles', () => {
+    const source = box(0, 0);
+    const target = box(200, 0);
+    const obstacle = box(100, -20, 40, 80);
+    const points = getOrthogonalPath(source, target, [obstacle]);
+    expect(isOrthogonal(points)).toBe(true);
+    expect(avoids(points, obstacle)).toBe(true);
+    expect(avoids(points, source)).toBe(true);
+    expect(avoids(points, target)).toBe(true);
+  });
+
+  test('keeps the margin around obstacles', () => {
+    const obstacle = box(100, -20, 40, 80);
+    const points = getOrthogonalPath(box(0, 0), box(200, 0), [obstacle], { margin: 15 });
+    const inflated = { x: 85, y: -35, width: 70, height: 110 };
+    expect(avoids(points, inflated)).toBe(true);
+  });
+
+  test('prefers fewer bends', () => {
+    const source = box(0, 0);
+    const target = box(200, 100);
+    const points = getOrthogonalPath(source, target);
+    expect(isOrthogonal(points)).toBe(true);
+    expect(bends(points)).toBe(1);
+  });
+
+  test('leaves and enters on the given sides', () => {
+    const source = box(0, 0);
+    const target = box(200, 0);
+    const points = getOrthogonalPath(source, target, [], { sourceSides: ['bottom'], targetSides: ['top'] });
+    expect(isOrthogonal(points)).toBe(true);
+    expect(onSide(source, 'bottom', points[0])).toBe(true);
+    expect(onSide(target, 'top', points[points.length - 1])).toBe(true);
+  });
+
+  test('attaches to anchors', () => {
+    const source = box(0, 0);
+    const target = box(200, 0);
+    const points = getOrthogonalPath(source, target, [], {
+      sourceAnchor: { side: 'right', x: 40, y: 10 },
+      targetAnchor: { side: 'left', x: 200, y: 30 }
+    });
+    expect(isOrthogonal(points)).toBe(true);
+    expect(points[0]).toEqual({ x: 40, y: 10 });
+    expect(points[points.length - 1]).toEqual({ x: 200, y: 30 });
+  });
+
+  test('stays within bounds', () => {
+    const bounds = box(-20, -20, 280, 100);
+    const obstacle = box(100, -20, 40, 70);
+    const points = getOrthogonalPath(box(0, 0), box(200, 0), [obstacle], { bounds });
+    expect(avoids(points, obstacle)).toBe(true);
+    points.forEach(p => {
+      expect(p.x).toBeGreaterThanOrEqual(bounds.x);
+      expect(p.x).toBeLessThanOrEqual(bounds.x + bounds.width);
+      expect(p.y).toBeGreaterThanOrEqual(bounds.y);
+      expect(p.y).toBeLessThanOrEqual(bounds.y + bounds.height);
+    });
+  });
+
+  test('falls back to a three segment route when the search gives up', () => {
+    const points = getOrthogonalPath(box(0, 0), box(200, 100), [box(100, 0)], { searchLimit: 1 });
+    expect(points).toEqual([{ x: 40, y: 20 }, { x: 120, y: 20 }, { x: 120, y: 120 }, { x: 200, y: 120 }]);
+  });
+});
+
+describe('routeOrthogonalEdges', () => {
+  const layout = () => ({
+    id: 'root',
+    x: 0,
+    y: 0,
+    nodes: [
+      {
+        id: 'G',
+        x: 0,
+        y: 0,
+        width: 300,
+        height: 100,
+        nodes: [
+          { id: 'a', x: 20, y: 30, width: 40, height: 40 },
+          { id: 'b', x: 240, y: 30, width: 40, height: 40, ports: [{ id: 'in', side: 'left', offset: 10 }] }
+        ],
+        edges: [{ id: 'ab', source: 'a', target: 'b', points: [] }]
+      },
+      { id: 'H', x: 0, y: 300, width: 40, height: 40 },
+      { id: 'K', x: 150, y: 270, width: 40, height: 100 },
+      { id: 'L', x: 300, y: 300, width: 40, height: 40 }
+    ],
+    edges: [
+      { id: 'HL', source: 'H', target: 'L', points: [] },
+      { id: 'Ga', source: 'G', target: 'a', points: [{ x: 0, y: 0 }] },
+      { id: 'HH', source: 'H', target: 'H', points: [{ x: 1, y: 1 }] },
+      { id: 'Hb', source: 'H', target: 'b', targetPort: 'in', points: [] }
+    ]
+  });
+
+  test('routes every edge between unrelated nodes', () => {
+    const graph = layout();
+    const routed = routeOrthogonalEdges(graph);
+    expect(routed.map(e => e.id).sort()).toEqual(['HL', 'Hb', 'ab']);
+    routed.forEach(edge => expect(isOrthogonal(edge.points)).toBe(true));
+  });
+
+  test('leaves edges to ancestors and self loops alone', () => {
+    const graph = layout();
+    routeOrthogonalEdges(graph);
+    const [, Ga, HH] = graph.edges;
+    expect(Ga.points).toEqual([{ x: 0, y: 0 }]);
+    expect(HH.points).toEqual([{ x: 1, y: 1 }]);
+  });
+
+  test('keeps edges inside the group of their ends', () => {
+    const graph = layout();
+    routeOrthogonalEdges(graph);
+    const ab = graph.nodes[0].edges[0];
+    ab.points.forEach(p => {
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.x).toBeLessThanOrEqual(300);
+      expect(p.y).toBeGreaterThanOrEqual(0);
+      expect(p.y).toBeLessThanOrEqual(100);
+    });
+  });
+
+  test('goes around nodes that are not the ends', () => {
+    const graph = layout();
+    routeOrthogonalEdges(graph);
+    const HL = graph.edges[0];
+    expect(avoids(HL.points, { x: 150, y: 270, width: 40, height: 100 })).toBe(true);
+  });
+
+  test('enters at ports, in global coordinates', () => {
+    const graph = layout();
+    routeOrthogonalEdges(graph, [graph.edges[3]]);
+    const points = graph.edges[3].points;
+    expect(points[points.length - 1]).toEqual({ x: 240, y: 40 });
+    expect(points[points.length - 2].y).toBe(40);
+    expect(points[points.length - 2].x).toBeLessThan(240);
+  });
+
+  test('routes only the given edges', () => {
+    const graph = layout();
+    const routed = routeOrthogonalEdges(graph, [graph.edges[0]]);
+    expect(routed).toEqual([graph.edges[0]]);
+    expect(graph.nodes[0].edges[0].points).toEqual([]);
+  });
+
+  test('restricts sides through options.sides', () => {
+    const graph = layout();
+    routeOrthogonalEdges(graph, [graph.edges[0]], { sides: () => ['top'] });
+    const points = graph.edges[0].points;
+    expect(onSide({ x: 0, y: 300, width: 40, height: 40 }, 'top', points[0])).toBe(true);
+    expect(onSide({ x: 300, y: 300, width: 40, height: 40 }, 'top', points[points.length - 1])).toBe(true);
+  });
+});
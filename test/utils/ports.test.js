@@ -0,0 +1,89 @@
+import { getPortPosition, findPort, attachEdgesToPorts } from '../../src/utils/ports';
+import { makeRenderingGraph } from '../../src/utils';
+
+const node = (ports) => ({ id: 'n', width: 100, height: 60, ports });
+
+describe('getPortPosition', () => {
+  test('puts ports on their side, on the right by default', () => {
+    const n = node([]);
+    expect(getPortPosition(n, { id: 'p', side: 'top', offset: 10 })).toEqual({ x: 10, y: 0 });
+    expect(getPortPosition(n, { id: 'p', side: 'bottom', offset: 10 })).toEqual({ x: 10, y: 60 });
+    expect(getPortPosition(n, { id: 'p', side: 'left', offset: 10 })).toEqual({ x: 0, y: 10 });
+    expect(getPortPosition(n, { id: 'p', side: 'right', offset: 10 })).toEqual({ x: 100, y: 10 });
+    expect(getPortPosition(n, { id: 'p', offset: 10 })).toEqual({ x: 100, y: 10 });
+  });
+
+  test('spreads ports without an offset over their side, in order', () => {
+    const ports = [
+      { id: 'r1' },
+      { id: 't1', side: 'top' },
+      { id: 'r2', side: 'right' },
+      { id: 't2', side: 'top' },
+      { id: 't3', side: 'top' }
+    ];
+    const n = node(ports);
+    expect(ports.map(port => getPortPosition(n, port))).toEqual([
+      { x: 100, y: 20 },
+      { x: 25, y: 0 },
+      { x: 100, y: 40 },
+      { x: 50, y: 0 },
+      { x: 75, y: 0 }
+    ]);
+  });
+
+  test('a port with an offset still takes its place among the spread ones', () => {
+    const ports = [{ id: 'l1', side: 'left', offset: 5 }, { id: 'l2', side: 'left' }];
+    expect(getPortPosition(node(ports), ports[1])).toEqual({ x: 0, y: 40 });
+  });
+});
+
+describe('findPort', () => {
+  test('finds ports by identifier', () => {
+    const n = node([{ id: 'p' }]);
+    expect(findPort(n, 'p')).toBe(n.ports[0]);
+    expect(findPort(n, 'q')).toBeNull();
+    expect(findPort({ id: 'm' }, 'p')).toBeNull();
+    expect(findPort(null, 'p')).toBeNull();
+  });
+});
+
+describe('attachEdgesToPorts', () => {
+  const layout = () => {
+    const graph = makeRenderingGraph({
+      id: 'root',
+      nodes: [
+        { id: 'P', nodes: [{ id: 'a', ports: [{ id: 'out', side: 'bottom', offset: 5 }] }] },
+        { id: 'b', ports: [{ id: 'in1', side: 'left' }, { id: 'in2', side: 'left' }] }
+      ],
+      edges: [
+        { id: 'e1', source: 'a', sourcePort: 'out', target: 'b', targetPort: 'in2' },
+        { id: 'e2', source: 'a', target: 'b', targetPort: 'missing' }
+      ]
+    }, { nodeWidth: 30, nodeHeight: 30 });
+    const [P, b] = graph.nodes;
+    Object.assign(P, { x: 10, y: 20 });
+    Object.assign(P.nodes[0], { x: 5, y: 5 });
+    Object.assign(b, { x: 100, y: 0 });
+    graph.edges.forEach(edge => {
+      edge.points = [{ x: 30, y: 40 }, { x: 60, y: 40 }, { x: 100, y: 15 }];
+    });
+    return graph;
+  };
+
+  test('gives ports a position relative to their node', () => {
+    const graph = layout();
+    attachEdgesToPorts(graph);
+    expect(graph.nodes[0].nodes[0].ports[0]).toMatchObject({ id: 'out', x: 5, y: 30 });
+    expect(graph.nodes[1].ports.map(p => [p.x, p.y])).toEqual([[0, 10], [0, 20]]);
+  });
+
+  test('moves the ends of edges onto their ports, in global coordinates', () => {
+    const graph = layout();
+    attachEdgesToPorts(graph);
+    const [e1, e2] = graph.edges;
+    expect(e1.points).toEqual([{ x: 20, y: 55 }, { x: 60, y: 40 }, { x: 100, y: 20 }]);
+
+    // Unknown ports and edges without one are left alone
+    expect(e2.points).toEqual([{ x: 30, y: 40 }, { x: 60, y: 40 }, { x: 100, y: 15 }]);
+  });
+});
@@ -0,0 +1,44 @@
+import { IndexedPriorityQueue } from '../../src/utils/priority-queue';
+
+describe('IndexedPriorityQueue', () => {
+  test('pops keys in priority order', () => {
+    const queue = new IndexedPriorityQueue();
+    [['c', 3], ['a', 1], ['e', 5], ['b', 2], ['d', 4]].forEach(([key, priority]) => queue.push(key, priority));
+    expect(queue.size).toBe(5);
+
+    const popped = [];
+    while (queue.size > 0) popped.push(queue.pop());
+    expect(popped).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(queue.pop()).toBeUndefined();
+  });
+
+  test('lowers the priority of a queued key', () => {
+    const queue = new IndexedPriorityQueue();
+    queue.push('a', 1);
+    queue.push('b', 5);
+    queue.push('c', 3);
+    queue.push('b', 0);
+    expect(queue.priority('b')).toBe(0);
+    expect(queue.pop()).toBe('b');
+    expect(queue.pop()).toBe('a');
+    expect(queue.pop()).toBe('c');
+  });
+
+  test('raises the priority of a queued key', () => {
+    const queue = new IndexedPriorityQueue();
+    queue.push('a', 1);
+    queue.push('b', 2);
+    queue.push('a', 3);
+    expect(queue.pop()).toBe('b');
+    expect(queue.pop()).toBe('a');
+  });
+
+  test('keeps track of queued keys', () => {
+    const queue = new IndexedPriorityQueue();
+    queue.push('a', 1);
+    expect(queue.has('a')).toBe(true);
+    queue.pop();
+    expect(queue.has('a')).toBe(false);
+    expect(queue.priority('a')).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+import { validateGraphData, validateLayout, GraphValidationError } from '../../src/utils/validate';
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+describe('validateGraphData', () => {
+  test('accepts valid data, the root needs no identifier', () => {
+    const data = {
+      nodes: [{ id: 'P', nodes: [{ id: 'a', ports: [{ id: 'out', side: 'right' }] }, { id: 'b' }] }],
+      edges: [{ id: 'ab', source: 'a', target: 'b', sourcePort: 'out' }]
+    };
+    expect(validateGraphData(data)).toEqual([]);
+  });
+
+  test('reports duplicate ids with where they were found', () => {
+    const data = {
+      id: 'root',
+      nodes: [{ id: 'P', nodes: [{ id: 'a' }], edges: [{ id: 'e', source: 'a', target: 'a' }] }, { id: 'a' }],
+      edges: [{ id: 'e', source: 'a', target: 'P' }]
+    };
+    expect(validateGraphData(data)).toEqual([
+      { code: 'duplicate-id', kind: 'node', id: 'a', field: 'id', path: ['root'], message: 'Duplicate node id a' },
+      { code: 'duplicate-id', kind: 'edge', id: 'e', field: 'id', path: ['root', 'P'], message: 'Duplicate edge id e' }
+    ]);
+  });
+
+  test('reports dangling edge ends', () => {
+    const data = {
+      id: 'root',
+      nodes: [{ id: 'P', nodes: [{ id: 'a', ports: [{ id: 'in' }] }], edges: [{ id: 'ax', source: 'a', target: 'x' }] }],
+      edges: [
+        { id: 'nowhere', target: 'a' },
+        { id: 'port', source: 'a', target: 'a', sourcePort: 'out', targetPort: 'in' }
+      ]
+    };
+    const issues = validateGraphData(data);
+    expect(issues.map(({ code, kind, id, field, path }) => ({ code, kind, id, field, path }))).toEqual([
+      { code: 'missing-field', kind: 'edge', id: 'nowhere', field: 'source', path: ['root'] },
+      { code: 'unknown-port', kind: 'edge', id: 'port', field: 'sourcePort', path: ['root'] },
+      { code: 'unknown-node', kind: 'edge', id: 'ax', field: 'target', path: ['root', 'P'] }
+    ]);
+  });
+
+  test('reports missing ids and malformed fields', () => {
+    const data = {
+      nodes: [
+        { label: 'no id' },
+        { id: 'b', nodes: {}, ports: [{ side: 'up' }, { id: 'p', side: 'middle' }] }
+      ],
+      edges: [{ source: 'b', target: 'b' }]
+    };
+    expect(codes(validateGraphData(data))).toEqual(['missing-id', 'invalid-field', 'missing-id', 'invalid-field', 'invalid-field', 'missing-id']);
+    expect(codes(validateGraphData(null))).toEqual(['invalid-field']);
+  });
+});
+
+describe('validateLayout', () => {
+  const layout = () => ({
+    id: 'root',
+    width: 200,
+    height: 100,
+    nodes: [{ id: 'a', x: 0, y: 0, width: 40, height: 40, nodes: [{ id: 'b', x: 5, y: 5, width: 10, height: 10 }] }],
+    edges: [{ id: 'ab', source: 'a', target: 'b', points: [{ x: 0, y: 0 }, { x: 10, y: 10 }] }]
+  });
+
+  test('accepts a complete layout', () => {
+    expect(validateLayout(layout())).toEqual([]);
+  });
+
+  test('reports missing or invalid sizes and positions', () => {
+    const data = layout();
+    delete data.width;
+    delete data.nodes[0].nodes[0].height;
+    data.nodes[0].x = NaN;
+    expect(validateLayout(data)).toEqual([
+      { code: 'invalid-geometry', kind: 'node', id: 'root', field: 'width', path: [], message: 'Root has invalid width: undefined' },
+      { code: 'invalid-geometry', kind: 'node', id: 'a', field: 'x', path: ['root'], message: 'Node a has invalid x: NaN' },
+      { code: 'invalid-geometry', kind: 'node', id: 'b', field: 'height', path: ['root', 'a'], message: 'Node b has invalid height: undefined' }
+    ]);
+  });
+
+  test('reports edges without usable points', () => {
+    const data = layout();
+    data.nodes[0].edges = [{ id: 'short', points: [{ x: 0, y: 0 }] }, { id: 'bad', points: [{ x: 0, y: 0 }, { x: 'a', y: 0 }] }];
+    const issues = validateLayout(data);
+    expect(codes(issues)).toEqual(['invalid-points', 'invalid-points']);
+    expect(issues.map(issue => issue.path)).toEqual([['root', 'a'], ['root', 'a']]);
+  });
+});
+
+describe('GraphValidationError', () => {
+  test('names the first issue and carries all of them', () => {
+    const issues = validateGraphData({ nodes: [{ id: 'a' }, { id: 'a' }, { id: 'a' }] });
+    const error = new GraphValidationError(issues);
+    expect(error.message).toBe('Graph validation failed: Duplicate node id a (and 1 more)');
+    expect(error.issues).toBe(issues);
+  });
+});